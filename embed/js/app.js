@@ -7,7 +7,8 @@
  * - Main scan/record loop
  * - User interactions
  * 
- * Depends on: config.js, storage.js, license.js, scanner.js, recorder.js, orders.js, ui.js
+ * Depends on: config.js, storage.js, presets.js, license.js, scanner.js, integrity.js, overlay.js,
+ *             scheduler.js, camera.js, watchdog.js, masks.js, audio.js, recorder.js, monitor.js, governor.js, orders.js, ui.js
  */
 
 var QRApp = (function() {
@@ -16,19 +17,40 @@ var QRApp = (function() {
     // Module references
     var CONFIG = QRConfig;
     var STORAGE = QRStorage;
+    var PRESETS = QRPresets;
     var LICENSE = QRLicense;
     var SCANNER = QRScanner;
     var RECORDER = QRRecorder;
     var ORDERS = QROrders;
+    var INTEGRITY = QRIntegrity;
+    var OVERLAY = QROverlay;
+    var SCHEDULER = QRScheduler;
+    var MONITOR = QRMonitor;
+    var CAMERA = QRCamera;
+    var GOVERNOR = QRGovernor;
+    var WATCHDOG = QRWatchdog;
+    var MASKS = QRMasks;
+    var AUDIO = QRAudio;
     var UI = QRUI;
     
     // App state
     var state = {
         initialized: false,
         currentQR: null,
+        lastActivity: 0,
+        lastCommand: null, // { code, at } - mã lệnh vẫn nằm trong khung hình thì không lặp lại
+        idleStop: CONFIG.DEFAULTS.idleStop,
         timerInterval: null,
+        meterTimer: null,
+        scanLockTimer: null,
+        cameraPending: {},
+        cameraApplying: false,
+        cameraRerender: false,
         recordingDuration: 0,
-        scanLoopId: null
+        overlayDraft: null,
+        overlayPreviewId: null,
+        pendingPreset: null, // Preset chọn lúc đang ghi - áp dụng khi dừng đơn
+        postBufferSkipped: false // Hết post-buffer lúc đang tạm dừng - hẹn lại khi ghi tiếp
     };
     
     // ==================== Initialization ====================
@@ -47,7 +69,17 @@ var QRApp = (function() {
         UI.init();
         LICENSE.init();
         SCANNER.init();
+        OVERLAY.load();
+        RECORDER.setOverlayTemplate(OVERLAY.getActive());
+        PRESETS.load();
+        RECORDER.setQuality(PRESETS.getActiveKey());
+        MASKS.load();
+        AUDIO.load();
+        UI.setAudioSettings(AUDIO.getSettings());
+        UI.setThumbnailLoader(RECORDER.readFile);
+        refreshMicrophones();
         RECORDER.init();
+        GOVERNOR.load();
         ORDERS.init();
         
         // Setup callbacks
@@ -58,6 +90,18 @@ var QRApp = (function() {
         
         // Update UI
         updateUI();
+        UI.populateOverlayTemplates(OVERLAY.getNames(), OVERLAY.getActiveName());
+        UI.populatePresets(PRESETS.getAll(), PRESETS.getActiveKey());
+        if (UI.$('governorToggle')) {
+            UI.$('governorToggle').checked = GOVERNOR.isEnabled();
+        }
+        if (!MONITOR.isSupported() && UI.$('btnPip')) {
+            UI.$('btnPip').classList.add('hidden');
+        }
+        
+        // Kiểm tra sổ cái khi khởi động
+        UI.updateLedgerStatus(null);
+        ORDERS.verifyLedger();
         
         state.initialized = true;
         
@@ -104,6 +148,7 @@ var QRApp = (function() {
                     option.textContent = cam.label || 'Camera ' + (i + 1);
                     select.appendChild(option);
                 });
+                UI.populateSecondCameras(cameras);
                 console.log('✅ Found ' + cameras.length + ' camera(s)');
             } else if (select) {
                 select.innerHTML = '<option value="">Không tìm thấy camera</option>';
@@ -161,6 +206,10 @@ var QRApp = (function() {
                 RECORDER.setVideoElement(video);
             }
             
+            // Camera bật lại tạo canvas mới
+            MONITOR.setSource(RECORDER.getCanvas());
+            GOVERNOR.settle();
+            
             // Update camera select with names
             if (data.cameras && data.cameras.length > 0) {
                 var select = UI.$('cameraSelect');
@@ -176,10 +225,75 @@ var QRApp = (function() {
                         select.appendChild(option);
                     });
                 }
+                UI.populateSecondCameras(data.cameras);
+            }
+            
+            // Bật lại camera 2 đã chọn (camera 1 khởi động lại sẽ tắt camera 2)
+            var second = UI.$('camera2Select') ? UI.$('camera2Select').value : '';
+            if (second && second !== data.deviceId) {
+                RECORDER.startSecondCamera(second);
             }
             
             UI.updateCameraButton(true);
             UI.showFPSDisplay(true);
+            
+            // Đã có quyền micro -> danh sách có tên
+            refreshMicrophones();
+            startAudioMeter();
+        });
+        
+        RECORDER.on('onAudioChange', function() {
+            refreshMicrophones();
+        });
+        
+        // Đang ghi mà im lặng quá lâu: micro rút dây / bị tắt tiếng
+        AUDIO.on('onSilence', function(data) {
+            UI.showAudioSilent(data.silent);
+            if (data.silent) {
+                UI.toast('🔇 ' + CONFIG.TEXTS.MSG_AUDIO_SILENT + ' (' + data.seconds + 's)', 'warning', 6000);
+            } else if (data.durationMs > 0) {
+                UI.toast('🎤 ' + CONFIG.TEXTS.MSG_AUDIO_RESTORED, 'success', 2000);
+            }
+        });
+        
+        // Mất camera 1: báo động + chờ cắm lại (recorder tự nối lại và ghi tiếp đơn ở file mới)
+        RECORDER.on('onCameraLost', function(data) {
+            SCANNER.alarm();
+            UI.showCameraLost(true);
+            UI.toast('🚨 ' + CONFIG.TEXTS.MSG_CAMERA_LOST, 'error', 8000);
+            UI.updateFPS(0, 0);
+        });
+        
+        RECORDER.on('onCameraRestored', function(data) {
+            var video = UI.$('webcamVideo');
+            if (video) {
+                video.srcObject = data.stream;
+            }
+            UI.showCameraLost(false);
+            GOVERNOR.settle();
+            UI.toast('✅ ' + CONFIG.TEXTS.MSG_CAMERA_RESTORED + ' (' + Math.round(data.downtimeMs / 1000) + 's' +
+                (data.part ? ', part ' + data.part : '') + ')', 'success', 4000);
+        });
+        
+        RECORDER.on('onSecondCameraStart', function(data) {
+            var video = UI.$('webcamVideo2');
+            if (video) {
+                video.srcObject = data.stream;
+                video.classList.remove('hidden');
+                RECORDER.setSecondVideoElement(video);
+            }
+        });
+        
+        RECORDER.on('onSecondCameraStop', function(data) {
+            var video = UI.$('webcamVideo2');
+            if (video) {
+                video.srcObject = null;
+                video.classList.add('hidden');
+            }
+            if (data.lost) {
+                UI.$('camera2Select').value = '';
+                UI.toast('⚠️ ' + CONFIG.TEXTS.MSG_SECOND_CAMERA_LOST, 'warning', 5000);
+            }
         });
         
         RECORDER.on('onCameraStop', function() {
@@ -187,23 +301,74 @@ var QRApp = (function() {
             if (video) {
                 video.srcObject = null;
             }
+            UI.showCameraLost(false);
+            UI.showQualityWarning([]);
+            UI.updatePauseState(false, false);
+            closeMaskEditor();
+            stopAudioMeter();
             UI.updateCameraButton(false);
-            stopScanLoop();
+            applyPendingPreset();
         });
         
-        RECORDER.on('onRecordingStart', function() {
+        RECORDER.on('onRecordingStart', function(data) {
+            state.postBufferSkipped = false;
             startTimer();
             UI.updateRecordingStatus(true, 0);
+            UI.updateOrderStatus(data.qrCode, 0);
+            UI.updatePauseState(true, false);
+        });
+        
+        RECORDER.on('onPause', function(data) {
+            UI.updatePauseState(true, true);
+            UI.toast('⏸️ ' + CONFIG.TEXTS.MSG_PAUSED, 'warning', 5000);
+        });
+        
+        RECORDER.on('onResume', function(data) {
+            // Thời gian tạm dừng không tính vào đứng yên
+            state.lastActivity = Date.now();
+            if (state.postBufferSkipped) {
+                state.postBufferSkipped = false;
+                schedulePostBuffer();
+            }
+            UI.updatePauseState(true, false);
+            UI.toast('▶️ ' + CONFIG.TEXTS.MSG_RESUMED + ' (' + Math.round(data.durationMs / 1000) + 's)', 'success');
+        });
+        
+        MONITOR.on('onClose', function() {
+            UI.updatePipButton(false);
         });
         
         RECORDER.on('onVideoSaved', function(data) {
-            // Add to orders
+            // Add to orders (bất đồng bộ: hash sổ cái)
             ORDERS.add({
                 qrCode: data.qrCode,
                 duration: data.duration,
                 sizeMB: data.sizeMB,
                 productCount: data.productCount,
-                filename: data.filename
+                filename: data.filename,
+                files: data.files,
+                sha256: data.sha256,
+                scans: data.scans,
+                codec: data.codec,
+                mimeType: data.mimeType,
+                preRollSeconds: data.preRollSeconds,
+                hiddenIntervals: data.hiddenIntervals,
+                cameraLosses: data.cameraLosses,
+                pauses: data.pauses,
+                snapshots: data.snapshots,
+                quality: data.quality,
+                autoStopped: data.autoStopped,
+                cameras: data.cameras,
+                cameraLayout: data.cameraLayout,
+                recovered: data.recovered
+            }).then(function(order) {
+                updateUI();
+                if (order.unchained) {
+                    UI.toast('⚠️ ' + CONFIG.TEXTS.MSG_ORDER_UNCHAINED + ': ' + order.qrCode, 'warning', 5000);
+                }
+            }).catch(function(e) {
+                console.error('[App] Order save error:', e);
+                UI.toast('❌ ' + CONFIG.TEXTS.ERR_ORDER_SAVE + ': ' + e.message, 'error', 6000);
             });
             
             // Increment usage for free users
@@ -211,16 +376,84 @@ var QRApp = (function() {
                 LICENSE.incrementUsage();
             }
             
-            updateUI();
-            UI.toast('✅ ' + CONFIG.TEXTS.MSG_VIDEO_SAVED, 'success');
+            if (data.recovered) {
+                UI.toast('♻️ ' + CONFIG.TEXTS.MSG_VIDEO_RECOVERED + ': ' + data.filename, 'warning', 4000);
+            } else {
+                UI.toast('✅ ' + CONFIG.TEXTS.MSG_VIDEO_SAVED, 'success');
+            }
+        });
+        
+        RECORDER.on('onSnapshotSkipped', function() {
+            UI.toast('📷 ' + CONFIG.TEXTS.MSG_SNAPSHOT_NEED_FOLDER, 'warning', 6000);
+        });
+        
+        RECORDER.on('onSegmentSaved', function(data) {
+            if (data.part > 1) {
+                UI.toast('✂️ ' + CONFIG.TEXTS.MSG_SEGMENT_SAVED + ' ' + data.part + ': ' + data.filename, 'info');
+            }
+        });
+        
+        RECORDER.on('onClockAnomaly', function(anomaly) {
+            var seconds = Math.round(anomaly.deltaMs / 1000);
+            if (anomaly.type === 'sleep') {
+                UI.toast('💤 ' + CONFIG.TEXTS.CLOCK_SLEEP + ' (+' + seconds + 's)', 'warning', 6000);
+                return;
+            }
+            UI.toast('⏰ ' + CONFIG.TEXTS.CLOCK_ALERT + ': ' + (CONFIG.TEXTS.CLOCK_TYPES[anomaly.type] || anomaly.type) +
+                ' (' + (seconds > 0 ? '+' : '') + seconds + 's)', 'error', 6000);
+            UI.updateClockAck(RECORDER.isClockBehind());
+        });
+        
+        RECORDER.on('onHiddenInterval', function(interval) {
+            UI.toast('👁️ ' + CONFIG.TEXTS.MSG_HIDDEN_RETURN + ' (' + Math.round(interval.durationMs / 1000) + 's)', 'warning', 5000);
         });
         
+        // Quét QR theo nhịp render của recorder (vẫn chạy khi tab bị ẩn)
+        RECORDER.on('onScanFrame', scanCurrentFrame);
+        
         RECORDER.on('onFPSUpdate', function(fps) {
             UI.updateFPS(fps, SCANNER.getScanRate());
+            GOVERNOR.sample(RECORDER.getRenderStats());
+        });
+        
+        // Governor đổi bậc: quét áp dụng ngay, recorder tự chọn lúc đổi độ phân giải
+        GOVERNOR.on('onChange', function(change) {
+            RECORDER.setPerformance(change.adjust);
+            setupScanCanvas();
+            UI.updateGovernorLevel(change.level, change.adjust.label);
+            
+            if (change.level > change.from) {
+                UI.toast('⚡ ' + CONFIG.TEXTS.MSG_GOVERNOR_DOWN + ': ' + change.adjust.label, 'warning');
+            } else if (change.reason === 'headroom') {
+                UI.toast('⚡ ' + CONFIG.TEXTS.MSG_GOVERNOR_UP + ': ' + change.adjust.label, 'success');
+            }
+        });
+        
+        // Watchdog: cảnh báo ngay khi hình đứng / đen / cháy sáng / mờ (vẫn ghi tiếp)
+        WATCHDOG.on('onIssue', function(issue) {
+            UI.showQualityWarning(issue.types);
+            if (!issue.type) return;
+            
+            var label = CONFIG.TEXTS.QUALITY_ISSUES[issue.type] || issue.type;
+            if (issue.active) {
+                SCANNER.beep();
+                UI.toast('⚠️ ' + CONFIG.TEXTS.MSG_QUALITY_ISSUE + ': ' + label, 'warning', 5000);
+            } else if (issue.types.length === 0) {
+                UI.toast('✅ ' + CONFIG.TEXTS.MSG_QUALITY_OK, 'success', 2000);
+            }
         });
         
         RECORDER.on('onError', function(error) {
             UI.toast('❌ ' + error.type + ': ' + error.error.message, 'error');
+            
+            // WebCodecs lỗi -> recorder đã tự chuyển về MediaRecorder
+            if (error.type === 'encoder' && UI.$('encoderSelect')) {
+                UI.$('encoderSelect').value = 'mediarecorder';
+            }
+            if (error.type === 'camera2' && UI.$('camera2Select')) {
+                UI.$('camera2Select').value = '';
+                UI.toast('❌ ' + CONFIG.TEXTS.ERR_SECOND_CAMERA + ': ' + error.error.message, 'error');
+            }
         });
         
         // Orders callbacks
@@ -230,6 +463,20 @@ var QRApp = (function() {
         
         ORDERS.on('onOrderAdded', function(order) {
             UI.renderHistory(ORDERS.getAll());
+            ORDERS.verifyLedger();
+        });
+        
+        ORDERS.on('onOrderDeleted', function() {
+            UI.renderHistory(ORDERS.getAll());
+            ORDERS.verifyLedger();
+        });
+        
+        ORDERS.on('onOrdersCleared', function() {
+            ORDERS.verifyLedger();
+        });
+        
+        ORDERS.on('onLedgerVerified', function(result) {
+            UI.updateLedgerStatus(result);
         });
     }
     
@@ -245,37 +492,203 @@ var QRApp = (function() {
             }
         });
         
+        // Picture-in-picture
+        bindClick('btnPip', togglePip);
+        
+        // Pause / resume
+        bindClick('btnPause', function() {
+            togglePause('button');
+        });
+        document.addEventListener('keydown', handleHotkey);
+        
+        // Camera controls
+        bindClick('btnCameraSettings', openCameraSettings);
+        bindClick('btnCloseCamera', UI.hideCameraModal);
+        bindClick('btnResetCamera', async function() {
+            try {
+                await CAMERA.reset(RECORDER.getVideoTrack(UI.$('cameraTarget').value));
+            } catch (e) {
+                UI.toast('❌ ' + CONFIG.TEXTS.ERR_CAMERA_CONTROL + ': ' + e.message, 'error');
+            }
+            renderCameraSettings();
+        });
+        bindChange('cameraTarget', renderCameraSettings);
+        
+        // Privacy masks
+        bindClick('btnMasks', openMaskEditor);
+        bindClick('btnMaskClose', closeMaskEditor);
+        bindClick('btnMaskSave', saveMasks);
+        bindClick('btnMaskUndo', MASKS.undo);
+        bindClick('btnMaskClear', MASKS.clearZones);
+        bindChange('maskTarget', function(e) {
+            MASKS.setEditorSource(getMaskVideo(e.target.value), getSavedMasks(e.target.value));
+        });
+        bindChange('maskShape', function(e) {
+            MASKS.setShape(e.target.value);
+            UI.updateMaskHint(e.target.value);
+        });
+        bindChange('maskMode', function(e) {
+            MASKS.setMode(e.target.value);
+        });
+        
+        var cameraControls = UI.$('cameraControls');
+        if (cameraControls) {
+            cameraControls.addEventListener('input', function(e) {
+                if (e.target.type !== 'range') return;
+                e.target.previousElementSibling.querySelector('.camera-value').textContent =
+                    UI.formatControlValue(parseFloat(e.target.value));
+                applyCameraControl(e.target.dataset.key, parseFloat(e.target.value));
+            });
+            cameraControls.addEventListener('change', function(e) {
+                var value = e.target.type === 'checkbox' ? e.target.checked
+                    : e.target.type === 'range' ? parseFloat(e.target.value) : e.target.value;
+                // Thả thanh trượt / đổi chế độ: vẽ lại để chế độ 'Thủ công' và thanh trượt phụ thuộc cập nhật
+                applyCameraControl(e.target.dataset.key, value, true);
+            });
+        }
+        
         // Folder button
         bindClick('btnFolder', async function() {
-            var success = await RECORDER.selectFolder();
-            if (success) {
-                UI.updateFolderInfo(RECORDER.getFolderName());
+            var folderName = await RECORDER.openFolder();
+            if (folderName) {
+                UI.updateFolderInfo(folderName);
+                // Thumbnail ảnh chụp đọc từ thư mục vừa chọn
+                UI.renderHistory(ORDERS.getAll());
                 UI.toast('✅ ' + CONFIG.TEXTS.MSG_FOLDER_SELECTED, 'success');
             }
         });
         
         // Settings changes
         bindChange('qualitySelect', function(e) {
-            RECORDER.setQuality(e.target.value);
-            setupScanCanvas();
+            applyPreset(e.target.value);
+        });
+        
+        // Preset editor
+        bindClick('btnEditPreset', function() {
+            openPresetEditor();
+        });
+        
+        bindClick('btnSavePreset', function() {
+            savePreset();
+        });
+        
+        bindClick('btnDeletePreset', function() {
+            var key = PRESETS.getActiveKey();
+            if (PRESETS.deleteCustom(key)) {
+                UI.hidePresetModal();
+                applyPreset(PRESETS.getActiveKey());
+                UI.toast('✅ ' + CONFIG.TEXTS.MSG_PRESET_DELETED, 'success');
+            }
+        });
+        
+        bindClick('btnClosePreset', function() {
+            UI.hidePresetModal();
         });
         
         bindChange('bitrateSelect', function(e) {
             RECORDER.setBitrate(e.target.value);
         });
         
+        bindChange('containerSelect', function(e) {
+            RECORDER.setContainer(e.target.value);
+        });
+        
+        bindChange('encoderSelect', async function(e) {
+            var ok = await RECORDER.setEncoder(e.target.value);
+            if (!ok) {
+                e.target.value = 'mediarecorder';
+                UI.toast('⚠️ ' + CONFIG.TEXTS.ERR_WEBCODECS, 'error');
+            }
+        });
+        
+        bindChange('keyframeSelect', function(e) {
+            RECORDER.setKeyframeInterval(parseInt(e.target.value));
+        });
+        
+        bindChange('micSelect', function(e) {
+            applyAudioSettings({ deviceId: e.target.value });
+        });
+        
+        bindChange('noiseToggle', function(e) {
+            applyAudioSettings({ noiseSuppression: e.target.checked });
+        });
+        
+        bindChange('echoToggle', function(e) {
+            applyAudioSettings({ echoCancellation: e.target.checked });
+        });
+        
+        bindChange('gainToggle', function(e) {
+            applyAudioSettings({ autoGainControl: e.target.checked });
+        });
+        
         bindChange('audioToggle', function(e) {
             RECORDER.setAudio(e.target.checked);
         });
         
+        bindChange('metaQRToggle', function(e) {
+            RECORDER.setMetaQR(e.target.checked);
+        });
+        
         bindChange('timestampSelect', function(e) {
             RECORDER.setTimestampPosition(e.target.value);
         });
         
+        bindChange('overlaySelect', function(e) {
+            applyOverlayTemplate(OVERLAY.setActive(e.target.value));
+        });
+        
+        bindChange('governorToggle', function(e) {
+            GOVERNOR.setEnabled(e.target.checked);
+        });
+        
+        bindClick('btnClockAck', function() {
+            if (RECORDER.isRecording()) {
+                UI.toast('⚠️ ' + CONFIG.TEXTS.ERR_CLOCK_ACK_RECORDING, 'warning');
+                return;
+            }
+            if (!confirm(CONFIG.TEXTS.CLOCK_ACK_CONFIRM)) return;
+            
+            if (RECORDER.acknowledgeClock()) {
+                UI.updateClockAck(false);
+                UI.toast('✅ ' + CONFIG.TEXTS.MSG_CLOCK_ACKED, 'success');
+            }
+        });
+        
+        bindClick('btnGovernorLog', function() {
+            UI.renderGovernorLog(GOVERNOR.getLog());
+            UI.showGovernorModal();
+        });
+        
+        bindClick('btnExportGovernor', function() {
+            GOVERNOR.exportLog();
+        });
+        
+        bindClick('btnClearGovernor', function() {
+            GOVERNOR.clearLog();
+            UI.renderGovernorLog([]);
+        });
+        
+        bindClick('btnCloseGovernor', function() {
+            UI.hideGovernorModal();
+        });
+        
         bindChange('postBufferSelect', function(e) {
             RECORDER.setPostBuffer(parseInt(e.target.value));
         });
         
+        bindChange('idleStopSelect', function(e) {
+            state.idleStop = parseInt(e.target.value);
+        });
+        
+        bindChange('preRollSelect', function(e) {
+            RECORDER.setPreRoll(parseInt(e.target.value));
+        });
+        
+        bindChange('segmentSelect', function(e) {
+            var parts = e.target.value.split('|');
+            RECORDER.setSegmentLimits(parseInt(parts[0]), parseInt(parts[1]));
+        });
+        
         bindChange('beepVolume', function(e) {
             SCANNER.setBeepVolume(parseInt(e.target.value));
             updateVolumeDisplay(e.target.value);
@@ -287,6 +700,32 @@ var QRApp = (function() {
             }
         });
         
+        bindChange('camera2Select', function(e) {
+            var deviceId = e.target.value;
+            
+            if (deviceId && deviceId === UI.$('cameraSelect').value) {
+                e.target.value = '';
+                RECORDER.stopSecondCamera();
+                UI.toast('⚠️ ' + CONFIG.TEXTS.ERR_SECOND_CAMERA_SAME, 'warning');
+                return;
+            }
+            
+            // Camera chưa bật: chỉ ghi nhớ lựa chọn, onCameraStart sẽ mở camera 2
+            if (!deviceId) {
+                RECORDER.stopSecondCamera();
+            } else if (RECORDER.isCameraOn()) {
+                RECORDER.startSecondCamera(deviceId);
+            }
+        });
+        
+        bindChange('cameraLayoutSelect', function(e) {
+            RECORDER.setCameraLayout(e.target.value);
+        });
+        
+        bindChange('scanSourceSelect', function(e) {
+            RECORDER.setScanSource(e.target.value);
+        });
+        
         // Search
         bindInput('searchInput', function(e) {
             var results = ORDERS.search(e.target.value);
@@ -307,6 +746,75 @@ var QRApp = (function() {
             }
         });
         
+        // Ledger status - bấm để kiểm tra lại
+        bindClick('ledgerStatus', async function() {
+            UI.updateLedgerStatus(null);
+            var result = await ORDERS.verifyLedger();
+            if (result.ok) {
+                UI.toast('🔗 ' + CONFIG.TEXTS.LEDGER_OK + ' (' + result.verified + ')', 'success');
+            } else {
+                var b = result.brokenAt;
+                UI.toast('⛓️ ' + CONFIG.TEXTS.LEDGER_BROKEN + ' #' + (b.seq || b.index + 1) + ' ' + (b.qrCode || '') +
+                    ': ' + (CONFIG.TEXTS.LEDGER_REASONS[b.reason] || b.reason), 'error', 6000);
+            }
+        });
+        
+        // Verify video
+        bindClick('btnVerify', function() {
+            UI.renderVerifyReport(null);
+            UI.showVerifyModal();
+        });
+        
+        bindClick('btnCloseVerify', function() {
+            UI.hideVerifyModal();
+        });
+        
+        bindClick('btnRunVerify', function() {
+            runVerify();
+        });
+        
+        // Overlay editor
+        bindClick('btnEditOverlay', function() {
+            openOverlayEditor();
+        });
+        
+        bindInput('overlayJson', function() {
+            applyOverlayDraft();
+        });
+        
+        ['overlayStation', 'overlayOperator', 'overlayShop'].forEach(function(id) {
+            bindInput(id, function() {
+                OVERLAY.setProfile({
+                    station: UI.$('overlayStation').value.trim(),
+                    operator: UI.$('overlayOperator').value.trim(),
+                    shop: UI.$('overlayShop').value.trim()
+                });
+            });
+        });
+        
+        bindChange('overlayLogo', function(e) {
+            loadOverlayLogo(e.target.files[0]);
+            e.target.value = '';
+        });
+        
+        bindClick('btnSaveOverlay', function() {
+            saveOverlay();
+        });
+        
+        bindClick('btnDeleteOverlay', function() {
+            var name = UI.$('overlayName').value.trim();
+            if (OVERLAY.deleteTemplate(name)) {
+                UI.populateOverlayTemplates(OVERLAY.getNames(), OVERLAY.getActiveName());
+                applyOverlayTemplate(OVERLAY.getActive());
+                closeOverlayEditor();
+                UI.toast('✅ ' + CONFIG.TEXTS.MSG_OVERLAY_DELETED, 'success');
+            }
+        });
+        
+        bindClick('btnCloseOverlay', function() {
+            closeOverlayEditor();
+        });
+        
         // Tabs
         document.querySelectorAll('.tab').forEach(function(tab) {
             tab.addEventListener('click', function() {
@@ -399,44 +907,49 @@ var QRApp = (function() {
     }
     
     function setupScanCanvas() {
-        var preset = CONFIG.VIDEO_PRESETS[RECORDER.getState().quality];
-        var width = Math.round(preset.width * preset.scanScale);
-        var height = Math.round(preset.height * preset.scanScale);
+        // Ảnh quét theo hướng camera (jsQR đọc được mã xoay), chỉ vùng cắt của preset
+        var preset = RECORDER.getPreset();
+        var adjust = GOVERNOR.getAdjustment();
+        var region = PRESETS.getRegionSize(preset);
+        var scale = preset.scanScale * adjust.scanScale;
+        var width = Math.round(region.width * scale);
+        var height = Math.round(region.height * scale);
         SCANNER.setupCanvas(width, height);
-        SCANNER.setScanInterval(Math.round(1000 / preset.scanFPS));
+        SCANNER.setScanInterval(Math.round(1000 / Math.max(1, preset.scanFPS * adjust.scanFPS)));
     }
     
-    // ==================== Scan Loop ====================
+    // ==================== Scan ====================
     
-    function startScanLoop() {
-        if (state.scanLoopId) return;
+    /**
+     * Quét QR trên frame camera hiện tại
+     * Recorder gọi qua onScanFrame: rAF khi tab hiển thị, Worker timer khi tab ẩn
+     */
+    function scanCurrentFrame() {
+        var video = RECORDER.getScanVideo();
+        if (!video || !RECORDER.isCameraOn()) return;
         
-        function loop() {
-            if (!RECORDER.isCameraOn()) {
-                state.scanLoopId = null;
-                return;
-            }
-            
-            state.scanLoopId = requestAnimationFrame(loop);
-            
-            var video = UI.$('webcamVideo');
-            if (!video) return;
-            
-            // Scan for QR
-            var qrData = SCANNER.scanFrame(video);
-            if (qrData) {
-                SCANNER.processQR(qrData);
-            }
+        var qrData = SCANNER.scanFrame(video, RECORDER.getScanRegion());
+        if (qrData && !handleCommand(qrData)) {
+            SCANNER.processQR(qrData);
         }
         
-        loop();
+        checkIdle();
     }
     
-    function stopScanLoop() {
-        if (state.scanLoopId) {
-            cancelAnimationFrame(state.scanLoopId);
-            state.scanLoopId = null;
-        }
+    /**
+     * Đang ghi mà khu vực đóng gói đứng yên quá state.idleStop (quên quét kết thúc) -> tự dừng
+     * Mốc hoạt động = lần chuyển động cuối trên ảnh quét hoặc lần quét QR cuối
+     */
+    function checkIdle() {
+        if (!state.idleStop || !RECORDER.isRecording() || RECORDER.isPaused()) return;
+        
+        var lastActivity = Math.max(SCANNER.getLastMotionTime(), state.lastActivity);
+        var idleMs = Date.now() - lastActivity;
+        if (idleMs < state.idleStop) return;
+        
+        console.warn('[App] Idle for ' + Math.round(idleMs / 1000) + 's, auto-stopping ' + state.currentQR);
+        stopRecording({ reason: 'idle', idleSeconds: Math.round(idleMs / 1000) });
+        UI.toast('💤 ' + CONFIG.TEXTS.MSG_IDLE_STOPPED, 'warning', 6000);
     }
     
     // ==================== QR Detection Handler ====================
@@ -445,6 +958,7 @@ var QRApp = (function() {
         console.log('[App] QR Detected:', result.data);
         
         state.currentQR = result.data;
+        state.lastActivity = Date.now();
         
         // Show detection UI
         UI.showQRDetected({
@@ -454,22 +968,44 @@ var QRApp = (function() {
         
         // Start recording if not already
         if (!RECORDER.isRecording()) {
-            RECORDER.startRecording();
+            RECORDER.startRecording(result.data);
+        } else {
+            RECORDER.addDetectedProduct(result.data);
         }
         
+        var recording = RECORDER.getState();
+        UI.updateOrderStatus(recording.currentQR, recording.productCount);
+        
         // Schedule stop after post-buffer
+        schedulePostBuffer();
+    }
+    
+    /**
+     * Dừng đơn sau post-buffer; hết giờ lúc đang tạm dừng thì chờ ghi tiếp rồi hẹn lại
+     */
+    function schedulePostBuffer() {
         var postBuffer = RECORDER.getState().postBuffer;
         setTimeout(function() {
-            if (RECORDER.isRecording() && !SCANNER.isBlocked()) {
-                stopRecording();
+            if (!RECORDER.isRecording() || SCANNER.isBlocked()) return;
+            
+            if (RECORDER.isPaused()) {
+                state.postBufferSkipped = true;
+                return;
             }
+            stopRecording();
         }, postBuffer);
     }
     
-    function stopRecording() {
+    /**
+     * Dừng ghi đơn hiện tại
+     * @param {object} [autoStopped] - { reason: 'idle', idleSeconds } khi app tự dừng
+     */
+    function stopRecording(autoStopped) {
+        state.postBufferSkipped = false;
         RECORDER.stopRecording({
             qrCode: state.currentQR,
-            productCount: SCANNER.getProductCount()
+            productCount: SCANNER.getProductCount(),
+            autoStopped: autoStopped || null
         });
         
         stopTimer();
@@ -477,6 +1013,492 @@ var QRApp = (function() {
         state.currentQR = null;
         
         UI.updateRecordingStatus(false, 0);
+        UI.updateOrderStatus(null, 0);
+        UI.updatePauseState(false, false);
+        
+        applyPendingPreset();
+    }
+    
+    // ==================== Pause / Resume ====================
+    
+    /**
+     * Tạm dừng / ghi tiếp đơn đang ghi
+     * @param {string} source - 'button' | 'hotkey' | 'qr'
+     */
+    function togglePause(source) {
+        if (!RECORDER.isRecording()) {
+            UI.toast('⚠️ ' + CONFIG.TEXTS.ERR_PAUSE_NOT_RECORDING, 'warning');
+            return;
+        }
+        
+        if (RECORDER.isPaused()) {
+            RECORDER.resumeRecording(source);
+        } else {
+            RECORDER.pauseRecording(source);
+        }
+    }
+    
+    function handleHotkey(e) {
+        if (CONFIG.HOTKEYS.PAUSE.indexOf(e.key) === -1 || e.repeat || e.ctrlKey || e.altKey || e.metaKey) return;
+        
+        var target = e.target;
+        if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
+        
+        e.preventDefault();
+        togglePause('hotkey');
+    }
+    
+    /**
+     * Mã QR lệnh (CONFIG.COMMANDS): thực hiện lệnh, không tính là đơn / sản phẩm
+     * Mã lệnh còn trong khung hình thì bỏ qua trong SCAN_LOCK_MS
+     * @param {string} code
+     * @returns {boolean} - true nếu là mã lệnh
+     */
+    function handleCommand(code) {
+        var commands = CONFIG.COMMANDS;
+        if (code !== commands.PAUSE && code !== commands.RESUME) return false;
+        
+        var now = Date.now();
+        var last = state.lastCommand;
+        if (last && last.code === code && now - last.at < CONFIG.LIMITS.SCAN_LOCK_MS) return true;
+        state.lastCommand = { code: code, at: now };
+        
+        console.log('[App] Command QR:', code);
+        if (!RECORDER.isRecording()) {
+            UI.toast('⚠️ ' + CONFIG.TEXTS.ERR_PAUSE_NOT_RECORDING, 'warning');
+            return true;
+        }
+        
+        var done = code === commands.PAUSE ? RECORDER.pauseRecording('qr') : RECORDER.resumeRecording('qr');
+        if (done) {
+            SCANNER.beep();
+        }
+        return true;
+    }
+    
+    // ==================== PiP Monitor ====================
+    
+    /**
+     * Mở/đóng cửa sổ nổi theo dõi camera + trạng thái ghi
+     */
+    async function togglePip() {
+        if (MONITOR.isOpen()) {
+            MONITOR.close();
+            return;
+        }
+        
+        if (!RECORDER.isCameraOn()) {
+            UI.toast('⚠️ ' + CONFIG.TEXTS.ERR_PIP_NO_CAMERA, 'warning');
+            return;
+        }
+        
+        var opened = await MONITOR.open(RECORDER.getCanvas());
+        UI.updatePipButton(opened);
+        if (!opened) {
+            UI.toast('❌ ' + CONFIG.TEXTS.ERR_PIP, 'error');
+        }
+    }
+    
+    // ==================== Microphone ====================
+    
+    /**
+     * Lưu cài đặt micro rồi mở lại micro (đang ghi thì recorder áp dụng sau khi dừng)
+     * @param {object} patch
+     */
+    async function applyAudioSettings(patch) {
+        AUDIO.setSettings(patch);
+        if (!RECORDER.isCameraOn()) return;
+        
+        var applied = await RECORDER.restartAudio();
+        if (!applied) {
+            UI.toast('ℹ️ ' + CONFIG.TEXTS.MSG_AUDIO_AFTER_RECORDING, 'info');
+        }
+    }
+    
+    async function refreshMicrophones() {
+        UI.populateMicrophones(await AUDIO.getMicrophones(), AUDIO.getSettings().deviceId);
+    }
+    
+    function startAudioMeter() {
+        stopAudioMeter();
+        state.meterTimer = setInterval(function() {
+            UI.updateAudioMeter(AUDIO.isOpen() ? AUDIO.getLevel() : null);
+        }, 100);
+    }
+    
+    function stopAudioMeter() {
+        if (state.meterTimer) {
+            clearInterval(state.meterTimer);
+            state.meterTimer = null;
+        }
+        UI.updateAudioMeter(null);
+        UI.showAudioSilent(false);
+    }
+    
+    // ==================== Privacy Masks ====================
+    
+    /**
+     * Vẽ vùng che ngay trên khung preview (camera 1 hoặc camera 2)
+     */
+    function openMaskEditor() {
+        if (!RECORDER.isCameraOn()) {
+            UI.toast('⚠️ ' + CONFIG.TEXTS.ERR_CAMERA_OFF, 'warning');
+            return;
+        }
+        
+        UI.showMaskEditor(true, !!RECORDER.getVideoTrack('second'));
+        var target = UI.$('maskTarget').value;
+        MASKS.setShape(UI.$('maskShape').value);
+        MASKS.setMode(UI.$('maskMode').value);
+        MASKS.openEditor(UI.$('maskCanvas'), getMaskVideo(target), getSavedMasks(target));
+    }
+    
+    function closeMaskEditor() {
+        MASKS.closeEditor();
+        UI.showMaskEditor(false);
+    }
+    
+    function saveMasks() {
+        var track = RECORDER.getVideoTrack(UI.$('maskTarget').value);
+        try {
+            MASKS.save(CAMERA.getDeviceId(track), MASKS.getEditorZones());
+        } catch (e) {
+            UI.toast('❌ ' + e.message, 'error');
+            return;
+        }
+        
+        RECORDER.refreshMasks();
+        closeMaskEditor();
+        UI.toast('✅ ' + CONFIG.TEXTS.MSG_MASKS_SAVED, 'success');
+    }
+    
+    function getMaskVideo(target) {
+        return UI.$(target === 'second' ? 'webcamVideo2' : 'webcamVideo');
+    }
+    
+    function getSavedMasks(target) {
+        return MASKS.get(CAMERA.getDeviceId(RECORDER.getVideoTrack(target)));
+    }
+    
+    // ==================== Camera Controls ====================
+    
+    function openCameraSettings() {
+        if (!RECORDER.isCameraOn()) {
+            UI.toast('⚠️ ' + CONFIG.TEXTS.ERR_CAMERA_OFF, 'warning');
+            return;
+        }
+        
+        var target = UI.$('cameraTarget');
+        var hasSecond = !!RECORDER.getVideoTrack('second');
+        target.querySelector('option[value="second"]').disabled = !hasSecond;
+        if (!hasSecond) target.value = 'main';
+        
+        renderCameraSettings();
+        UI.showCameraModal();
+    }
+    
+    function renderCameraSettings() {
+        UI.renderCameraControls(CAMERA.getControls(RECORDER.getVideoTrack(UI.$('cameraTarget').value)));
+    }
+    
+    /**
+     * Áp dụng điều khiển camera; kéo thanh trượt liên tục thì chỉ áp dụng giá trị mới nhất
+     * @param {string} key
+     * @param {*} value
+     * @param {boolean} rerender - Vẽ lại panel sau khi áp dụng xong
+     */
+    async function applyCameraControl(key, value, rerender) {
+        state.cameraPending[key] = value;
+        state.cameraRerender = state.cameraRerender || !!rerender;
+        if (state.cameraApplying) return;
+        
+        state.cameraApplying = true;
+        var track = RECORDER.getVideoTrack(UI.$('cameraTarget').value);
+        
+        while (Object.keys(state.cameraPending).length > 0) {
+            var pending = state.cameraPending;
+            state.cameraPending = {};
+            
+            for (var k in pending) {
+                try {
+                    await CAMERA.setValue(track, k, pending[k]);
+                } catch (e) {
+                    console.warn('[App] Camera control error:', k, e);
+                    UI.toast('❌ ' + CONFIG.TEXTS.ERR_CAMERA_CONTROL + ': ' + k, 'error');
+                    state.cameraRerender = true;
+                }
+            }
+        }
+        
+        state.cameraApplying = false;
+        if (state.cameraRerender) {
+            state.cameraRerender = false;
+            renderCameraSettings();
+        }
+    }
+    
+    // ==================== Verify Video ====================
+    
+    /**
+     * Xác minh video đã chọn trong modal (kèm manifest nếu có)
+     */
+    async function runVerify() {
+        var videoFile = UI.$('verifyVideoFile').files[0];
+        var manifestFile = UI.$('verifyManifestFile').files[0];
+        
+        if (!videoFile) {
+            UI.renderVerifyReport(CONFIG.TEXTS.VERIFY_NO_FILE);
+            return;
+        }
+        
+        UI.renderVerifyReport(CONFIG.TEXTS.VERIFY_RUNNING);
+        
+        try {
+            var manifest = null;
+            if (manifestFile) {
+                manifest = JSON.parse(await manifestFile.text());
+            }
+            
+            var ledgerResult = await ORDERS.verifyLedger();
+            var report = await INTEGRITY.verifyVideo(videoFile, manifest, ORDERS.getAll(), ledgerResult);
+            UI.renderVerifyReport(report);
+        } catch (e) {
+            console.error('[App] Verify error:', e);
+            UI.renderVerifyReport('❌ ' + e.message);
+        }
+    }
+    
+    // ==================== Video Presets ====================
+    
+    /**
+     * Chọn preset; camera đang bật (chưa ghi) thì mở lại để camera + canvas theo preset mới
+     * Đang ghi: chỉ ghi nhớ, áp dụng khi dừng đơn (không dò lại encoder, không làm méo bản ghi hiện tại)
+     * @param {string} key
+     */
+    async function applyPreset(key) {
+        var active = PRESETS.setActive(key);
+        UI.populatePresets(PRESETS.getAll(), PRESETS.getActiveKey());
+        
+        if (RECORDER.isRecording()) {
+            state.pendingPreset = active;
+            UI.toast('ℹ️ ' + CONFIG.TEXTS.MSG_PRESET_PENDING, 'info');
+            return;
+        }
+        state.pendingPreset = null;
+        RECORDER.setQuality(active);
+        
+        if (RECORDER.getState().encoder === 'webcodecs') {
+            await RECORDER.setEncoder('webcodecs');
+        }
+        if (RECORDER.isCameraOn() && !RECORDER.isRecording()) {
+            await RECORDER.startCamera(UI.$('cameraSelect').value);
+        }
+        setupScanCanvas();
+    }
+    
+    /**
+     * Preset chọn trong lúc ghi: áp dụng sau khi đơn đã dừng
+     */
+    function applyPendingPreset() {
+        if (!state.pendingPreset || RECORDER.isRecording()) return;
+        applyPreset(state.pendingPreset);
+    }
+    
+    /**
+     * Mở form với preset đang dùng (preset có sẵn thì làm mẫu cho preset mới)
+     */
+    function openPresetEditor() {
+        var key = PRESETS.getActiveKey();
+        var preset = PRESETS.getActive();
+        var crop = preset.crop || { x: 0, y: 0, w: 1, h: 1 };
+        
+        UI.$('presetName').value = PRESETS.isCustom(key) ? preset.label : '';
+        UI.$('presetWidth').value = preset.width;
+        UI.$('presetHeight').value = preset.height;
+        UI.$('presetFps').value = preset.fps;
+        UI.$('presetRotate').value = String(preset.rotate);
+        UI.$('presetCropX').value = Math.round(crop.x * 100);
+        UI.$('presetCropY').value = Math.round(crop.y * 100);
+        UI.$('presetCropW').value = Math.round(crop.w * 100);
+        UI.$('presetCropH').value = Math.round(crop.h * 100);
+        UI.$('presetScanFps').value = preset.scanFPS;
+        UI.$('presetScanScale').value = preset.scanScale;
+        UI.$('presetError').textContent = '';
+        UI.$('btnDeletePreset').classList.toggle('hidden', !PRESETS.isCustom(key));
+        
+        UI.showPresetModal();
+    }
+    
+    function savePreset() {
+        var name = UI.$('presetName').value.trim();
+        if (!name) {
+            UI.toast('⚠️ ' + CONFIG.TEXTS.ERR_PRESET_NAME, 'error');
+            return;
+        }
+        
+        var percent = function(id) {
+            return parseFloat(UI.$(id).value) / 100;
+        };
+        
+        try {
+            var key = PRESETS.saveCustom(name, {
+                width: UI.$('presetWidth').value,
+                height: UI.$('presetHeight').value,
+                fps: UI.$('presetFps').value,
+                rotate: UI.$('presetRotate').value,
+                crop: {
+                    x: percent('presetCropX'),
+                    y: percent('presetCropY'),
+                    w: percent('presetCropW'),
+                    h: percent('presetCropH')
+                },
+                scanFPS: UI.$('presetScanFps').value,
+                scanScale: UI.$('presetScanScale').value
+            });
+            UI.hidePresetModal();
+            applyPreset(key);
+            UI.toast('✅ ' + CONFIG.TEXTS.MSG_PRESET_SAVED, 'success');
+        } catch (e) {
+            UI.$('presetError').textContent = '❌ ' + e.message;
+        }
+    }
+    
+    // ==================== Overlay Editor ====================
+    
+    /**
+     * Mở editor với template đang dùng
+     */
+    function openOverlayEditor() {
+        var template = OVERLAY.getActive();
+        var profile = OVERLAY.getProfile();
+        
+        UI.$('overlayName').value = template.name === OVERLAY.DEFAULT_NAME ? '' : template.name;
+        UI.$('overlayJson').value = JSON.stringify({ margin: template.margin, elements: template.elements }, null, 2);
+        UI.$('overlayStation').value = profile.station;
+        UI.$('overlayOperator').value = profile.operator;
+        UI.$('overlayShop').value = profile.shop;
+        UI.$('overlayError').textContent = '';
+        
+        state.overlayDraft = template;
+        UI.showOverlayModal();
+        startOverlayPreview();
+    }
+    
+    /**
+     * Đọc JSON đang sửa thành bản nháp (chỉ khung xem trước dùng, canvas ghi hình giữ template cũ)
+     * @returns {boolean} - JSON hợp lệ
+     */
+    function applyOverlayDraft() {
+        try {
+            state.overlayDraft = OVERLAY.validate(JSON.parse(UI.$('overlayJson').value));
+            UI.$('overlayError').textContent = '';
+            return true;
+        } catch (e) {
+            UI.$('overlayError').textContent = '❌ ' + e.message;
+            return false;
+        }
+    }
+    
+    /**
+     * Thêm/thay logo (element id 'logo') bằng ảnh đã chọn
+     * @param {File} file
+     */
+    function loadOverlayLogo(file) {
+        if (!file || !applyOverlayDraft()) return;
+        
+        if (file.size > OVERLAY.MAX_LOGO_BYTES) {
+            UI.$('overlayError').textContent = '❌ ' + CONFIG.TEXTS.ERR_OVERLAY_LOGO + ' ' +
+                Math.round(OVERLAY.MAX_LOGO_BYTES / 1024) + ' KB';
+            return;
+        }
+        
+        var reader = new FileReader();
+        reader.onload = function() {
+            var elements = state.overlayDraft.elements;
+            var logo = elements.filter(function(el) { return el.id === 'logo'; })[0];
+            if (!logo) {
+                logo = { id: 'logo', type: 'image', anchor: 'flip-right', x: 0, y: 0, width: 160, opacity: 0.9, when: 'always' };
+                elements.push(logo);
+            }
+            logo.src = reader.result;
+            
+            UI.$('overlayJson').value = JSON.stringify({ margin: state.overlayDraft.margin, elements: elements }, null, 2);
+            applyOverlayDraft();
+        };
+        reader.readAsDataURL(file);
+    }
+    
+    function saveOverlay() {
+        if (!applyOverlayDraft()) return;
+        
+        var name = UI.$('overlayName').value.trim();
+        if (!name || name === OVERLAY.DEFAULT_NAME) {
+            UI.toast('⚠️ ' + CONFIG.TEXTS.ERR_OVERLAY_NAME, 'error');
+            return;
+        }
+        
+        try {
+            var template = OVERLAY.saveTemplate(name, state.overlayDraft);
+            UI.populateOverlayTemplates(OVERLAY.getNames(), OVERLAY.getActiveName());
+            UI.toast('✅ ' + CONFIG.TEXTS.MSG_OVERLAY_SAVED, 'success');
+            applyOverlayTemplate(template);
+        } catch (e) {
+            UI.$('overlayError').textContent = '❌ ' + e.message;
+        }
+    }
+    
+    /**
+     * Đưa template vào recorder - đang ghi thì recorder giữ lại tới khi dừng đơn
+     * @param {object} template
+     */
+    function applyOverlayTemplate(template) {
+        if (!RECORDER.setOverlayTemplate(template)) {
+            UI.toast('ℹ️ ' + CONFIG.TEXTS.MSG_OVERLAY_PENDING, 'info');
+        }
+    }
+    
+    /**
+     * Đóng editor - bỏ bản nháp chưa lưu
+     */
+    function closeOverlayEditor() {
+        if (state.overlayPreviewId) {
+            cancelAnimationFrame(state.overlayPreviewId);
+            state.overlayPreviewId = null;
+        }
+        state.overlayDraft = null;
+        UI.hideOverlayModal();
+    }
+    
+    /**
+     * Khung xem trước: hình camera + bản nháp vẽ trên canvas riêng, hoặc dữ liệu mẫu khi camera tắt
+     */
+    function startOverlayPreview() {
+        var canvas = UI.$('overlayPreview');
+        var ctx = canvas.getContext('2d');
+        
+        function draw() {
+            if (!state.overlayDraft) return;
+            state.overlayPreviewId = requestAnimationFrame(draw);
+            
+            if (RECORDER.renderPreview(canvas, state.overlayDraft)) return;
+            
+            ctx.fillStyle = '#222';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            OVERLAY.render(ctx, canvas, state.overlayDraft, {
+                now: new Date(),
+                order: 'DH123456789',
+                isRecording: true,
+                audio: UI.$('audioToggle').checked,
+                audioLevel: { db: -20, value: 0.67 },
+                detectQR: null,
+                products: 2,
+                fps: 60,
+                scanRate: 3,
+                timestampPos: UI.$('timestampSelect').value
+            });
+        }
+        
+        if (!state.overlayPreviewId) draw();
     }
     
     // ==================== Timer ====================
@@ -485,10 +1507,13 @@ var QRApp = (function() {
         state.recordingDuration = 0;
         
         if (state.timerInterval) {
-            clearInterval(state.timerInterval);
+            SCHEDULER.stop(state.timerInterval);
         }
         
-        state.timerInterval = setInterval(function() {
+        // Worker timer: cửa sổ PiP vẫn đếm giờ khi tab bị ẩn
+        state.timerInterval = SCHEDULER.start(function() {
+            // Đứng yên lúc tạm dừng: thời lượng = thời lượng video
+            if (RECORDER.isPaused()) return;
             state.recordingDuration++;
             UI.updateRecordingStatus(true, state.recordingDuration);
         }, 1000);
@@ -496,7 +1521,7 @@ var QRApp = (function() {
     
     function stopTimer() {
         if (state.timerInterval) {
-            clearInterval(state.timerInterval);
+            SCHEDULER.stop(state.timerInterval);
             state.timerInterval = null;
         }
     }
@@ -506,15 +1531,22 @@ var QRApp = (function() {
     function startScanLockTimer(duration) {
         var endTime = Date.now() + duration;
         
+        if (state.scanLockTimer) {
+            SCHEDULER.stop(state.scanLockTimer);
+        }
+        
+        // Không dùng rAF: đếm ngược trên cửa sổ PiP phải chạy cả khi tab bị ẩn
         function update() {
             var remaining = Math.max(0, endTime - Date.now());
             UI.updateScanLock(remaining / 1000);
             
-            if (remaining > 0) {
-                requestAnimationFrame(update);
+            if (remaining <= 0 && state.scanLockTimer) {
+                SCHEDULER.stop(state.scanLockTimer);
+                state.scanLockTimer = null;
             }
         }
         
+        state.scanLockTimer = SCHEDULER.start(update, 200);
         update();
     }
     
@@ -529,6 +1561,8 @@ var QRApp = (function() {
         
         // Update history
         UI.renderHistory(ORDERS.getAll());
+        
+        UI.updateClockAck(RECORDER.isClockBehind());
     }
     
     function updateVolumeDisplay(value) {
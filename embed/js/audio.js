@@ -0,0 +1,282 @@
+/**
+ * QR Scanner v7.25 - Microphone Module
+ *
+ * Chứa tất cả logic:
+ * - Micro riêng (không phụ thuộc camera), chọn theo deviceId
+ * - Chống ồn, khử vọng, tự cân bằng âm lượng (constraints của getUserMedia)
+ * - Đo mức âm thanh bằng AnalyserNode (thanh mức trên giao diện và trên video)
+ * - Cảnh báo khi đang ghi mà im lặng quá lâu (micro tắt, rút dây, bị mute)
+ *
+ * Depends on: storage.js
+ */
+
+var QRAudio = (function() {
+    'use strict';
+    
+    var STORAGE = QRStorage;
+    
+    var MIN_DB = -60;                  // Mức hiển thị: -60 dBFS = 0, 0 dBFS = 1
+    var SILENCE_DB = -50;              // Dưới -50 dBFS = im lặng
+    var SILENCE_WARN_MS = 30000;       // Im lặng 30s liên tục khi đang ghi thì cảnh báo
+    var MEASURE_INTERVAL_MS = 50;
+    
+    var DEFAULT_SETTINGS = {
+        deviceId: '',
+        noiseSuppression: true,
+        echoCancellation: true,
+        autoGainControl: true
+    };
+    
+    var state = {
+        settings: Object.assign({}, DEFAULT_SETTINGS),
+        stream: null,
+        label: '',
+        level: { db: MIN_DB, value: 0 },
+        lastMeasure: 0,
+        silentSince: null,
+        silentWarned: false
+    };
+    
+    var audioCtx = null;
+    var source = null;
+    var analyser = null;
+    var samples = null;
+    
+    var callbacks = {
+        onSilence: null
+    };
+    
+    // ==================== Settings ====================
+    
+    /**
+     * Load micro đã chọn + các tùy chọn xử lý âm thanh
+     */
+    function load() {
+        state.settings = Object.assign({}, DEFAULT_SETTINGS, STORAGE.loadAudio());
+    }
+    
+    /**
+     * Đổi cài đặt (có hiệu lực ở lần mở micro tiếp theo)
+     * @param {object} patch - { deviceId, noiseSuppression, echoCancellation, autoGainControl }
+     */
+    function setSettings(patch) {
+        Object.keys(DEFAULT_SETTINGS).forEach(function(key) {
+            if (patch.hasOwnProperty(key)) {
+                state.settings[key] = key === 'deviceId' ? String(patch[key] || '') : !!patch[key];
+            }
+        });
+        STORAGE.saveAudio(state.settings);
+    }
+    
+    /**
+     * Danh sách micro (tên chỉ có sau khi đã cấp quyền)
+     * @returns {Promise<Array>} - [{ deviceId, label }]
+     */
+    async function getMicrophones() {
+        try {
+            var devices = await navigator.mediaDevices.enumerateDevices();
+            return devices.filter(function(d) {
+                return d.kind === 'audioinput';
+            }).map(function(d) {
+                return { deviceId: d.deviceId, label: d.label };
+            });
+        } catch (e) {
+            console.error('[Audio] enumerateDevices error:', e);
+            return [];
+        }
+    }
+    
+    // ==================== Stream ====================
+    
+    /**
+     * Mở micro theo cài đặt (đóng micro cũ trước)
+     * @returns {Promise<MediaStreamTrack>}
+     */
+    async function open() {
+        close();
+        
+        var settings = state.settings;
+        var constraints = {
+            noiseSuppression: settings.noiseSuppression,
+            echoCancellation: settings.echoCancellation,
+            autoGainControl: settings.autoGainControl
+        };
+        if (settings.deviceId) {
+            constraints.deviceId = { exact: settings.deviceId };
+        }
+        
+        var stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: constraints, video: false });
+        } catch (e) {
+            // Micro đã chọn bị rút -> dùng micro mặc định
+            if (!settings.deviceId || (e.name !== 'OverconstrainedError' && e.name !== 'NotFoundError')) throw e;
+            console.warn('[Audio] Selected microphone not found, using default');
+            delete constraints.deviceId;
+            stream = await navigator.mediaDevices.getUserMedia({ audio: constraints, video: false });
+        }
+        
+        var track = stream.getAudioTracks()[0];
+        state.stream = stream;
+        state.label = track ? track.label : '';
+        startAnalyser(stream);
+        
+        console.log('[Audio] Microphone opened: ' + state.label);
+        return track;
+    }
+    
+    function close() {
+        stopAnalyser();
+        if (state.stream) {
+            state.stream.getTracks().forEach(function(track) {
+                track.stop();
+            });
+            state.stream = null;
+        }
+        state.label = '';
+        state.level = { db: MIN_DB, value: 0 };
+        resetSilence();
+    }
+    
+    /**
+     * Track đang mở (để ghép vào bản ghi)
+     * @returns {MediaStreamTrack|null}
+     */
+    function getTrack() {
+        return state.stream ? state.stream.getAudioTracks()[0] || null : null;
+    }
+    
+    // ==================== Level ====================
+    
+    function startAnalyser(stream) {
+        try {
+            if (!audioCtx) {
+                audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+            }
+            if (audioCtx.state === 'suspended') {
+                audioCtx.resume();
+            }
+            source = audioCtx.createMediaStreamSource(stream);
+            analyser = audioCtx.createAnalyser();
+            analyser.fftSize = 1024;
+            samples = new Float32Array(analyser.fftSize);
+            source.connect(analyser);
+        } catch (e) {
+            console.warn('[Audio] Analyser init failed:', e);
+            analyser = null;
+        }
+    }
+    
+    function stopAnalyser() {
+        if (source) {
+            source.disconnect();
+            source = null;
+        }
+        analyser = null;
+    }
+    
+    /**
+     * Mức âm thanh hiện tại (RMS của khung mẫu gần nhất)
+     * @returns {object} - { db, value } value 0-1 theo thang MIN_DB..0 dBFS
+     */
+    function getLevel() {
+        var now = Date.now();
+        if (!analyser || now - state.lastMeasure < MEASURE_INTERVAL_MS) return state.level;
+        state.lastMeasure = now;
+        
+        analyser.getFloatTimeDomainData(samples);
+        var sum = 0;
+        for (var i = 0; i < samples.length; i++) {
+            sum += samples[i] * samples[i];
+        }
+        var rms = Math.sqrt(sum / samples.length);
+        var db = rms > 0 ? Math.max(MIN_DB, 20 * Math.log10(rms)) : MIN_DB;
+        
+        state.level = {
+            db: Math.round(db),
+            value: (db - MIN_DB) / -MIN_DB
+        };
+        return state.level;
+    }
+    
+    // ==================== Silence ====================
+    
+    /**
+     * Theo dõi im lặng (recorder gọi mỗi frame render)
+     * @param {boolean} recording - Chỉ cảnh báo khi đang ghi đơn
+     */
+    function monitor(recording) {
+        if (!recording || !state.stream) {
+            resetSilence();
+            return;
+        }
+        
+        var now = Date.now();
+        var level = getLevel();
+        
+        if (level.db > SILENCE_DB) {
+            if (state.silentWarned) {
+                triggerCallback('onSilence', { silent: false, durationMs: now - state.silentSince });
+            }
+            state.silentSince = null;
+            state.silentWarned = false;
+            return;
+        }
+        
+        if (!state.silentSince) state.silentSince = now;
+        if (!state.silentWarned && now - state.silentSince >= SILENCE_WARN_MS) {
+            state.silentWarned = true;
+            console.warn('[Audio] Silent for ' + Math.round(SILENCE_WARN_MS / 1000) + 's');
+            triggerCallback('onSilence', { silent: true, since: state.silentSince, seconds: Math.round(SILENCE_WARN_MS / 1000) });
+        }
+    }
+    
+    function resetSilence() {
+        var warned = state.silentWarned;
+        state.silentSince = null;
+        state.silentWarned = false;
+        if (warned) {
+            triggerCallback('onSilence', { silent: false, durationMs: 0 });
+        }
+    }
+    
+    // ==================== Callbacks ====================
+    
+    function on(event, callback) {
+        if (callbacks.hasOwnProperty(event)) {
+            callbacks[event] = callback;
+        }
+    }
+    
+    function triggerCallback(event, data) {
+        if (callbacks[event] && typeof callbacks[event] === 'function') {
+            callbacks[event](data);
+        }
+    }
+    
+    // ==================== Public API ====================
+    return {
+        load: load,
+        getSettings: function() { return Object.assign({}, state.settings); },
+        setSettings: setSettings,
+        getMicrophones: getMicrophones,
+        
+        // Stream
+        open: open,
+        close: close,
+        isOpen: function() { return !!state.stream; },
+        getTrack: getTrack,
+        getLabel: function() { return state.label; },
+        
+        // Level
+        getLevel: getLevel,
+        monitor: monitor,
+        
+        on: on
+    };
+})();
+
+// Export for Node.js (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRAudio;
+}
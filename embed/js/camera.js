@@ -0,0 +1,223 @@
+/**
+ * QR Scanner v7.25 - Camera Controls Module
+ *
+ * Chứa tất cả logic:
+ * - Đọc khả năng của camera (MediaStreamTrack.getCapabilities)
+ * - Zoom, lấy nét, phơi sáng, cân bằng trắng, đèn (applyConstraints)
+ * - Lưu theo deviceId và tự áp dụng lại khi mở đúng camera đó
+ *
+ * Depends on: storage.js
+ */
+
+var QRCamera = (function() {
+    'use strict';
+    
+    var STORAGE = QRStorage;
+    
+    // type: 'range' (min/max/step) | 'mode' (danh sách chế độ) | 'toggle'
+    // manual: range chỉ có tác dụng khi chế độ tương ứng là 'manual'
+    var CONTROLS = [
+        { key: 'zoom', label: '🔍 Zoom', type: 'range' },
+        { key: 'focusMode', label: '🎯 Lấy nét', type: 'mode' },
+        { key: 'focusDistance', label: '📏 Khoảng cách nét', type: 'range', manual: 'focusMode' },
+        { key: 'exposureMode', label: '☀️ Phơi sáng', type: 'mode' },
+        { key: 'exposureCompensation', label: '± Bù sáng', type: 'range' },
+        { key: 'exposureTime', label: '⏱️ Thời gian phơi sáng', type: 'range', manual: 'exposureMode' },
+        { key: 'whiteBalanceMode', label: '🌡️ Cân bằng trắng', type: 'mode' },
+        { key: 'colorTemperature', label: '🎨 Nhiệt độ màu (K)', type: 'range', manual: 'whiteBalanceMode' },
+        { key: 'torch', label: '🔦 Đèn', type: 'toggle' }
+    ];
+    
+    var MODE_LABELS = {
+        'manual': 'Thủ công',
+        'single-shot': 'Một lần',
+        'continuous': 'Tự động',
+        'none': 'Tắt'
+    };
+    
+    // ==================== Capabilities ====================
+    
+    /**
+     * Các điều khiển camera hỗ trợ, kèm giá trị hiện tại
+     * @param {MediaStreamTrack} track
+     * @returns {Array} - [{ key, label, type, manual, value, min, max, step, options }]
+     */
+    function getControls(track) {
+        if (!track || typeof track.getCapabilities !== 'function') return [];
+        
+        var caps = track.getCapabilities();
+        var settings = track.getSettings ? track.getSettings() : {};
+        
+        return CONTROLS.map(function(def) {
+            var cap = caps[def.key];
+            if (cap === undefined || cap === null) return null;
+            
+            var control = {
+                key: def.key,
+                label: def.label,
+                type: def.type,
+                manual: def.manual || null,
+                value: settings[def.key]
+            };
+            
+            if (def.type === 'range') {
+                if (typeof cap.min !== 'number' || typeof cap.max !== 'number' || cap.max <= cap.min) return null;
+                control.min = cap.min;
+                control.max = cap.max;
+                control.step = cap.step || (cap.max - cap.min) / 100;
+                control.disabled = !!def.manual && settings[def.manual] !== 'manual' && hasMode(caps, def.manual);
+            } else if (def.type === 'mode') {
+                if (!Array.isArray(cap) || cap.length === 0) return null;
+                control.options = cap.map(function(mode) {
+                    return { value: mode, label: MODE_LABELS[mode] || mode };
+                });
+            } else if (def.type === 'toggle') {
+                var supported = Array.isArray(cap) ? cap.indexOf(true) !== -1 : cap === true;
+                if (!supported) return null;
+                control.value = !!settings[def.key];
+            }
+            
+            return control;
+        }).filter(Boolean);
+    }
+    
+    function hasMode(caps, modeKey) {
+        return Array.isArray(caps[modeKey]) && caps[modeKey].indexOf('manual') !== -1;
+    }
+    
+    /**
+     * deviceId thực của track (startCamera có thể được gọi không kèm deviceId)
+     * @param {MediaStreamTrack} track
+     * @returns {string}
+     */
+    function getDeviceId(track) {
+        var settings = track && track.getSettings ? track.getSettings() : {};
+        return settings.deviceId || '';
+    }
+    
+    // ==================== Apply ====================
+    
+    /**
+     * Đổi một điều khiển và lưu cho camera này
+     * Chỉnh range có chế độ 'manual' (vd: khoảng cách nét) thì tự chuyển chế độ sang thủ công
+     * @param {MediaStreamTrack} track
+     * @param {string} key
+     * @param {*} value
+     * @returns {Promise}
+     */
+    async function setValue(track, key, value) {
+        var def = findControl(key);
+        if (!def || !track) return;
+        
+        var patch = {};
+        if (def.manual && hasMode(track.getCapabilities(), def.manual)) {
+            patch[def.manual] = 'manual';
+        }
+        patch[key] = value;
+        
+        await track.applyConstraints({ advanced: [patch] });
+        save(getDeviceId(track), patch);
+    }
+    
+    /**
+     * Áp dụng lại cài đặt đã lưu của camera (gọi ngay sau getUserMedia)
+     * @param {MediaStreamTrack} track
+     * @returns {Promise<boolean>} - Có cài đặt nào được áp dụng không
+     */
+    async function restore(track) {
+        if (!track || typeof track.getCapabilities !== 'function') return false;
+        
+        var deviceId = getDeviceId(track);
+        var saved = STORAGE.loadCameraSettings()[deviceId];
+        if (!saved) return false;
+        
+        // Chỉ giữ các điều khiển camera này còn hỗ trợ, chế độ đứng trước giá trị
+        var caps = track.getCapabilities();
+        var patch = {};
+        CONTROLS.filter(function(def) { return def.type === 'mode'; })
+            .concat(CONTROLS.filter(function(def) { return def.type !== 'mode'; }))
+            .forEach(function(def) {
+                if (saved.hasOwnProperty(def.key) && caps[def.key] !== undefined) {
+                    patch[def.key] = saved[def.key];
+                }
+            });
+        if (Object.keys(patch).length === 0) return false;
+        
+        try {
+            await track.applyConstraints({ advanced: [patch] });
+        } catch (e) {
+            // Một giá trị không hợp lệ không được làm mất các giá trị còn lại
+            console.warn('[Camera] Restore failed, applying one by one:', e);
+            for (var key in patch) {
+                var single = {};
+                single[key] = patch[key];
+                await track.applyConstraints({ advanced: [single] }).catch(function() {});
+            }
+        }
+        
+        console.log('[Camera] Restored settings for ' + (track.label || deviceId));
+        return true;
+    }
+    
+    /**
+     * Về chế độ tự động và xóa cài đặt đã lưu của camera
+     * @param {MediaStreamTrack} track
+     * @returns {Promise}
+     */
+    async function reset(track) {
+        if (!track || typeof track.getCapabilities !== 'function') return;
+        
+        var caps = track.getCapabilities();
+        var patch = {};
+        CONTROLS.forEach(function(def) {
+            var cap = caps[def.key];
+            if (cap === undefined) return;
+            
+            if (def.type === 'mode' && Array.isArray(cap) && cap.indexOf('continuous') !== -1) {
+                patch[def.key] = 'continuous';
+            } else if (def.key === 'zoom' && typeof cap.min === 'number') {
+                patch.zoom = cap.min;
+            } else if (def.key === 'exposureCompensation' && typeof cap.min === 'number') {
+                patch.exposureCompensation = Math.min(Math.max(0, cap.min), cap.max);
+            } else if (def.type === 'toggle') {
+                patch[def.key] = false;
+            }
+        });
+        
+        var all = STORAGE.loadCameraSettings();
+        delete all[getDeviceId(track)];
+        STORAGE.saveCameraSettings(all);
+        
+        if (Object.keys(patch).length > 0) {
+            await track.applyConstraints({ advanced: [patch] });
+        }
+    }
+    
+    // ==================== Helpers ====================
+    
+    function findControl(key) {
+        return CONTROLS.filter(function(def) { return def.key === key; })[0] || null;
+    }
+    
+    function save(deviceId, patch) {
+        if (!deviceId) return;
+        
+        var all = STORAGE.loadCameraSettings();
+        all[deviceId] = Object.assign({}, all[deviceId], patch);
+        STORAGE.saveCameraSettings(all);
+    }
+    
+    // ==================== Public API ====================
+    return {
+        getControls: getControls,
+        getDeviceId: getDeviceId,
+        setValue: setValue,
+        restore: restore,
+        reset: reset
+    };
+})();
+
+// Export for Node.js (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRCamera;
+}
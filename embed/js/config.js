@@ -12,6 +12,8 @@
 var QRConfig = (function() {
     'use strict';
     
+    var VERSION = '7.25';
+    
     // ==================== API URLs ====================
     var API = {
         BASE_URL: 'https://qr-scanner-backend-v725.onrender.com',
@@ -26,7 +28,17 @@ var QRConfig = (function() {
         DAILY: 'qrScannerDaily',
         GRACE_PERIOD: 'qrScannerGracePeriod',
         VISITOR_ID: 'visitorId',
-        LICENSE_COOKIE: 'qrLicenseBackupEmbed'
+        LICENSE_COOKIE: 'qrLicenseBackupEmbed',
+        JOURNAL_DIR: '.qr-journal',
+        LEDGER: 'qrScannerLedger',
+        OVERLAY_TEMPLATES: 'qrScannerOverlayTemplates',
+        CLOCK: 'qrScannerClock',
+        CAMERA_SETTINGS: 'qrScannerCameraSettings',
+        VIDEO_PRESETS: 'qrScannerVideoPresets',
+        GOVERNOR: 'qrScannerGovernor',
+        MASKS: 'qrScannerMasks',
+        AUDIO: 'qrScannerAudio',
+        PROFILE: 'qrScannerProfile'
     };
     
     // ==================== Limits ====================
@@ -41,7 +53,26 @@ var QRConfig = (function() {
     };
     
     // ==================== Video Presets ====================
+    // width/height: khung hình ghi (canvas); scanFPS/scanScale: tần suất và tỉ lệ ảnh quét QR
+    // rotate: xoay ảnh camera (90/270 = dọc); crop: vùng cắt { x, y, w, h } tỉ lệ 0-1 của ảnh camera
+    // Camera được yêu cầu đủ lớn để vùng cắt (sau khi xoay) đạt đúng width/height - xem QRPresets.getCaptureSize
     var VIDEO_PRESETS = {
+        '480p30': {
+            width: 854,
+            height: 480,
+            fps: 30,
+            scanFPS: 3,
+            scanScale: 1,
+            label: '480p 30fps'
+        },
+        '720p30': {
+            width: 1280,
+            height: 720,
+            fps: 30,
+            scanFPS: 3,
+            scanScale: 0.75,
+            label: '720p 30fps'
+        },
         '1080p30': {
             width: 1920,
             height: 1080,
@@ -57,6 +88,41 @@ var QRConfig = (function() {
             scanFPS: 3,
             scanScale: 0.5,
             label: '1080p 60fps'
+        },
+        '2160p30': {
+            width: 3840,
+            height: 2160,
+            fps: 30,
+            scanFPS: 2,
+            scanScale: 0.25,
+            label: '4K 30fps'
+        },
+        'portrait720': {
+            width: 720,
+            height: 1280,
+            fps: 30,
+            scanFPS: 3,
+            scanScale: 0.75,
+            rotate: 90,
+            label: 'Dọc 720p 30fps'
+        },
+        'portrait1080': {
+            width: 1080,
+            height: 1920,
+            fps: 30,
+            scanFPS: 3,
+            scanScale: 0.5,
+            rotate: 90,
+            label: 'Dọc 1080p 30fps'
+        },
+        'center720': {
+            width: 1280,
+            height: 720,
+            fps: 30,
+            scanFPS: 3,
+            scanScale: 0.5,
+            crop: { x: 1 / 6, y: 1 / 6, w: 2 / 3, h: 2 / 3 },
+            label: 'Cắt giữa 720p (camera 1080p)'
         }
     };
     
@@ -67,6 +133,40 @@ var QRConfig = (function() {
         '12': { value: 12000000, label: '12 Mbps' }
     };
     
+    // ==================== Codecs ====================
+    // Xếp hạng theo thứ tự ưu tiên trong từng container.
+    // MP4 (H.264/AAC) phát được trên điện thoại và máy của bộ phận CSKH sàn.
+    var CODECS = [
+        { mimeType: 'video/mp4;codecs=avc1.640032,mp4a.40.2', ext: 'mp4', container: 'mp4', name: 'H.264+AAC' },
+        { mimeType: 'video/mp4;codecs=avc1.42E01F,mp4a.40.2', ext: 'mp4', container: 'mp4', name: 'H.264 Baseline+AAC' },
+        { mimeType: 'video/mp4;codecs=avc1,mp4a', ext: 'mp4', container: 'mp4', name: 'H.264+AAC' },
+        { mimeType: 'video/mp4', ext: 'mp4', container: 'mp4', name: 'MP4' },
+        { mimeType: 'video/webm;codecs=vp9,opus', ext: 'webm', container: 'webm', name: 'VP9+Opus' },
+        { mimeType: 'video/webm;codecs=vp8,opus', ext: 'webm', container: 'webm', name: 'VP8+Opus' },
+        { mimeType: 'video/webm;codecs=vp8', ext: 'webm', container: 'webm', name: 'VP8' },
+        { mimeType: 'video/webm', ext: 'webm', container: 'webm', name: 'WebM' }
+    ];
+    
+    // ==================== Container Options ====================
+    var CONTAINER_OPTIONS = {
+        'mp4': { label: 'MP4 (H.264)' },
+        'webm': { label: 'WebM (VP9/VP8)' }
+    };
+    
+    // ==================== Encoder ====================
+    var ENCODER_OPTIONS = {
+        'mediarecorder': { label: 'MediaRecorder' },
+        'webcodecs': { label: 'WebCodecs (CFR)' }
+    };
+    
+    // WebCodecs chỉ xuất WebM (muxer nội bộ - xem webm.js)
+    var WEBCODECS_CODECS = [
+        { codec: 'vp09.00.40.08', webmCodecId: 'V_VP9', mimeType: 'video/webm;codecs=vp9,opus', ext: 'webm', container: 'webm', name: 'VP9 (WebCodecs)' },
+        { codec: 'vp8', webmCodecId: 'V_VP8', mimeType: 'video/webm;codecs=vp8,opus', ext: 'webm', container: 'webm', name: 'VP8 (WebCodecs)' }
+    ];
+    
+    var KEYFRAME_OPTIONS = [1, 2, 5]; // giây
+    
     // ==================== Timestamp Positions ====================
     var TIMESTAMP_POSITIONS = {
         'top-left': { label: 'Trên - Trái' },
@@ -75,6 +175,29 @@ var QRConfig = (function() {
         'bottom-right': { label: 'Dưới - Phải' }
     };
     
+    // ==================== Second Camera Layouts ====================
+    var CAMERA_LAYOUTS = {
+        'pip': { label: 'Ảnh trong ảnh', pipScale: 0.3 }, // Camera 2 ở góc trống (cùng hàng Timestamp, phía đối diện)
+        'side': { label: 'Cạnh nhau' }
+    };
+    
+    var SCAN_SOURCES = {
+        'main': { label: 'Camera 1' },
+        'second': { label: 'Camera 2' }
+    };
+    
+    // ==================== Command Codes ====================
+    // Mã QR lệnh (in ra dán ở bàn đóng gói) - không tính là mã đơn / sản phẩm
+    var COMMANDS = {
+        PAUSE: 'QRCMD:PAUSE',
+        RESUME: 'QRCMD:RESUME'
+    };
+    
+    // Phím tắt (KeyboardEvent.key), bỏ qua khi đang gõ trong ô nhập
+    var HOTKEYS = {
+        PAUSE: ['p', 'P', 'Pause']
+    };
+    
     // ==================== Texts/Labels (Vietnamese) ====================
     var TEXTS = {
         // App
@@ -96,14 +219,19 @@ var QRConfig = (function() {
         BTN_DOWNLOAD: '💾 Tải về',
         BTN_CLOSE: 'Đóng',
         BTN_RENEW: '🔄 Gia hạn ngay',
+        BTN_PIP_OPEN: '🖼️ Cửa sổ nổi',
+        BTN_PIP_CLOSE: '🖼️ Đóng cửa sổ nổi',
         BTN_LATER: 'Để sau',
         
         // Labels
         LBL_QUALITY: 'Chất lượng',
         LBL_BITRATE: 'Bitrate',
+        LBL_CONTAINER: 'Định dạng',
         LBL_AUDIO: 'Ghi âm',
         LBL_TIMESTAMP: 'Timestamp',
         LBL_POST_BUFFER: 'Ghi thêm sau QR',
+        LBL_PRE_ROLL: 'Ghi trước QR',
+        LBL_SEGMENT: 'Chia file',
         LBL_BEEP_VOLUME: 'Âm lượng beep',
         LBL_HISTORY: 'Lịch sử quét',
         LBL_SEARCH: 'Tìm kiếm...',
@@ -121,11 +249,18 @@ var QRConfig = (function() {
         MSG_FOLDER_SELECTED: 'Đã chọn thư mục',
         MSG_QR_DETECTED: 'Đã quét QR',
         MSG_VIDEO_SAVED: 'Đã lưu video',
+        MSG_VIDEO_RECOVERED: 'Đã khôi phục video dang dở',
+        MSG_ORDER_UNCHAINED: 'Đơn đã lưu nhưng không nối được vào sổ cái',
+        ERR_ORDER_SAVE: 'Lỗi lưu đơn vào lịch sử',
+        MSG_SEGMENT_SAVED: 'Đã lưu phần',
         MSG_LICENSE_ACTIVATED: 'License đã kích hoạt',
         MSG_LICENSE_EXPIRED: 'License đã hết hạn',
         MSG_LIMIT_REACHED: 'Đã hết lượt quét hôm nay',
         MSG_PAYMENT_SUCCESS: 'Thanh toán thành công',
         MSG_PAYMENT_CANCEL: 'Thanh toán đã bị hủy',
+        MSG_OVERLAY_SAVED: 'Đã lưu template overlay',
+        MSG_OVERLAY_DELETED: 'Đã xóa template overlay',
+        MSG_OVERLAY_PENDING: 'Template sẽ áp dụng từ đơn tiếp theo',
         
         // Errors
         ERR_NO_CAMERA: 'Không tìm thấy camera',
@@ -134,6 +269,112 @@ var QRConfig = (function() {
         ERR_INVALID_LICENSE: 'License không hợp lệ',
         ERR_DEVICE_MISMATCH: 'License đã được kích hoạt trên thiết bị khác',
         ERR_CONNECTION: 'Lỗi kết nối',
+        ERR_WEBCODECS: 'Trình duyệt không hỗ trợ WebCodecs - dùng MediaRecorder',
+        ERR_OVERLAY_NAME: 'Nhập tên template (khác "Mặc định")',
+        ERR_OVERLAY_LOGO: 'Logo quá lớn, tối đa',
+        ERR_SECOND_CAMERA: 'Không mở được camera 2',
+        ERR_SECOND_CAMERA_SAME: 'Camera 2 phải khác camera 1',
+        ERR_PIP: 'Trình duyệt không hỗ trợ Picture-in-Picture',
+        ERR_PIP_NO_CAMERA: 'Bật camera trước khi mở cửa sổ nổi',
+        
+        // Clock check
+        CLOCK_ALERT: 'GIỜ HỆ THỐNG BẤT THƯỜNG',
+        CLOCK_TYPES: {
+            'backward': 'bị chỉnh lùi',
+            'forward': 'nhảy tới',
+            'session-backward': 'lùi so với lần chạy trước',
+            'behind': 'sớm hơn giờ đã ghi nhận',
+            'sleep': 'máy ngủ/ngủ đông, giờ nhảy tới'
+        },
+        CLOCK_SLEEP: 'Máy vừa ngủ/ngủ đông',
+        CLOCK_ACK_CONFIRM: 'Giờ hệ thống hiện tại là đúng? Mốc giờ cũ sẽ được bỏ, các đơn sau không còn bị đánh dấu giờ bất thường.',
+        MSG_CLOCK_ACKED: 'Đã xác nhận giờ hệ thống',
+        ERR_CLOCK_ACK_RECORDING: 'Dừng đơn đang ghi trước khi xác nhận giờ',
+        
+        // Hidden tab
+        HIDDEN_ALERT: 'TAB ĐANG ẨN - VẪN GHI',
+        MSG_HIDDEN_RETURN: 'Tab đã bị ẩn trong lúc ghi',
+        
+        // Second camera
+        CAMERA_NONE: '— Không dùng —',
+        MSG_SECOND_CAMERA_LOST: 'Camera 2 đã ngắt - tiếp tục ghi với camera 1',
+        MSG_CAMERA_LOST: 'Mất camera! Cắm lại camera - đơn sẽ ghi tiếp ở file mới',
+        MSG_CAMERA_RESTORED: 'Camera đã kết nối lại',
+        CAMERA_LOST_WAITING: 'MẤT CAMERA - đang chờ cắm lại...',
+        
+        // Microphone
+        MIC_DEFAULT: 'Micro mặc định',
+        MSG_AUDIO_SILENT: 'Không nghe thấy âm thanh - kiểm tra micro',
+        MSG_AUDIO_RESTORED: 'Micro đã có âm thanh trở lại',
+        MSG_AUDIO_AFTER_RECORDING: 'Đổi micro sẽ áp dụng sau khi dừng ghi đơn này',
+        
+        // Privacy masks
+        MSG_MASKS_SAVED: 'Đã lưu vùng che',
+        MASK_HINTS: {
+            rect: 'Kéo chuột để vẽ vùng che chữ nhật',
+            polygon: 'Bấm từng đỉnh, bấm lại đỉnh đầu hoặc nháy đúp để đóng đa giác'
+        },
+        
+        // Pause / resume
+        BTN_PAUSE: '⏸️ Tạm dừng',
+        BTN_RESUME: '▶️ Ghi tiếp',
+        PAUSED_CARD: '⏸️ PAUSED at',
+        RESUMED_CARD: '▶️ RESUMED at',
+        RESUMED_AFTER: 'tạm dừng',
+        REC_PAUSED: '⏸️ TẠM DỪNG',
+        MSG_PAUSED: 'Đã tạm dừng ghi - bấm Ghi tiếp, phím P hoặc quét mã RESUME',
+        MSG_RESUMED: 'Đã ghi tiếp',
+        ERR_PAUSE_NOT_RECORDING: 'Chưa có đơn nào đang ghi',
+        PAUSES_LABEL: 'Tạm dừng',
+        
+        // Snapshots
+        SNAPSHOTS_LABEL: 'Ảnh chụp',
+        SNAPSHOT_KINDS: {
+            product: 'Quét sản phẩm',
+            stop: 'Kết thúc đơn'
+        },
+        SNAPSHOT_NOT_IN_FOLDER: 'Ảnh không nằm trong thư mục đã chọn (đã tải về hoặc đã xóa)',
+        SNAPSHOT_SKIPPED: 'ảnh không được lưu (chưa chọn thư mục)',
+        MSG_SNAPSHOT_NEED_FOLDER: 'Ảnh chụp chỉ được lưu khi đã chọn thư mục - bấm 📁 để chọn',
+        
+        // Idle auto-stop
+        MSG_IDLE_STOPPED: 'Bàn đóng gói đứng yên quá lâu - đã tự dừng ghi',
+        AUTO_STOPPED_IDLE: 'Tự dừng: không có chuyển động',
+        
+        // Frame watchdog
+        MSG_QUALITY_ISSUE: 'Hình camera có vấn đề',
+        MSG_QUALITY_OK: 'Hình camera đã bình thường',
+        QUALITY_ISSUES: {
+            frozen: 'Đứng hình',
+            black: 'Hình đen',
+            overexposed: 'Cháy sáng',
+            blur: 'Mờ / mất nét'
+        },
+        
+        // Camera controls
+        CAMERA_NO_CONTROLS: 'Camera/trình duyệt không hỗ trợ điều khiển nào',
+        ERR_CAMERA_OFF: 'Bật camera trước',
+        ERR_CAMERA_CONTROL: 'Camera không nhận giá trị này',
+        ERR_PRESET_NAME: 'Nhập tên preset',
+        MSG_PRESET_SAVED: 'Đã lưu preset',
+        MSG_PRESET_DELETED: 'Đã xóa preset',
+        MSG_PRESET_PENDING: 'Preset sẽ áp dụng khi dừng đơn đang ghi',
+        
+        // Performance governor
+        MSG_GOVERNOR_DOWN: 'Máy không theo kịp, giảm tải',
+        MSG_GOVERNOR_UP: 'Máy đủ sức, tăng lại',
+        GOVERNOR_EMPTY: 'Chưa có thay đổi nào',
+        GOVERNOR_REASONS: {
+            fps: 'FPS thấp',
+            dropped: 'Rớt frame',
+            scan: 'Quét chậm',
+            headroom: 'Dư sức',
+            off: 'Tắt tự giảm tải'
+        },
+        
+        // PiP monitor
+        MONITOR_TITLE: 'Giám sát trạm đóng gói',
+        MONITOR_IDLE: 'Chờ quét',
         
         // Premium popup
         PREMIUM_TITLE: 'Nâng cấp Premium',
@@ -157,6 +398,33 @@ var QRConfig = (function() {
         RENEWAL_GRACE: 'GRACE PERIOD',
         RENEWAL_WARNING: 'Gia hạn ngay để tiếp tục sử dụng Premium!',
         
+        // Ledger
+        LEDGER_OK: 'Sổ cái toàn vẹn',
+        LEDGER_BROKEN: 'Sổ cái bị đứt tại đơn',
+        LEDGER_CHECKING: 'Đang kiểm tra sổ cái...',
+        LEDGER_REMOVED: 'đơn đã bị xóa khỏi lịch sử',
+        LEDGER_UNCHAINED: 'đơn lưu ngoài chuỗi (lỗi hash)',
+        LEDGER_REASONS: {
+            'modified': 'nội dung đơn đã bị sửa',
+            'chain': 'thiếu hoặc chèn đơn ngay trước đơn này',
+            'missing-hash': 'đơn không có hash',
+            'truncated': 'các đơn mới nhất đã bị xóa'
+        },
+        
+        // Verify
+        VERIFY_TITLE: '🔍 Xác minh video',
+        VERIFY_PASS: '✅ Video là bản gốc',
+        VERIFY_FAIL: '❌ Không xác minh được video',
+        VERIFY_RUNNING: 'Đang tính SHA-256...',
+        VERIFY_NO_FILE: 'Chọn file video cần xác minh',
+        VERIFY_CHECKS: {
+            'manifest': 'Hash khớp manifest',
+            'size': 'Dung lượng khớp manifest',
+            'order': 'Hash khớp đơn trong lịch sử',
+            'orderCode': 'Mã đơn khớp manifest',
+            'ledger': 'Đơn nằm trong sổ cái toàn vẹn'
+        },
+        
         // Contact
         CONTACT_ZALO: 'Zalo: 0906 518 413',
         CONTACT_SUPPORT: 'Hỗ trợ 24/7'
@@ -166,20 +434,40 @@ var QRConfig = (function() {
     var DEFAULTS = {
         quality: '1080p60',
         bitrate: '12',
+        container: 'mp4',
+        encoder: 'mediarecorder',
+        keyframeInterval: 1,
         audio: true,
         postBuffer: 3000,
+        idleStop: 120000,
+        preRoll: 0,
+        maxSegmentMinutes: 15,
+        maxSegmentMB: 1000,
         timestampPos: 'top-right',
+        metaQR: false,
+        cameraLayout: 'pip',
+        scanSource: 'main',
         beepVolume: 80
     };
     
     // ==================== Public API ====================
     return {
+        VERSION: VERSION,
         API: API,
         STORAGE: STORAGE,
         LIMITS: LIMITS,
         VIDEO_PRESETS: VIDEO_PRESETS,
         BITRATE_OPTIONS: BITRATE_OPTIONS,
+        CODECS: CODECS,
+        CONTAINER_OPTIONS: CONTAINER_OPTIONS,
+        ENCODER_OPTIONS: ENCODER_OPTIONS,
+        WEBCODECS_CODECS: WEBCODECS_CODECS,
+        KEYFRAME_OPTIONS: KEYFRAME_OPTIONS,
         TIMESTAMP_POSITIONS: TIMESTAMP_POSITIONS,
+        CAMERA_LAYOUTS: CAMERA_LAYOUTS,
+        SCAN_SOURCES: SCAN_SOURCES,
+        COMMANDS: COMMANDS,
+        HOTKEYS: HOTKEYS,
         TEXTS: TEXTS,
         DEFAULTS: DEFAULTS,
         
@@ -0,0 +1,355 @@
+/**
+ * QR Scanner v7.25 - Encoder Module
+ *
+ * Chứa tất cả logic:
+ * - Mã hóa canvas bằng WebCodecs (VideoEncoder/AudioEncoder)
+ * - Frame rate cố định: thiếu frame (render loop bị khựng) thì nhân bản frame canvas
+ * - Keyframe đều đặn mỗi N giây, timestamp theo thời gian thực
+ * - Giao diện giống MediaRecorder: start(), stop(), pause(), resume(), state, mimeType,
+ *   ondataavailable, onstop, onerror
+ * - Tạm dừng: không mã hóa frame/âm thanh, timestamp nối tiếp (không có khoảng trống)
+ *
+ * Depends on: config.js, webm.js, scheduler.js
+ */
+
+var QREncoder = (function() {
+    'use strict';
+    
+    var CONFIG = QRConfig;
+    var WEBM = QRWebM;
+    var SCHEDULER = QRScheduler;
+    
+    var MAX_CATCHUP_SECONDS = 2; // Khựng lâu hơn (vd: máy sleep) thì để khoảng trống, không nhân bản
+    var AUDIO_BITRATE = 128000;
+    
+    // ==================== Support Check ====================
+    
+    /**
+     * Tìm cấu hình WebCodecs mà trình duyệt hỗ trợ
+     * @param {object} preset - { width, height, fps }
+     * @param {number} bitrate - bps
+     * @returns {Promise<object|null>} - { video: entry của CONFIG.WEBCODECS_CODECS, audio: boolean }
+     */
+    async function probe(preset, bitrate) {
+        if (typeof VideoEncoder === 'undefined' || typeof VideoFrame === 'undefined') {
+            return null;
+        }
+        
+        for (var i = 0; i < CONFIG.WEBCODECS_CODECS.length; i++) {
+            var entry = CONFIG.WEBCODECS_CODECS[i];
+            try {
+                var result = await VideoEncoder.isConfigSupported(videoConfig(entry, preset.width, preset.height, preset.fps, bitrate));
+                if (result.supported) {
+                    return { video: entry, audio: await probeAudio() };
+                }
+            } catch (e) {
+                // Thử codec tiếp theo
+            }
+        }
+        
+        return null;
+    }
+    
+    async function probeAudio() {
+        if (typeof AudioEncoder === 'undefined' || typeof MediaStreamTrackProcessor === 'undefined') {
+            return false;
+        }
+        try {
+            var result = await AudioEncoder.isConfigSupported({
+                codec: 'opus', sampleRate: 48000, numberOfChannels: 1, bitrate: AUDIO_BITRATE
+            });
+            return result.supported;
+        } catch (e) {
+            return false;
+        }
+    }
+    
+    function videoConfig(entry, width, height, fps, bitrate) {
+        return {
+            codec: entry.codec,
+            width: width,
+            height: height,
+            framerate: fps,
+            bitrate: bitrate,
+            latencyMode: 'realtime'
+        };
+    }
+    
+    // ==================== Recorder ====================
+    
+    /**
+     * Tạo bộ ghi WebCodecs cho canvas
+     * @param {HTMLCanvasElement} canvas
+     * @param {object} options
+     *   codec: entry của CONFIG.WEBCODECS_CODECS
+     *   fps, bitrate (bps), keyframeInterval (giây)
+     *   audioTrack: MediaStreamTrack | null
+     * @returns {object} - Giao diện giống MediaRecorder
+     */
+    function createRecorder(canvas, options) {
+        var fps = options.fps;
+        var frameDuration = 1e6 / fps; // µs
+        var keyframeFrames = Math.max(1, Math.round(options.keyframeInterval * fps));
+        var withAudio = !!options.audioTrack;
+        
+        var rec = {
+            state: 'inactive',
+            mimeType: withAudio ? options.codec.mimeType : options.codec.mimeType.replace(/,\s*opus/, ''),
+            droppedFrames: 0,
+            ondataavailable: null,
+            onstop: null,
+            onerror: null,
+            start: start,
+            stop: stop,
+            pause: pause,
+            resume: resume
+        };
+        
+        var videoEncoder = null;
+        var audioEncoder = null;
+        var audioTrack = null;
+        var audioReader = null;
+        var muxer = null;
+        var timer = null;
+        var startPerf = 0;
+        var frameIndex = 0;
+        var lastKeyIndex = -Infinity;
+        var forceKey = true;
+        var audioBase = null;
+        var audioOffset = 0;
+        var pausedAt = 0;
+        var pausedTotal = 0; // µs, trừ khỏi timestamp âm thanh
+        
+        function start() {
+            if (rec.state !== 'inactive') return;
+            
+            muxer = WEBM.createMuxer({
+                video: { codecId: options.codec.webmCodecId, width: canvas.width, height: canvas.height, fps: fps },
+                audio: withAudio ? { codecId: 'A_OPUS' } : null,
+                onData: function(bytes) {
+                    if (rec.ondataavailable) {
+                        rec.ondataavailable({ data: new Blob([bytes], { type: rec.mimeType }) });
+                    }
+                }
+            });
+            
+            videoEncoder = new VideoEncoder({
+                output: function(chunk) {
+                    muxer.addVideoChunk(copyChunk(chunk), chunk.timestamp / 1000, chunk.type === 'key');
+                },
+                error: fail
+            });
+            videoEncoder.configure(videoConfig(options.codec, canvas.width, canvas.height, fps, options.bitrate));
+            
+            rec.state = 'recording';
+            startPerf = performance.now();
+            // Nhịp từ Worker: tab bị ẩn vẫn lấy đủ frame
+            timer = SCHEDULER.start(tick, Math.max(4, Math.floor(frameDuration / 1000 / 2)));
+            tick();
+            
+            if (withAudio) {
+                startAudio();
+            }
+        }
+        
+        function pause() {
+            if (rec.state !== 'recording') return;
+            rec.state = 'paused';
+            pausedAt = performance.now();
+        }
+        
+        /**
+         * Dời mốc thời gian đúng bằng khoảng tạm dừng -> frame tiếp theo nối liền frame cuối
+         */
+        function resume() {
+            if (rec.state !== 'paused') return;
+            var pausedMs = performance.now() - pausedAt;
+            startPerf += pausedMs;
+            pausedTotal += pausedMs * 1000;
+            rec.state = 'recording';
+            forceKey = true;
+            tick();
+        }
+        
+        /**
+         * Mã hóa đủ số frame theo thời gian thực đã trôi qua
+         * Frame thứ i luôn có timestamp i/fps -> frame rate cố định, tổng thời lượng = thời gian thật
+         */
+        function tick() {
+            if (rec.state !== 'recording' || videoEncoder.state !== 'configured') return;
+            
+            var due = Math.floor((performance.now() - startPerf) * fps / 1000) + 1;
+            
+            if (due - frameIndex > fps * MAX_CATCHUP_SECONDS) {
+                console.warn('[Encoder] Stall ' + Math.round((due - frameIndex) / fps) + 's, skipping frames');
+                frameIndex = due - 1;
+                forceKey = true;
+            }
+            
+            while (frameIndex < due) {
+                encodeFrame(frameIndex);
+                frameIndex++;
+            }
+        }
+        
+        function encodeFrame(index) {
+            var keyFrame = forceKey || index - lastKeyIndex >= keyframeFrames;
+            
+            // Encoder quá tải: bỏ frame thay vì dồn RAM (frame sau sẽ là keyframe nếu cần)
+            if (videoEncoder.encodeQueueSize > fps) {
+                rec.droppedFrames++;
+                return;
+            }
+            
+            var frame = new VideoFrame(canvas, {
+                timestamp: Math.round(index * frameDuration),
+                duration: Math.round(frameDuration)
+            });
+            videoEncoder.encode(frame, { keyFrame: keyFrame });
+            frame.close();
+            
+            if (keyFrame) {
+                lastKeyIndex = index;
+                forceKey = false;
+            }
+        }
+        
+        async function startAudio() {
+            try {
+                audioTrack = options.audioTrack.clone();
+                audioReader = new MediaStreamTrackProcessor({ track: audioTrack }).readable.getReader();
+                
+                while (rec.state !== 'inactive') {
+                    var result = await audioReader.read();
+                    if (result.done) break;
+                    encodeAudio(result.value);
+                }
+            } catch (e) {
+                if (rec.state !== 'inactive') {
+                    console.warn('[Encoder] Audio error:', e);
+                }
+            }
+        }
+        
+        function encodeAudio(data) {
+            try {
+                if (rec.state !== 'recording') return;
+                
+                if (!audioEncoder) {
+                    audioBase = data.timestamp;
+                    audioOffset = (performance.now() - startPerf) * 1000 + pausedTotal;
+                    
+                    audioEncoder = new AudioEncoder({
+                        output: function(chunk, metadata) {
+                            if (metadata && metadata.decoderConfig) {
+                                muxer.setAudioConfig({
+                                    sampleRate: metadata.decoderConfig.sampleRate,
+                                    channels: metadata.decoderConfig.numberOfChannels,
+                                    codecPrivate: metadata.decoderConfig.description
+                                        ? new Uint8Array(metadata.decoderConfig.description)
+                                        : opusHead(metadata.decoderConfig.numberOfChannels, metadata.decoderConfig.sampleRate)
+                                });
+                            }
+                            muxer.addAudioChunk(copyChunk(chunk), (chunk.timestamp - audioBase + audioOffset - pausedTotal) / 1000);
+                        },
+                        error: function(e) {
+                            console.warn('[Encoder] Audio encoder error:', e);
+                        }
+                    });
+                    audioEncoder.configure({
+                        codec: 'opus',
+                        sampleRate: data.sampleRate,
+                        numberOfChannels: data.numberOfChannels,
+                        bitrate: AUDIO_BITRATE
+                    });
+                }
+                
+                if (audioEncoder.state === 'configured') {
+                    audioEncoder.encode(data);
+                }
+            } finally {
+                data.close();
+            }
+        }
+        
+        function stop() {
+            if (rec.state === 'inactive') return;
+            rec.state = 'inactive';
+            
+            SCHEDULER.stop(timer);
+            timer = null;
+            
+            if (audioReader) {
+                audioReader.cancel().catch(function() {});
+            }
+            if (audioTrack) {
+                audioTrack.stop();
+            }
+            
+            Promise.all([flush(videoEncoder), flush(audioEncoder)]).then(function() {
+                muxer.finalize();
+                if (rec.droppedFrames > 0) {
+                    console.warn('[Encoder] Dropped frames: ' + rec.droppedFrames);
+                }
+                if (rec.onstop) rec.onstop();
+            });
+        }
+        
+        function flush(encoder) {
+            if (!encoder || encoder.state !== 'configured') return Promise.resolve();
+            
+            return encoder.flush().catch(function(e) {
+                console.warn('[Encoder] Flush error:', e);
+            }).then(function() {
+                if (encoder.state !== 'closed') encoder.close();
+            });
+        }
+        
+        function fail(e) {
+            console.error('[Encoder] Video encoder error:', e);
+            if (rec.state !== 'inactive' && rec.onerror) {
+                rec.onerror({ error: e });
+            }
+        }
+        
+        return rec;
+    }
+    
+    // ==================== Helpers ====================
+    
+    function copyChunk(chunk) {
+        var data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        return data;
+    }
+    
+    /**
+     * OpusHead (RFC 7845) khi encoder không cung cấp description
+     */
+    function opusHead(channels, sampleRate) {
+        var head = new Uint8Array(19);
+        var view = new DataView(head.buffer);
+        head.set(new TextEncoder().encode('OpusHead'), 0);
+        head[8] = 1;
+        head[9] = channels;
+        view.setUint16(10, 0, true);
+        view.setUint32(12, sampleRate, true);
+        view.setInt16(16, 0, true);
+        head[18] = 0;
+        return head;
+    }
+    
+    // ==================== Public API ====================
+    return {
+        probe: probe,
+        createRecorder: createRecorder,
+        isSupported: function() {
+            return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+        }
+    };
+})();
+
+// Export for Node.js (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QREncoder;
+}
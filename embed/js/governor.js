@@ -0,0 +1,283 @@
+/**
+ * QR Scanner v7.25 - Performance Governor Module
+ *
+ * Tự giảm tải khi máy không theo kịp (tùy chọn, tắt mặc định):
+ * - Mỗi giây nhận số đo từ recorder: FPS render, tốc độ quét, số frame bị rớt
+ * - Quá tải liên tục -> hạ một bậc: ảnh quét nhỏ hơn -> quét thưa hơn -> độ phân giải/bitrate thấp hơn
+ * - Dư sức lâu -> nâng lại một bậc
+ * - Mọi lần đổi bậc được ghi vào nhật ký (kèm tên trạm) để biết trạm nào máy yếu
+ *
+ * Bậc chỉ là hệ số nhân lên preset đang dùng; độ phân giải chỉ đổi khi không ghi đơn.
+ * Bậc đổi độ phân giải/bitrate lúc đang ghi thì giữ nguyên bậc tới khi đơn dừng và bậc đó được áp dụng.
+ *
+ * Depends on: config.js, storage.js
+ */
+
+var QRGovernor = (function() {
+    'use strict';
+    
+    var CONFIG = QRConfig;
+    var STORAGE = QRStorage;
+    
+    // Hệ số nhân lên preset: scanScale, scanFPS (quét), resolution, bitrate (ghi)
+    var LEVELS = [
+        { label: 'Đầy đủ', scanScale: 1, scanFPS: 1, resolution: 1, bitrate: 1 },
+        { label: 'Ảnh quét 75%', scanScale: 0.75, scanFPS: 1, resolution: 1, bitrate: 1 },
+        { label: 'Ảnh quét 50%', scanScale: 0.5, scanFPS: 1, resolution: 1, bitrate: 1 },
+        { label: 'Quét chậm 50%', scanScale: 0.5, scanFPS: 0.5, resolution: 1, bitrate: 1 },
+        { label: 'Độ phân giải 75%', scanScale: 0.5, scanFPS: 0.5, resolution: 0.75, bitrate: 0.75 },
+        { label: 'Độ phân giải 50%', scanScale: 0.5, scanFPS: 0.5, resolution: 0.5, bitrate: 0.5 }
+    ];
+    
+    var FPS_LOW_RATIO = 0.85;      // FPS < 85% mục tiêu = quá tải
+    var FPS_OK_RATIO = 0.95;
+    var SCAN_LOW_RATIO = 0.7;      // Quét < 70% mục tiêu = quá tải
+    var SCAN_OK_RATIO = 0.9;
+    var DROP_LOW_RATIO = 0.1;      // Rớt > 10% số frame trong 1 giây = quá tải
+    var DOWN_AFTER = 3;            // 3 giây quá tải liên tục -> hạ bậc
+    var UP_AFTER = 60;             // 60 giây dư sức liên tục -> nâng bậc
+    var SETTLE_SAMPLES = 5;        // Bỏ qua 5 giây đầu sau khi mở camera / đổi bậc
+    var MAX_LOG = 500;
+    
+    var state = {
+        enabled: false,
+        level: 0,
+        badStreak: 0,
+        goodStreak: 0,
+        settle: SETTLE_SAMPLES,
+        lastDropped: null,
+        applied: LEVELS[0],        // Bậc có độ phân giải/bitrate đang thực sự dùng
+        log: []
+    };
+    
+    var callbacks = {
+        onChange: null
+    };
+    
+    // ==================== Storage ====================
+    
+    /**
+     * Load trạng thái bật/tắt + nhật ký
+     */
+    function load() {
+        var saved = STORAGE.loadGovernor();
+        state.enabled = !!saved.enabled;
+        state.log = Array.isArray(saved.log) ? saved.log : [];
+    }
+    
+    function persist() {
+        STORAGE.saveGovernor({ enabled: state.enabled, log: state.log });
+    }
+    
+    // ==================== Control ====================
+    
+    /**
+     * Bật/tắt; tắt thì quay về bậc đầy đủ ngay
+     * @param {boolean} enabled
+     */
+    function setEnabled(enabled) {
+        state.enabled = !!enabled;
+        persist();
+        settle();
+        
+        if (!state.enabled && state.level !== 0) {
+            changeLevel(0, 'off', null);
+        }
+    }
+    
+    /**
+     * Bỏ qua vài giây số đo (camera vừa mở, canvas vừa đổi kích thước)
+     */
+    function settle() {
+        state.badStreak = 0;
+        state.goodStreak = 0;
+        state.settle = SETTLE_SAMPLES;
+        state.lastDropped = null;
+    }
+    
+    /**
+     * Nhận số đo mỗi giây
+     * @param {object} stats - { fps, targetFps, scanRate, targetScanRate, droppedFrames (cộng dồn), preset, isRecording }
+     */
+    function sample(stats) {
+        if (!state.enabled || !stats || !stats.targetFps) return;
+        
+        var dropped = state.lastDropped === null ? 0 : Math.max(0, stats.droppedFrames - state.lastDropped);
+        state.lastDropped = stats.droppedFrames;
+        
+        var level = LEVELS[state.level];
+        if (!sameRecordingLoad(level, state.applied)) {
+            if (stats.isRecording) {
+                // Recorder hoãn đổi độ phân giải/bitrate tới khi dừng đơn: tải chưa giảm, giữ bậc
+                state.badStreak = 0;
+                state.goodStreak = 0;
+                return;
+            }
+            // Đơn vừa dừng, canvas đã đổi kích thước: đo lại từ đầu
+            state.applied = level;
+            settle();
+        }
+        
+        if (state.settle > 0) {
+            state.settle--;
+            return;
+        }
+        
+        var reason = null;
+        if (stats.fps < stats.targetFps * FPS_LOW_RATIO) {
+            reason = 'fps';
+        } else if (dropped > stats.targetFps * DROP_LOW_RATIO) {
+            reason = 'dropped';
+        } else if (stats.targetScanRate && stats.scanRate < stats.targetScanRate * SCAN_LOW_RATIO) {
+            reason = 'scan';
+        }
+        
+        var headroom = !reason &&
+            stats.fps >= stats.targetFps * FPS_OK_RATIO &&
+            dropped === 0 &&
+            (!stats.targetScanRate || stats.scanRate >= stats.targetScanRate * SCAN_OK_RATIO);
+        
+        state.badStreak = reason ? state.badStreak + 1 : 0;
+        state.goodStreak = headroom ? state.goodStreak + 1 : 0;
+        
+        var measured = Object.assign({}, stats, { droppedFrames: dropped });
+        
+        if (state.badStreak >= DOWN_AFTER && state.level < LEVELS.length - 1) {
+            changeLevel(state.level + 1, reason, measured);
+        } else if (state.goodStreak >= UP_AFTER && state.level > 0) {
+            changeLevel(state.level - 1, 'headroom', measured);
+        }
+    }
+    
+    function sameRecordingLoad(a, b) {
+        return a.resolution === b.resolution && a.bitrate === b.bitrate;
+    }
+    
+    function changeLevel(level, reason, stats) {
+        var from = state.level;
+        state.level = level;
+        settle();
+        
+        var entry = {
+            time: new Date().toISOString(),
+            station: (STORAGE.loadProfile() || {}).station || '',
+            from: from,
+            to: level,
+            label: LEVELS[level].label,
+            reason: reason
+        };
+        if (stats) {
+            entry.fps = stats.fps;
+            entry.targetFps = stats.targetFps;
+            entry.scanRate = stats.scanRate;
+            entry.targetScanRate = stats.targetScanRate;
+            entry.droppedFrames = stats.droppedFrames;
+            entry.preset = stats.preset || '';
+            entry.isRecording = !!stats.isRecording;
+        }
+        
+        state.log.push(entry);
+        if (state.log.length > MAX_LOG) {
+            state.log = state.log.slice(-MAX_LOG);
+        }
+        persist();
+        
+        console.log('[Governor] Level ' + from + ' -> ' + level + ' (' + reason + '): ' + LEVELS[level].label);
+        triggerCallback('onChange', {
+            from: from,
+            level: level,
+            reason: reason,
+            adjust: getAdjustment(),
+            entry: entry
+        });
+    }
+    
+    /**
+     * Hệ số nhân của bậc hiện tại
+     * @returns {object} - { label, scanScale, scanFPS, resolution, bitrate }
+     */
+    function getAdjustment() {
+        return Object.assign({}, LEVELS[state.level]);
+    }
+    
+    // ==================== Log ====================
+    
+    /**
+     * Xuất nhật ký ra CSV
+     */
+    function exportLog() {
+        if (state.log.length === 0) {
+            console.warn('[Governor] Log is empty');
+            return;
+        }
+        
+        var csv = 'Thời gian,Trạm,Từ bậc,Sang bậc,Mức,Lý do,FPS,FPS mục tiêu,Quét/s,Quét mục tiêu,Frame rớt,Preset,Đang ghi\n';
+        state.log.forEach(function(entry) {
+            csv += [
+                entry.time,
+                '"' + String(entry.station || '').replace(/"/g, '""') + '"',
+                entry.from,
+                entry.to,
+                '"' + entry.label + '"',
+                CONFIG.TEXTS.GOVERNOR_REASONS[entry.reason] || entry.reason,
+                entry.fps !== undefined ? entry.fps : '',
+                entry.targetFps !== undefined ? entry.targetFps : '',
+                entry.scanRate !== undefined ? entry.scanRate : '',
+                entry.targetScanRate !== undefined ? entry.targetScanRate : '',
+                entry.droppedFrames !== undefined ? entry.droppedFrames : '',
+                '"' + String(entry.preset || '').replace(/"/g, '""') + '"',
+                entry.isRecording ? 1 : 0
+            ].join(',') + '\n';
+        });
+        
+        var blob = new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8' });
+        var url = URL.createObjectURL(blob);
+        var a = document.createElement('a');
+        a.href = url;
+        a.download = 'QRScanner_Performance_' + new Date().toISOString().slice(0, 10) + '.csv';
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    function clearLog() {
+        state.log = [];
+        persist();
+    }
+    
+    // ==================== Callbacks ====================
+    
+    function on(event, callback) {
+        if (callbacks.hasOwnProperty(event)) {
+            callbacks[event] = callback;
+        }
+    }
+    
+    function triggerCallback(event, data) {
+        if (callbacks[event] && typeof callbacks[event] === 'function') {
+            callbacks[event](data);
+        }
+    }
+    
+    // ==================== Public API ====================
+    return {
+        load: load,
+        setEnabled: setEnabled,
+        isEnabled: function() { return state.enabled; },
+        settle: settle,
+        sample: sample,
+        getLevel: function() { return state.level; },
+        getAdjustment: getAdjustment,
+        
+        // Log
+        getLog: function() { return state.log.slice(); },
+        exportLog: exportLog,
+        clearLog: clearLog,
+        
+        on: on
+    };
+})();
+
+// Export for Node.js (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRGovernor;
+}
@@ -0,0 +1,399 @@
+/**
+ * QR Scanner v7.25 - Integrity Module
+ *
+ * Chứa tất cả logic:
+ * - SHA-256 cho file video (đọc theo stream, không nạp cả file vào RAM)
+ * - Manifest JSON đi kèm mỗi video (sidecar)
+ * - Hash chuỗi (hash chain) cho sổ đơn hàng
+ * - Xác minh một file video với manifest + sổ cái
+ *
+ * Depends on: config.js
+ */
+
+var QRIntegrity = (function() {
+    'use strict';
+    
+    var CONFIG = QRConfig;
+    
+    var MANIFEST_SCHEMA = 'qr-scanner-manifest/1';
+    var GENESIS_HASH = new Array(65).join('0');
+    
+    // Hằng số vòng của SHA-256 (FIPS 180-4)
+    var K = new Uint32Array([
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ]);
+    
+    // ==================== Hashing ====================
+    
+    /**
+     * SHA-256 của Blob/File hoặc chuỗi.
+     * Chuỗi (bản ghi sổ cái) dùng WebCrypto; Blob được băm dần theo stream
+     * vì crypto.subtle.digest cần cả file trong một ArrayBuffer.
+     * @param {Blob|string} data
+     * @returns {Promise<string>} - Hex (64 ký tự)
+     */
+    async function sha256(data) {
+        if (typeof data === 'string') {
+            var digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(data));
+            return toHex(digest);
+        }
+        
+        var hasher = createHasher();
+        var reader = data.stream().getReader();
+        
+        while (true) {
+            var result = await reader.read();
+            if (result.done) break;
+            hasher.update(result.value);
+        }
+        
+        return toHex(hasher.digest());
+    }
+    
+    /**
+     * SHA-256 tăng dần: update() từng đoạn, digest() một lần ở cuối
+     * @returns {object} - { update(Uint8Array), digest() -> Uint8Array }
+     */
+    function createHasher() {
+        var h = new Uint32Array([
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ]);
+        var w = new Uint32Array(64);
+        var block = new Uint8Array(64);
+        var blockLength = 0;
+        var totalBytes = 0;
+        
+        function compress(bytes, offset) {
+            var t, s0, s1;
+            
+            for (t = 0; t < 16; t++) {
+                var o = offset + t * 4;
+                w[t] = (bytes[o] << 24) | (bytes[o + 1] << 16) | (bytes[o + 2] << 8) | bytes[o + 3];
+            }
+            for (t = 16; t < 64; t++) {
+                s0 = ror(w[t - 15], 7) ^ ror(w[t - 15], 18) ^ (w[t - 15] >>> 3);
+                s1 = ror(w[t - 2], 17) ^ ror(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+                w[t] = (w[t - 16] + s0 + w[t - 7] + s1) | 0;
+            }
+            
+            var a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], k = h[7];
+            
+            for (t = 0; t < 64; t++) {
+                s1 = ror(e, 6) ^ ror(e, 11) ^ ror(e, 25);
+                var t1 = (k + s1 + ((e & f) ^ (~e & g)) + K[t] + w[t]) | 0;
+                s0 = ror(a, 2) ^ ror(a, 13) ^ ror(a, 22);
+                var t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                k = g;
+                g = f;
+                f = e;
+                e = (d + t1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) | 0;
+            }
+            
+            h[0] += a; h[1] += b; h[2] += c; h[3] += d;
+            h[4] += e; h[5] += f; h[6] += g; h[7] += k;
+        }
+        
+        function update(bytes) {
+            var i = 0;
+            totalBytes += bytes.length;
+            
+            // Phần dư của lần update trước
+            if (blockLength > 0) {
+                var take = Math.min(64 - blockLength, bytes.length);
+                block.set(bytes.subarray(0, take), blockLength);
+                blockLength += take;
+                i = take;
+                if (blockLength < 64) return;
+                compress(block, 0);
+                blockLength = 0;
+            }
+            
+            for (; i + 64 <= bytes.length; i += 64) {
+                compress(bytes, i);
+            }
+            
+            block.set(bytes.subarray(i), 0);
+            blockLength = bytes.length - i;
+        }
+        
+        function digest() {
+            block.fill(0, blockLength);
+            block[blockLength] = 0x80;
+            if (blockLength >= 56) {
+                compress(block, 0);
+                block.fill(0);
+            }
+            
+            // Độ dài tính bằng bit, 64-bit big-endian
+            var view = new DataView(block.buffer);
+            view.setUint32(56, Math.floor(totalBytes / 0x20000000));
+            view.setUint32(60, (totalBytes % 0x20000000) * 8);
+            compress(block, 0);
+            
+            var out = new Uint8Array(32);
+            var outView = new DataView(out.buffer);
+            for (var i = 0; i < 8; i++) {
+                outView.setUint32(i * 4, h[i]);
+            }
+            return out;
+        }
+        
+        return { update: update, digest: digest };
+    }
+    
+    function ror(x, n) {
+        return (x >>> n) | (x << (32 - n));
+    }
+    
+    function toHex(buffer) {
+        return Array.prototype.map.call(new Uint8Array(buffer), function(b) {
+            return b.toString(16).padStart(2, '0');
+        }).join('');
+    }
+    
+    // ==================== Ledger Records ====================
+    
+    /**
+     * JSON với key được sắp xếp - cùng dữ liệu luôn cho cùng chuỗi, cùng hash
+     * @param {*} value
+     * @returns {string}
+     */
+    function canonicalJSON(value) {
+        if (value === null || typeof value !== 'object') {
+            return JSON.stringify(value === undefined ? null : value);
+        }
+        if (Array.isArray(value)) {
+            return '[' + value.map(canonicalJSON).join(',') + ']';
+        }
+        return '{' + Object.keys(value).sort().filter(function(key) {
+            return value[key] !== undefined;
+        }).map(function(key) {
+            return JSON.stringify(key) + ':' + canonicalJSON(value[key]);
+        }).join(',') + '}';
+    }
+    
+    /**
+     * Hash của một bản ghi sổ cái (mọi field trừ chính field hash)
+     * @param {object} record - Có prevHash
+     * @returns {Promise<string>}
+     */
+    function hashRecord(record) {
+        var copy = Object.assign({}, record);
+        delete copy.hash;
+        return sha256(canonicalJSON(copy));
+    }
+    
+    // ==================== Manifest ====================
+    
+    /**
+     * Tạo manifest cho một file video
+     * @param {object} info - { filename, size, sha256, codec, orderCode, sessionId, part,
+     *                          startedAt, stoppedAt, segmentStartedAt, segmentStoppedAt,
+     *                          scans, preRollSeconds, cameraLabel, cameraId, metaQR, clockAnomalies,
+     *                          hiddenIntervals, cameraLosses, pauses, autoStopped, cameras, cameraLayout }
+     *                          preRollSeconds là xấp xỉ: đo từ lúc recorder/Cluster đầu của vòng đệm bắt đầu
+     * @returns {object}
+     */
+    function buildManifest(info) {
+        var clockEvents = info.clockAnomalies || [];
+        var anomalies = clockEvents.filter(function(a) { return a.type !== 'sleep'; });
+        var sleepGaps = clockEvents.filter(function(a) { return a.type === 'sleep'; });
+        
+        return {
+            schema: MANIFEST_SCHEMA,
+            appVersion: CONFIG.VERSION,
+            orderCode: info.orderCode,
+            sessionId: info.sessionId,
+            part: info.part || 1,
+            file: {
+                name: info.filename,
+                size: info.size,
+                mimeType: info.codec ? info.codec.mimeType : '',
+                sha256: info.sha256
+            },
+            codec: info.codec ? info.codec.name : '',
+            startedAt: toISO(info.startedAt),
+            stoppedAt: toISO(info.stoppedAt),
+            segment: {
+                startedAt: toISO(info.segmentStartedAt),
+                stoppedAt: toISO(info.segmentStoppedAt)
+            },
+            preRollSeconds: info.preRollSeconds || 0,
+            preRollApproximate: (info.preRollSeconds || 0) > 0,
+            metaQR: info.metaQR || null,
+            clock: {
+                ok: !anomalies.length,
+                anomalies: anomalies,
+                sleepGaps: sleepGaps    // Máy ngủ/ngủ đông: giờ nhảy tới, không phải chỉnh giờ
+            },
+            hiddenIntervals: (info.hiddenIntervals || []).slice(),
+            cameraLosses: (info.cameraLosses || []).slice(),
+            pauses: (info.pauses || []).slice(),
+            autoStopped: info.autoStopped || null,
+            scans: (info.scans || []).slice(),
+            device: {
+                userAgent: navigator.userAgent,
+                platform: navigator.platform,
+                cameraLabel: info.cameraLabel || '',
+                cameraId: info.cameraId || '',
+                cameras: (info.cameras || []).slice(),
+                cameraLayout: info.cameraLayout || null
+            },
+            createdAt: new Date().toISOString()
+        };
+    }
+    
+    /**
+     * Tên file manifest đặt cạnh video: abc.mp4 -> abc.json
+     * @param {string} videoFilename
+     * @returns {string}
+     */
+    function manifestName(videoFilename) {
+        return videoFilename.replace(/\.[^.]+$/, '') + '.json';
+    }
+    
+    // ==================== Verification ====================
+    
+    /**
+     * Xác minh file video: tính lại hash, so với manifest, đơn hàng và sổ cái
+     * @param {File} file - Video cần kiểm tra
+     * @param {object|null} manifest - Nội dung manifest JSON (nếu có)
+     * @param {Array} orders - QROrders.getAll()
+     * @param {object} ledgerResult - QROrders.verifyLedger()
+     * @returns {Promise<object>} - { ok, sha256, filename, checks, order, file, timeline }
+     *   checks: [{ key, status: 'pass'|'fail'|'skip', detail }]
+     */
+    async function verifyVideo(file, manifest, orders, ledgerResult) {
+        var hash = await sha256(file); // Băm theo stream - video có thể lớn hơn RAM trống
+        var checks = [];
+        
+        // 1. Manifest
+        if (manifest && manifest.file) {
+            var manifestMatch = manifest.file.sha256 === hash;
+            checks.push({
+                key: 'manifest',
+                status: manifestMatch ? 'pass' : 'fail',
+                detail: manifestMatch ? manifest.file.name : 'manifest: ' + (manifest.file.sha256 || '-')
+            });
+            
+            if (manifest.file.size) {
+                checks.push({
+                    key: 'size',
+                    status: manifest.file.size === file.size ? 'pass' : 'fail',
+                    detail: file.size + ' / ' + manifest.file.size + ' bytes'
+                });
+            }
+        } else {
+            checks.push({ key: 'manifest', status: 'skip', detail: '' });
+        }
+        
+        // 2. Đơn hàng trong lịch sử: tìm theo hash, không có thì theo tên file
+        var found = findOrder(orders, hash, manifest && manifest.file ? manifest.file.name : file.name);
+        var order = found ? found.order : null;
+        
+        if (!found) {
+            checks.push({ key: 'order', status: 'fail', detail: '' });
+        } else {
+            checks.push({
+                key: 'order',
+                status: found.byHash ? 'pass' : 'fail',
+                detail: '#' + (order.seq || '-') + ' ' + order.qrCode + ' ' + order.date + ' ' + order.time +
+                    (found.byHash ? '' : ' - hash: ' + (found.fileHash || '-'))
+            });
+            
+            if (manifest && manifest.orderCode) {
+                checks.push({
+                    key: 'orderCode',
+                    status: manifest.orderCode === order.qrCode ? 'pass' : 'fail',
+                    detail: manifest.orderCode
+                });
+            }
+        }
+        
+        // 3. Sổ cái: đơn phải nằm trong phần chuỗi đã xác minh
+        if (order && order.hash && ledgerResult) {
+            var index = orders.indexOf(order);
+            var broken = ledgerResult.brokenAt;
+            var intact = ledgerResult.ok || (broken && index > broken.index);
+            checks.push({
+                key: 'ledger',
+                status: intact ? 'pass' : 'fail',
+                detail: broken ? '#' + (broken.seq || broken.index + 1) + ' ' + broken.reason : ''
+            });
+        } else {
+            checks.push({ key: 'ledger', status: 'skip', detail: '' });
+        }
+        
+        var scans = (manifest && manifest.scans) || (order && order.scans) || [];
+        
+        return {
+            ok: checks.every(function(c) { return c.status !== 'fail'; }) &&
+                checks.some(function(c) { return c.status === 'pass'; }),
+            sha256: hash,
+            filename: file.name,
+            size: file.size,
+            checks: checks,
+            order: order,
+            manifest: manifest,
+            timeline: scans.slice().sort(function(a, b) {
+                return String(a.at).localeCompare(String(b.at));
+            })
+        };
+    }
+    
+    function findOrder(orders, hash, filename) {
+        var byName = null;
+        
+        for (var i = 0; i < orders.length; i++) {
+            var order = orders[i];
+            var files = order.files && order.files.length > 0
+                ? order.files
+                : [{ filename: order.filename, sha256: order.sha256 }];
+            
+            for (var j = 0; j < files.length; j++) {
+                if (files[j].sha256 && files[j].sha256 === hash) {
+                    return { order: order, byHash: true, fileHash: files[j].sha256 };
+                }
+                if (!byName && filename && files[j].filename === filename) {
+                    byName = { order: order, byHash: false, fileHash: files[j].sha256 };
+                }
+            }
+        }
+        
+        return byName;
+    }
+    
+    // ==================== Helpers ====================
+    
+    function toISO(time) {
+        return time ? new Date(time).toISOString() : null;
+    }
+    
+    // ==================== Public API ====================
+    return {
+        sha256: sha256,
+        buildManifest: buildManifest,
+        manifestName: manifestName,
+        canonicalJSON: canonicalJSON,
+        hashRecord: hashRecord,
+        verifyVideo: verifyVideo,
+        MANIFEST_SCHEMA: MANIFEST_SCHEMA,
+        GENESIS_HASH: GENESIS_HASH
+    };
+})();
+
+// Export for Node.js (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRIntegrity;
+}
@@ -0,0 +1,307 @@
+/**
+ * QR Scanner v7.25 - Journal Module
+ *
+ * Ghi từng chunk của bản ghi xuống đĩa ngay khi nhận được:
+ * - Thư mục đã chọn (File System Access API)
+ * - Hoặc Origin Private File System (OPFS) khi chưa chọn thư mục
+ * - Phát hiện bản ghi dang dở sau khi tab bị crash / mất điện
+ * - Mỗi journal được giữ bằng một Web Lock: tab khác không khôi phục / xóa nhầm bản đang ghi
+ *
+ * Mỗi bản ghi là một thư mục con trong JOURNAL_DIR:
+ *   meta.json      - thông tin đơn hàng, codec, thời điểm bắt đầu
+ *   000001.part    - chunk thứ 1 (mỗi chunk là một file riêng, ghi xong là được commit)
+ *
+ * Depends on: config.js
+ */
+
+var QRJournal = (function() {
+    'use strict';
+    
+    var CONFIG = QRConfig;
+    
+    var JOURNAL_DIR = CONFIG.STORAGE.JOURNAL_DIR;
+    var META_FILE = 'meta.json';
+    var LOCK_PREFIX = 'qrScannerJournal:'; // Trình duyệt tự nhả lock khi tab đóng / crash
+    
+    // ==================== Root Directory ====================
+    
+    /**
+     * Thư mục gốc cho journal
+     * @param {FileSystemDirectoryHandle|null} folderHandle - Thư mục người dùng đã chọn
+     * @returns {Promise<FileSystemDirectoryHandle|null>}
+     */
+    async function getRoot(folderHandle) {
+        try {
+            var root = folderHandle;
+            if (!root) {
+                if (!navigator.storage || !navigator.storage.getDirectory) return null;
+                root = await navigator.storage.getDirectory();
+            }
+            return await root.getDirectoryHandle(JOURNAL_DIR, { create: true });
+        } catch (e) {
+            console.warn('[Journal] Root unavailable:', e);
+            return null;
+        }
+    }
+    
+    // ==================== Write ====================
+    
+    /**
+     * Mở journal cho bản ghi mới
+     * @param {FileSystemDirectoryHandle|null} folderHandle
+     * @param {object} meta - { qrCode, codec, startTime, ... }
+     * @returns {Promise<object|null>} - Journal entry hoặc null nếu không ghi được
+     */
+    async function open(folderHandle, meta) {
+        var root = await getRoot(folderHandle);
+        if (!root) return null;
+        
+        var id = 'rec_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+        
+        try {
+            var dir = await root.getDirectoryHandle(id, { create: true });
+            var entry = {
+                id: id,
+                root: root,
+                dir: dir,
+                meta: Object.assign({ id: id, status: 'recording' }, meta),
+                index: 0,
+                queue: Promise.resolve(),
+                failed: false,
+                memory: [],
+                releaseLock: null
+            };
+            
+            await claimLock(entry);
+            await writeFile(dir, META_FILE, JSON.stringify(entry.meta));
+            console.log('[Journal] Opened: ' + id + (folderHandle ? ' (folder)' : ' (OPFS)'));
+            return entry;
+        } catch (e) {
+            console.warn('[Journal] Open error:', e);
+            return null;
+        }
+    }
+    
+    /**
+     * Ghi thêm một chunk (tuần tự, theo thứ tự gọi)
+     * Nếu ghi lỗi, chunk và các chunk sau được giữ trong RAM để không mất dữ liệu
+     * @param {object} entry
+     * @param {Blob} blob
+     * @returns {Promise}
+     */
+    function append(entry, blob) {
+        entry.queue = entry.queue.then(async function() {
+            if (entry.failed) {
+                entry.memory.push(blob);
+                return;
+            }
+            
+            try {
+                entry.index++;
+                await writeFile(entry.dir, chunkName(entry.index), blob);
+            } catch (e) {
+                console.error('[Journal] Write error, keeping chunks in memory:', e);
+                entry.failed = true;
+                entry.index--;
+                entry.memory.push(blob);
+            }
+        });
+        return entry.queue;
+    }
+    
+    /**
+     * Cập nhật meta.json (vd: số sản phẩm đã quét)
+     * @param {object} entry
+     * @param {object} patch
+     * @returns {Promise}
+     */
+    function updateMeta(entry, patch) {
+        Object.assign(entry.meta, patch);
+        entry.queue = entry.queue.then(function() {
+            return writeFile(entry.dir, META_FILE, JSON.stringify(entry.meta)).catch(function(e) {
+                console.warn('[Journal] Meta write error:', e);
+            });
+        });
+        return entry.queue;
+    }
+    
+    // ==================== Read ====================
+    
+    /**
+     * Ghép các chunk đã ghi thành một Blob (đọc từ đĩa, không nạp toàn bộ vào RAM)
+     * @param {object} entry
+     * @returns {Promise<object>} - { blob, lastModified, chunkCount }
+     */
+    async function assemble(entry) {
+        await entry.queue;
+        
+        var names = [];
+        for await (var handle of entry.dir.values()) {
+            if (handle.kind === 'file' && /^\d+\.part$/.test(handle.name)) {
+                names.push(handle.name);
+            }
+        }
+        names.sort();
+        
+        var parts = [];
+        var lastModified = entry.meta.startTime || 0;
+        for (var i = 0; i < names.length; i++) {
+            var file = await (await entry.dir.getFileHandle(names[i])).getFile();
+            parts.push(file);
+            lastModified = Math.max(lastModified, file.lastModified);
+        }
+        
+        return {
+            blob: new Blob(parts.concat(entry.memory), { type: entry.meta.codec ? entry.meta.codec.mimeType : '' }),
+            lastModified: lastModified,
+            chunkCount: parts.length + entry.memory.length
+        };
+    }
+    
+    /**
+     * Tìm các bản ghi dang dở (chưa được lưu) trong thư mục gốc.
+     * Entry trả về đã được giữ lock cho tới khi discard.
+     * @param {FileSystemDirectoryHandle|null} folderHandle
+     * @param {Array} excludeIds - Journal đang ghi trong phiên hiện tại
+     * @returns {Promise<Array>} - Danh sách entry
+     */
+    async function listPending(folderHandle, excludeIds) {
+        var root = await getRoot(folderHandle);
+        if (!root) return [];
+        
+        var pending = [];
+        
+        try {
+            for await (var dir of root.values()) {
+                if (dir.kind !== 'directory' || (excludeIds || []).indexOf(dir.name) !== -1) continue;
+                
+                var entry = {
+                    id: dir.name,
+                    root: root,
+                    dir: dir,
+                    meta: null,
+                    index: 0,
+                    queue: Promise.resolve(),
+                    failed: false,
+                    memory: [],
+                    releaseLock: null
+                };
+                
+                // Tab khác vẫn đang ghi (hoặc đang khôi phục) journal này
+                if (!(await claimLock(entry))) {
+                    console.log('[Journal] Skipping live entry: ' + dir.name);
+                    continue;
+                }
+                
+                var meta = null;
+                try {
+                    var metaFile = await (await dir.getFileHandle(META_FILE)).getFile();
+                    meta = JSON.parse(await metaFile.text());
+                } catch (e) {
+                    console.warn('[Journal] Broken entry: ' + dir.name, e);
+                    meta = { id: dir.name };
+                }
+                
+                entry.meta = meta;
+                pending.push(entry);
+            }
+        } catch (e) {
+            console.warn('[Journal] List error:', e);
+        }
+        
+        return pending;
+    }
+    
+    // ==================== Cleanup ====================
+    
+    /**
+     * Xóa journal sau khi video đã được lưu
+     * @param {object} entry
+     * @param {number} delayMs - Chờ trước khi xóa (khi file còn đang được tải về)
+     * @returns {Promise}
+     */
+    async function discard(entry, delayMs) {
+        await entry.queue;
+        
+        if (delayMs) {
+            // Đánh dấu đã lưu để lần khôi phục sau không tạo bản trùng
+            await updateMeta(entry, { status: 'saved' });
+            setTimeout(function() {
+                removeDir(entry);
+            }, delayMs);
+            return;
+        }
+        
+        await removeDir(entry);
+    }
+    
+    async function removeDir(entry) {
+        try {
+            await entry.root.removeEntry(entry.id, { recursive: true });
+            console.log('[Journal] Discarded: ' + entry.id);
+        } catch (e) {
+            console.warn('[Journal] Discard error:', e);
+        } finally {
+            if (entry.releaseLock) {
+                entry.releaseLock();
+                entry.releaseLock = null;
+            }
+        }
+    }
+    
+    // ==================== Locks ====================
+    
+    /**
+     * Giữ Web Lock theo id journal cho tới khi journal bị xóa
+     * @param {object} entry
+     * @returns {Promise<boolean>} - false nếu tab khác đang giữ
+     */
+    function claimLock(entry) {
+        if (!navigator.locks) return Promise.resolve(true);
+        
+        return new Promise(function(resolve) {
+            navigator.locks.request(LOCK_PREFIX + entry.id, { ifAvailable: true }, function(lock) {
+                if (!lock) {
+                    resolve(false);
+                    return;
+                }
+                
+                resolve(true);
+                return new Promise(function(release) {
+                    entry.releaseLock = release;
+                });
+            }).catch(function(e) {
+                console.warn('[Journal] Lock error:', e);
+                resolve(true);
+            });
+        });
+    }
+    
+    // ==================== Helpers ====================
+    
+    async function writeFile(dir, name, data) {
+        var fileHandle = await dir.getFileHandle(name, { create: true });
+        var writable = await fileHandle.createWritable();
+        await writable.write(data);
+        await writable.close();
+    }
+    
+    function chunkName(index) {
+        return String(index).padStart(6, '0') + '.part';
+    }
+    
+    // ==================== Public API ====================
+    return {
+        open: open,
+        append: append,
+        updateMeta: updateMeta,
+        assemble: assemble,
+        listPending: listPending,
+        discard: discard
+    };
+})();
+
+// Export for Node.js (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRJournal;
+}
@@ -0,0 +1,471 @@
+/**
+ * QR Scanner v7.25 - Privacy Masks Module
+ *
+ * Chứa tất cả logic:
+ * - Vùng che riêng tư (chữ nhật / đa giác) lưu theo deviceId của camera
+ * - Vẽ vùng che lên recordingCanvas trước khi encode: làm mờ khối (pixelate) hoặc tô đen
+ * - Trình vẽ vùng che trên khung preview (kéo chữ nhật, bấm từng đỉnh đa giác)
+ *
+ * Vùng che:
+ *   shape  - 'rect' | 'polygon'
+ *   mode   - 'pixelate' | 'black'
+ *   points - [[x, y], ...] tỉ lệ 0-1 của ảnh gốc camera (trước khi cắt/xoay theo preset)
+ *
+ * Depends on: storage.js
+ */
+
+var QRMasks = (function() {
+    'use strict';
+    
+    var STORAGE = QRStorage;
+    
+    var MODES = ['pixelate', 'black'];
+    var PIXEL_BLOCKS = 40;         // Số khối theo chiều ngang khi làm mờ
+    var MAX_ZONES = 20;
+    var MAX_POINTS = 32;
+    var CLOSE_DISTANCE = 12;       // px: bấm gần đỉnh đầu = đóng đa giác
+    var MIN_RECT = 0.01;           // Chữ nhật nhỏ hơn 1% khung = bấm nhầm
+    
+    var masks = {};                // deviceId -> [zones]
+    
+    // Ảnh camera thu nhỏ để làm mờ khối
+    var pixelCanvas = null;
+    var pixelCtx = null;
+    
+    // ==================== Storage ====================
+    
+    /**
+     * Load vùng che của mọi camera
+     */
+    function load() {
+        masks = STORAGE.loadMasks();
+    }
+    
+    /**
+     * Vùng che của một camera (bản sao)
+     * @param {string} deviceId
+     * @returns {Array}
+     */
+    function get(deviceId) {
+        return deviceId && masks[deviceId] ? JSON.parse(JSON.stringify(masks[deviceId])) : [];
+    }
+    
+    /**
+     * Lưu vùng che cho camera (mảng rỗng = xóa)
+     * @param {string} deviceId
+     * @param {Array} zones
+     * @returns {Array} - Vùng che hợp lệ đã lưu
+     * @throws {Error} - Không có deviceId hoặc vùng che sai
+     */
+    function save(deviceId, zones) {
+        if (!deviceId) {
+            throw new Error('Không xác định được camera');
+        }
+        if (!Array.isArray(zones) || zones.length > MAX_ZONES) {
+            throw new Error('Tối đa ' + MAX_ZONES + ' vùng che');
+        }
+        
+        var valid = zones.map(validate);
+        if (valid.length > 0) {
+            masks[deviceId] = valid;
+        } else {
+            delete masks[deviceId];
+        }
+        STORAGE.saveMasks(masks);
+        return get(deviceId);
+    }
+    
+    /**
+     * Kiểm tra và chuẩn hóa một vùng che
+     * @param {object} zone
+     * @returns {object}
+     * @throws {Error}
+     */
+    function validate(zone) {
+        if (!zone || !Array.isArray(zone.points)) {
+            throw new Error('Vùng che không hợp lệ');
+        }
+        
+        var shape = zone.shape === 'polygon' ? 'polygon' : 'rect';
+        var points = zone.points.map(function(p) {
+            return [clamp(Number(p[0])), clamp(Number(p[1]))];
+        });
+        
+        if (shape === 'rect' && points.length !== 4) {
+            throw new Error('Chữ nhật phải có 4 đỉnh');
+        }
+        if (points.length < 3 || points.length > MAX_POINTS) {
+            throw new Error('Đa giác phải có từ 3 đến ' + MAX_POINTS + ' đỉnh');
+        }
+        
+        return {
+            shape: shape,
+            mode: MODES.indexOf(zone.mode) !== -1 ? zone.mode : 'pixelate',
+            points: points
+        };
+    }
+    
+    function clamp(value) {
+        return Math.round(Math.min(1, Math.max(0, value || 0)) * 10000) / 10000;
+    }
+    
+    // ==================== Render ====================
+    
+    /**
+     * Che các vùng trên ảnh camera vừa vẽ (dùng transform hiện tại của ctx - vd: đã xoay)
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {HTMLVideoElement} video - Nguồn vừa được vẽ
+     * @param {Array} zones
+     * @param {object} src - Vùng ảnh camera đã vẽ { x, y, w, h } (pixel của video)
+     * @param {object} dest - Vị trí đã vẽ trên canvas { x, y, w, h }
+     */
+    function apply(ctx, video, zones, src, dest) {
+        if (!zones || zones.length === 0) return;
+        
+        var videoWidth = video.videoWidth;
+        var videoHeight = video.videoHeight;
+        if (!videoWidth || !videoHeight) return;
+        
+        ctx.save();
+        
+        // Không tràn ra ngoài chỗ camera chiếm (PiP, cạnh nhau)
+        ctx.beginPath();
+        ctx.rect(dest.x, dest.y, dest.w, dest.h);
+        ctx.clip();
+        
+        // Từ đây tọa độ = pixel của video
+        ctx.translate(dest.x, dest.y);
+        ctx.scale(dest.w / src.w, dest.h / src.h);
+        ctx.translate(-src.x, -src.y);
+        
+        var pixelated = null;
+        zones.forEach(function(zone) {
+            ctx.save();
+            tracePath(ctx, zone.points, videoWidth, videoHeight);
+            
+            if (zone.mode === 'black') {
+                ctx.fillStyle = '#000';
+                ctx.fill();
+            } else {
+                pixelated = pixelated || pixelate(video);
+                ctx.clip();
+                ctx.imageSmoothingEnabled = false;
+                ctx.drawImage(pixelated, 0, 0, pixelated.width, pixelated.height, 0, 0, videoWidth, videoHeight);
+            }
+            
+            ctx.restore();
+        });
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Ảnh camera thu nhỏ còn PIXEL_BLOCKS khối theo chiều ngang (phóng to lại = mờ khối)
+     */
+    function pixelate(video) {
+        if (!pixelCanvas) {
+            pixelCanvas = document.createElement('canvas');
+            pixelCtx = pixelCanvas.getContext('2d');
+        }
+        
+        var width = PIXEL_BLOCKS;
+        var height = Math.max(1, Math.round(PIXEL_BLOCKS * video.videoHeight / video.videoWidth));
+        if (pixelCanvas.width !== width || pixelCanvas.height !== height) {
+            pixelCanvas.width = width;
+            pixelCanvas.height = height;
+        }
+        pixelCtx.drawImage(video, 0, 0, width, height);
+        return pixelCanvas;
+    }
+    
+    function tracePath(ctx, points, width, height) {
+        ctx.beginPath();
+        points.forEach(function(p, i) {
+            if (i === 0) {
+                ctx.moveTo(p[0] * width, p[1] * height);
+            } else {
+                ctx.lineTo(p[0] * width, p[1] * height);
+            }
+        });
+        ctx.closePath();
+    }
+    
+    // ==================== Editor ====================
+    
+    var editor = {
+        canvas: null,
+        ctx: null,
+        video: null,
+        zones: [],
+        shape: 'rect',
+        mode: 'pixelate',
+        drag: null,        // { from: [x, y], to: [x, y] } khi đang kéo chữ nhật
+        polygon: [],       // Đỉnh của đa giác đang vẽ
+        frame: null,       // Vị trí ảnh camera trên canvas { x, y, w, h }
+        rafId: null
+    };
+    
+    /**
+     * Mở trình vẽ: hình camera trực tiếp + vùng che trên canvas phủ lên preview
+     * @param {HTMLCanvasElement} canvas
+     * @param {HTMLVideoElement} video - Camera đang chỉnh
+     * @param {Array} zones - Vùng che hiện có
+     */
+    function openEditor(canvas, video, zones) {
+        closeEditor();
+        
+        editor.canvas = canvas;
+        editor.ctx = canvas.getContext('2d');
+        editor.video = video;
+        editor.zones = JSON.parse(JSON.stringify(zones || []));
+        editor.drag = null;
+        editor.polygon = [];
+        
+        canvas.addEventListener('pointerdown', onPointerDown);
+        canvas.addEventListener('pointermove', onPointerMove);
+        canvas.addEventListener('pointerup', onPointerUp);
+        canvas.addEventListener('dblclick', finishPolygon);
+        
+        drawEditor();
+    }
+    
+    function closeEditor() {
+        if (editor.rafId) {
+            cancelAnimationFrame(editor.rafId);
+            editor.rafId = null;
+        }
+        if (editor.canvas) {
+            editor.canvas.removeEventListener('pointerdown', onPointerDown);
+            editor.canvas.removeEventListener('pointermove', onPointerMove);
+            editor.canvas.removeEventListener('pointerup', onPointerUp);
+            editor.canvas.removeEventListener('dblclick', finishPolygon);
+        }
+        editor.canvas = null;
+        editor.ctx = null;
+        editor.video = null;
+    }
+    
+    /**
+     * Đổi camera đang chỉnh mà không đóng trình vẽ
+     */
+    function setEditorSource(video, zones) {
+        editor.video = video;
+        editor.zones = JSON.parse(JSON.stringify(zones || []));
+        editor.drag = null;
+        editor.polygon = [];
+    }
+    
+    function setShape(shape) {
+        editor.shape = shape === 'polygon' ? 'polygon' : 'rect';
+        editor.polygon = [];
+    }
+    
+    function setMode(mode) {
+        editor.mode = MODES.indexOf(mode) !== -1 ? mode : 'pixelate';
+    }
+    
+    /**
+     * Bỏ đa giác đang vẽ dở, nếu không có thì bỏ vùng che cuối
+     */
+    function undo() {
+        if (editor.polygon.length > 0) {
+            editor.polygon = [];
+        } else {
+            editor.zones.pop();
+        }
+    }
+    
+    function clearZones() {
+        editor.zones = [];
+        editor.polygon = [];
+    }
+    
+    /**
+     * Vùng che đang vẽ (đa giác dở đủ 3 đỉnh thì được tính)
+     * @returns {Array}
+     */
+    function getEditorZones() {
+        finishPolygon();
+        return JSON.parse(JSON.stringify(editor.zones));
+    }
+    
+    // ---------- Pointer ----------
+    
+    /**
+     * Tọa độ con trỏ -> tỉ lệ 0-1 của ảnh camera
+     */
+    function toFrame(e) {
+        var rect = editor.canvas.getBoundingClientRect();
+        var f = editor.frame || { x: 0, y: 0, w: rect.width, h: rect.height };
+        var px = (e.clientX - rect.left) * editor.canvas.width / rect.width;
+        var py = (e.clientY - rect.top) * editor.canvas.height / rect.height;
+        return [clamp((px - f.x) / f.w), clamp((py - f.y) / f.h)];
+    }
+    
+    function onPointerDown(e) {
+        var point = toFrame(e);
+        
+        if (editor.shape === 'rect') {
+            editor.drag = { from: point, to: point };
+            editor.canvas.setPointerCapture(e.pointerId);
+            return;
+        }
+        
+        // Bấm gần đỉnh đầu = đóng đa giác
+        if (editor.polygon.length >= 3 && isNearFirst(point)) {
+            finishPolygon();
+            return;
+        }
+        // Nháy đúp cũng tạo hai lần bấm tại cùng một chỗ
+        var last = editor.polygon[editor.polygon.length - 1];
+        if (last && distance(point, last) <= CLOSE_DISTANCE) return;
+        if (editor.polygon.length < MAX_POINTS) {
+            editor.polygon.push(point);
+        }
+    }
+    
+    function onPointerMove(e) {
+        if (editor.drag) {
+            editor.drag.to = toFrame(e);
+        }
+    }
+    
+    function onPointerUp(e) {
+        var drag = editor.drag;
+        if (!drag) return;
+        editor.drag = null;
+        
+        var x1 = Math.min(drag.from[0], drag.to[0]);
+        var y1 = Math.min(drag.from[1], drag.to[1]);
+        var x2 = Math.max(drag.from[0], drag.to[0]);
+        var y2 = Math.max(drag.from[1], drag.to[1]);
+        if (x2 - x1 < MIN_RECT || y2 - y1 < MIN_RECT || editor.zones.length >= MAX_ZONES) return;
+        
+        editor.zones.push({
+            shape: 'rect',
+            mode: editor.mode,
+            points: [[x1, y1], [x2, y1], [x2, y2], [x1, y2]]
+        });
+    }
+    
+    function finishPolygon() {
+        if (editor.polygon.length >= 3 && editor.zones.length < MAX_ZONES) {
+            editor.zones.push({ shape: 'polygon', mode: editor.mode, points: editor.polygon });
+        }
+        editor.polygon = [];
+    }
+    
+    function isNearFirst(point) {
+        return distance(point, editor.polygon[0]) <= CLOSE_DISTANCE;
+    }
+    
+    /**
+     * Khoảng cách trên màn hình (px) giữa hai điểm tỉ lệ của ảnh camera
+     */
+    function distance(a, b) {
+        var f = editor.frame || { w: 1, h: 1 };
+        var dx = (a[0] - b[0]) * f.w;
+        var dy = (a[1] - b[1]) * f.h;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+    
+    // ---------- Drawing ----------
+    
+    function drawEditor() {
+        var canvas = editor.canvas;
+        if (!canvas) return;
+        
+        var ctx = editor.ctx;
+        var video = editor.video;
+        
+        // Khớp kích thước hiển thị (canvas co giãn theo khung video)
+        var rect = canvas.getBoundingClientRect();
+        var width = Math.round(rect.width) || canvas.width;
+        var height = Math.round(rect.height) || canvas.height;
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, width, height);
+        
+        var videoWidth = video && video.videoWidth ? video.videoWidth : 16;
+        var videoHeight = video && video.videoHeight ? video.videoHeight : 9;
+        var ratio = Math.min(width / videoWidth, height / videoHeight);
+        var f = editor.frame = {
+            x: (width - videoWidth * ratio) / 2,
+            y: (height - videoHeight * ratio) / 2,
+            w: videoWidth * ratio,
+            h: videoHeight * ratio
+        };
+        
+        if (video && video.readyState >= 2) {
+            ctx.drawImage(video, f.x, f.y, f.w, f.h);
+            apply(ctx, video, editor.zones, { x: 0, y: 0, w: videoWidth, h: videoHeight }, f);
+        }
+        
+        // Viền vùng che
+        ctx.save();
+        ctx.translate(f.x, f.y);
+        ctx.lineWidth = 2;
+        editor.zones.forEach(function(zone) {
+            tracePath(ctx, zone.points, f.w, f.h);
+            ctx.strokeStyle = zone.mode === 'black' ? '#ff6b6b' : '#ffd43b';
+            ctx.stroke();
+        });
+        
+        if (editor.drag) {
+            var d = editor.drag;
+            ctx.strokeStyle = '#4dabf7';
+            ctx.setLineDash([6, 4]);
+            ctx.strokeRect(d.from[0] * f.w, d.from[1] * f.h, (d.to[0] - d.from[0]) * f.w, (d.to[1] - d.from[1]) * f.h);
+            ctx.setLineDash([]);
+        }
+        
+        if (editor.polygon.length > 0) {
+            ctx.strokeStyle = '#4dabf7';
+            ctx.fillStyle = '#4dabf7';
+            ctx.beginPath();
+            editor.polygon.forEach(function(p, i) {
+                if (i === 0) {
+                    ctx.moveTo(p[0] * f.w, p[1] * f.h);
+                } else {
+                    ctx.lineTo(p[0] * f.w, p[1] * f.h);
+                }
+            });
+            ctx.stroke();
+            editor.polygon.forEach(function(p) {
+                ctx.fillRect(p[0] * f.w - 3, p[1] * f.h - 3, 6, 6);
+            });
+        }
+        ctx.restore();
+        
+        editor.rafId = requestAnimationFrame(drawEditor);
+    }
+    
+    // ==================== Public API ====================
+    return {
+        load: load,
+        get: get,
+        save: save,
+        validate: validate,
+        apply: apply,
+        
+        // Editor
+        openEditor: openEditor,
+        closeEditor: closeEditor,
+        setEditorSource: setEditorSource,
+        setShape: setShape,
+        setMode: setMode,
+        undo: undo,
+        clearZones: clearZones,
+        getEditorZones: getEditorZones,
+        isEditing: function() { return !!editor.canvas; }
+    };
+})();
+
+// Export for Node.js (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRMasks;
+}
@@ -0,0 +1,370 @@
+/**
+ * QR Scanner v7.25 - Monitor Module
+ *
+ * Cửa sổ Picture-in-Picture theo dõi trạm khi app bị che bởi cửa sổ/tab khác:
+ * - Document PiP (Chrome 116+): video trực tiếp của recordingCanvas + thanh trạng thái HTML
+ * - Video PiP (dự phòng): vẽ canvas + thanh trạng thái vào một canvas nhỏ rồi phát qua <video>
+ * - Trạng thái: REC / PAUSED + thời lượng, mã đơn, số sản phẩm, đếm ngược khóa quét
+ *
+ * Depends on: config.js, scheduler.js
+ */
+
+var QRMonitor = (function() {
+    'use strict';
+    
+    var CONFIG = QRConfig;
+    var SCHEDULER = QRScheduler;
+    
+    var MONITOR_FPS = 15;
+    var MONITOR_WIDTH = 640; // Chiều ngang canvas của video PiP
+    var BAR_HEIGHT = 48;
+    var WINDOW_SIZE = { width: 480, height: 330 };
+    
+    var MONITOR_CSS = [
+        'html, body { margin: 0; height: 100%; background: #000; color: #fff; font-family: Arial, sans-serif; overflow: hidden; }',
+        '.monitor { display: flex; flex-direction: column; height: 100%; }',
+        '.monitor video { flex: 1; min-height: 0; width: 100%; object-fit: contain; background: #000; }',
+        '.monitor-bar { display: flex; gap: 12px; align-items: center; padding: 6px 10px; font-size: 15px; font-weight: bold; background: #222; white-space: nowrap; }',
+        '.monitor-rec { color: #888; }',
+        '.monitor-rec.on { color: #ff3b30; }',
+        '.monitor-rec.paused { color: #ffa500; }',
+        '.monitor-order { flex: 1; overflow: hidden; text-overflow: ellipsis; }',
+        '.monitor-lock { color: #ffd700; }',
+        '.monitor-lock.hidden { display: none; }'
+    ].join('\n');
+    
+    var state = {
+        mode: null, // 'document' | 'video'
+        source: null,
+        stream: null,
+        pipWindow: null,
+        video: null,
+        canvas: null,
+        ctx: null,
+        timer: null,
+        els: null,
+        status: {
+            isRecording: false,
+            paused: false,
+            duration: 0,
+            order: '',
+            products: 0,
+            scanLock: 0
+        }
+    };
+    
+    var callbacks = {
+        onClose: null
+    };
+    
+    // ==================== Open / Close ====================
+    
+    /**
+     * Trình duyệt có hỗ trợ PiP (một trong hai kiểu) không
+     * @returns {boolean}
+     */
+    function isSupported() {
+        return 'documentPictureInPicture' in window || !!document.pictureInPictureEnabled;
+    }
+    
+    /**
+     * Mở cửa sổ PiP (cần gọi trong sự kiện click)
+     * @param {HTMLCanvasElement} canvas - recordingCanvas
+     * @returns {Promise<boolean>}
+     */
+    async function open(canvas) {
+        if (state.mode) return true;
+        if (!canvas) return false;
+        
+        state.source = canvas;
+        
+        if ('documentPictureInPicture' in window) {
+            try {
+                await openDocument();
+                return true;
+            } catch (e) {
+                console.warn('[Monitor] Document PiP failed, trying video PiP:', e);
+                cleanup();
+                state.source = canvas;
+            }
+        }
+        
+        if (document.pictureInPictureEnabled) {
+            try {
+                await openVideo();
+                return true;
+            } catch (e) {
+                console.error('[Monitor] Video PiP failed:', e);
+                cleanup();
+            }
+        }
+        
+        return false;
+    }
+    
+    async function openDocument() {
+        var pipWindow = await window.documentPictureInPicture.requestWindow(WINDOW_SIZE);
+        var doc = pipWindow.document;
+        
+        var style = doc.createElement('style');
+        style.textContent = MONITOR_CSS;
+        doc.head.appendChild(style);
+        doc.title = CONFIG.TEXTS.MONITOR_TITLE;
+        
+        var root = el(doc, 'div', 'monitor');
+        var video = el(doc, 'video');
+        video.autoplay = true;
+        video.muted = true;
+        video.playsInline = true;
+        
+        var bar = el(doc, 'div', 'monitor-bar');
+        state.els = {
+            rec: el(doc, 'span', 'monitor-rec'),
+            order: el(doc, 'span', 'monitor-order'),
+            products: el(doc, 'span', 'monitor-products'),
+            lock: el(doc, 'span', 'monitor-lock hidden')
+        };
+        bar.appendChild(state.els.rec);
+        bar.appendChild(state.els.order);
+        bar.appendChild(state.els.products);
+        bar.appendChild(state.els.lock);
+        root.appendChild(video);
+        root.appendChild(bar);
+        doc.body.appendChild(root);
+        
+        state.mode = 'document';
+        state.pipWindow = pipWindow;
+        state.video = video;
+        attachSource();
+        renderStatus();
+        
+        pipWindow.addEventListener('pagehide', function() {
+            if (state.pipWindow === pipWindow) close();
+        });
+        
+        console.log('[Monitor] Document PiP opened');
+    }
+    
+    async function openVideo() {
+        state.mode = 'video';
+        state.canvas = document.createElement('canvas');
+        state.ctx = state.canvas.getContext('2d');
+        drawFrame();
+        
+        // Worker timer: cửa sổ chính bị che / tab ẩn vẫn vẽ đều
+        state.timer = SCHEDULER.start(drawFrame, 1000 / MONITOR_FPS);
+        state.stream = state.canvas.captureStream(MONITOR_FPS);
+        
+        var video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.className = 'monitor-video';
+        video.srcObject = state.stream;
+        document.body.appendChild(video);
+        state.video = video;
+        
+        await video.play();
+        await video.requestPictureInPicture();
+        
+        video.addEventListener('leavepictureinpicture', function() {
+            if (state.video === video) close();
+        });
+        
+        console.log('[Monitor] Video PiP opened');
+    }
+    
+    /**
+     * Đóng cửa sổ PiP
+     */
+    function close() {
+        if (!state.mode) return;
+        
+        var mode = state.mode;
+        cleanup();
+        
+        console.log('[Monitor] Closed (' + mode + ')');
+        triggerCallback('onClose');
+    }
+    
+    function cleanup() {
+        if (state.timer) {
+            SCHEDULER.stop(state.timer);
+            state.timer = null;
+        }
+        if (state.stream) {
+            state.stream.getTracks().forEach(function(track) {
+                track.stop();
+            });
+            state.stream = null;
+        }
+        
+        var pipWindow = state.pipWindow;
+        var video = state.video;
+        
+        state.mode = null;
+        state.pipWindow = null;
+        state.video = null;
+        state.canvas = null;
+        state.ctx = null;
+        state.els = null;
+        state.source = null;
+        
+        if (pipWindow && !pipWindow.closed) {
+            pipWindow.close();
+        }
+        if (video) {
+            if (document.pictureInPictureElement === video) {
+                document.exitPictureInPicture().catch(function() {});
+            }
+            if (video.parentNode) video.parentNode.removeChild(video);
+        }
+    }
+    
+    // ==================== Source ====================
+    
+    /**
+     * Đổi canvas nguồn (camera bật lại tạo recordingCanvas mới)
+     * @param {HTMLCanvasElement} canvas
+     */
+    function setSource(canvas) {
+        if (!state.mode || !canvas || canvas === state.source) return;
+        
+        state.source = canvas;
+        if (state.mode === 'document') {
+            attachSource();
+        }
+    }
+    
+    function attachSource() {
+        if (state.stream) {
+            state.stream.getTracks().forEach(function(track) {
+                track.stop();
+            });
+        }
+        state.stream = state.source.captureStream(MONITOR_FPS);
+        state.video.srcObject = state.stream;
+    }
+    
+    // ==================== Status ====================
+    
+    /**
+     * Cập nhật trạng thái hiển thị trên cửa sổ PiP
+     * @param {object} status - { isRecording, paused, duration, order, products, scanLock }
+     */
+    function setStatus(status) {
+        Object.assign(state.status, status);
+        if (state.mode === 'document') {
+            renderStatus();
+        }
+    }
+    
+    function renderStatus() {
+        var els = state.els;
+        var s = state.status;
+        if (!els) return;
+        
+        els.rec.textContent = formatRec(s);
+        els.rec.className = 'monitor-rec' + (s.isRecording ? (s.paused ? ' paused' : ' on') : '');
+        els.order.textContent = s.order ? '📦 ' + s.order : '';
+        els.products.textContent = s.isRecording ? '🛒 ' + s.products : '';
+        els.lock.textContent = '🔒 ' + Math.ceil(s.scanLock) + 's';
+        els.lock.className = 'monitor-lock' + (s.scanLock > 0 ? '' : ' hidden');
+    }
+    
+    /**
+     * Video PiP: vẽ recordingCanvas thu nhỏ + thanh trạng thái
+     */
+    function drawFrame() {
+        var canvas = state.canvas;
+        var ctx = state.ctx;
+        var source = state.source;
+        if (!canvas || !source) return;
+        
+        var videoHeight = Math.round(MONITOR_WIDTH * source.height / source.width) || MONITOR_WIDTH * 9 / 16;
+        if (canvas.width !== MONITOR_WIDTH || canvas.height !== videoHeight + BAR_HEIGHT) {
+            canvas.width = MONITOR_WIDTH;
+            canvas.height = videoHeight + BAR_HEIGHT;
+        }
+        
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        if (source.width > 0 && source.height > 0) {
+            ctx.drawImage(source, 0, 0, MONITOR_WIDTH, videoHeight);
+        }
+        
+        var s = state.status;
+        var y = videoHeight + BAR_HEIGHT / 2;
+        
+        ctx.fillStyle = '#222';
+        ctx.fillRect(0, videoHeight, canvas.width, BAR_HEIGHT);
+        ctx.font = 'bold 20px Arial';
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'left';
+        
+        ctx.fillStyle = s.isRecording ? (s.paused ? '#ffa500' : '#ff3b30') : '#888';
+        var rec = formatRec(s);
+        ctx.fillText(rec, 10, y);
+        
+        var x = 20 + ctx.measureText(rec).width;
+        if (s.order) {
+            ctx.fillStyle = '#fff';
+            var order = s.order.length > 20 ? s.order.substring(0, 20) + '…' : s.order;
+            ctx.fillText('📦 ' + order + (s.isRecording ? '  🛒 ' + s.products : ''), x, y);
+        }
+        
+        if (s.scanLock > 0) {
+            ctx.fillStyle = '#ffd700';
+            ctx.textAlign = 'right';
+            ctx.fillText('🔒 ' + Math.ceil(s.scanLock) + 's', canvas.width - 10, y);
+        }
+    }
+    
+    // ==================== Helpers ====================
+    
+    function el(doc, tag, className) {
+        var node = doc.createElement(tag);
+        if (className) node.className = className;
+        return node;
+    }
+    
+    function formatDuration(seconds) {
+        var m = Math.floor((seconds || 0) / 60);
+        var s = (seconds || 0) % 60;
+        return String(m).padStart(2, '0') + ':' + String(s).padStart(2, '0');
+    }
+    
+    function formatRec(s) {
+        if (!s.isRecording) return '○ ' + CONFIG.TEXTS.MONITOR_IDLE;
+        return (s.paused ? '⏸ PAUSED ' : '● REC ') + formatDuration(s.duration);
+    }
+    
+    // ==================== Callbacks ====================
+    
+    function on(event, callback) {
+        if (callbacks.hasOwnProperty(event)) {
+            callbacks[event] = callback;
+        }
+    }
+    
+    function triggerCallback(event, data) {
+        if (callbacks[event] && typeof callbacks[event] === 'function') {
+            callbacks[event](data);
+        }
+    }
+    
+    // ==================== Public API ====================
+    return {
+        isSupported: isSupported,
+        open: open,
+        close: close,
+        isOpen: function() { return !!state.mode; },
+        setSource: setSource,
+        setStatus: setStatus,
+        on: on
+    };
+})();
+
+// Export for Node.js (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRMonitor;
+}
@@ -6,8 +6,9 @@
  * - Add/Delete/Search orders
  * - Export to Excel
  * - Auto cleanup old orders
+ * - Hash-chained ledger (verifyLedger)
  * 
- * Depends on: config.js, storage.js
+ * Depends on: config.js, storage.js, integrity.js
  */
 
 var QROrders = (function() {
@@ -15,16 +16,24 @@ var QROrders = (function() {
     
     var CONFIG = QRConfig;
     var STORAGE = QRStorage;
+    var INTEGRITY = QRIntegrity;
     
-    // Orders state
+    // Orders state (mới nhất ở đầu mảng)
     var orders = [];
     
+    // Ledger: head = hash bản ghi mới nhất từng được thêm,
+    // anchor = prevHash mong đợi của bản ghi cũ nhất còn giữ (sau khi dọn/xóa)
+    var ledger = STORAGE.loadLedger();
+    var ledgerQueue = Promise.resolve();
+    var verifyCache = null;
+    
     // Callbacks
     var callbacks = {
         onOrderAdded: null,
         onOrderDeleted: null,
         onOrdersCleared: null,
-        onOrdersLoaded: null
+        onOrdersLoaded: null,
+        onLedgerVerified: null
     };
     
     // ==================== Load/Save ====================
@@ -34,6 +43,8 @@ var QROrders = (function() {
      */
     function loadOrders() {
         orders = STORAGE.loadOrders();
+        ledger = STORAGE.loadLedger();
+        verifyCache = null;
         console.log('[Orders] Loaded ' + orders.length + ' orders');
         triggerCallback('onOrdersLoaded', orders);
         return orders;
@@ -50,14 +61,36 @@ var QROrders = (function() {
     
     /**
      * Add new order
-     * @param {object} orderData - { qrCode, duration, sizeMB, productCount, filename }
-     * @returns {object} - Created order
+     * Bản ghi được nối vào sổ cái: prevHash = hash bản ghi trước, hash = SHA-256 của bản ghi
+     * @param {object} orderData - { qrCode, duration, sizeMB, productCount, filename, files, codec, mimeType, preRollSeconds, recovered }
+     *   hiddenIntervals: [{ from, to, durationMs }] - khoảng thời gian tab bị ẩn trong lúc ghi
+     *   cameraLosses: [{ from, to, durationMs, reason, deviceId }] - khoảng mất camera (mỗi lần mất = sang file mới)
+     *   pauses: [{ from, to, durationMs, source }] - khoảng tạm dừng ghi (không có trong video), source = button | hotkey | qr
+     *   snapshots: [{ kind, code, at, filename, size, sha256, saved }] - ảnh JPEG lúc quét sản phẩm (kind = product) và lúc dừng (stop),
+     *              chỉ lưu khi đã chọn thư mục, saved = false khi ghi vào thư mục bị lỗi, filename = null khi chưa chọn thư mục
+     *   autoStopped: { reason: 'idle', idleSeconds } - app tự dừng (không có chuyển động), null = dừng bình thường
+     *   quality: { ok, samples, avgLuma, avgSharpness, totals, issues: [{ type, from, to, durationMs }] } - watchdog hình camera
+     *   cameras: [{ role, label, deviceId, scanned, masks, maskChanges: [{ at, masks }] }], cameraLayout - các camera ghép trong video
+     *   files: [{ part, filename, sizeMB, duration, sha256, manifest }] - các file của đơn khi bản ghi bị chia nhỏ
+     *   sha256: hash của file chính, scans: [{ code, type, at }]
+     * Không tính được hash (WebCrypto lỗi) thì đơn vẫn được lưu với unchained = true, nằm ngoài chuỗi
+     * @returns {Promise<object>} - Created order
      */
     function addOrder(orderData) {
+        // Tuần tự hóa để hai đơn lưu cùng lúc không tạo nhánh trong chuỗi hash
+        var result = ledgerQueue.then(function() {
+            return appendOrder(orderData);
+        });
+        ledgerQueue = result.catch(function() {});
+        return result;
+    }
+    
+    async function appendOrder(orderData) {
         var now = new Date();
         
         var order = {
             id: Date.now(),
+            seq: (ledger.seq || 0) + 1,
             qrCode: orderData.qrCode || 'Unknown',
             date: formatDateVN(now),
             time: formatTime(now),
@@ -65,18 +98,52 @@ var QROrders = (function() {
             sizeMB: orderData.sizeMB || '0',
             productCount: orderData.productCount || 0,
             filename: orderData.filename || '',
-            createdAt: now.toISOString()
+            files: orderData.files || [],
+            sha256: orderData.sha256 || '',
+            scans: orderData.scans || [],
+            codec: orderData.codec || '',
+            mimeType: orderData.mimeType || '',
+            preRollSeconds: orderData.preRollSeconds || 0,
+            hiddenIntervals: orderData.hiddenIntervals || [],
+            cameraLosses: orderData.cameraLosses || [],
+            pauses: orderData.pauses || [],
+            snapshots: orderData.snapshots || [],
+            quality: orderData.quality || null,
+            autoStopped: orderData.autoStopped || null,
+            cameras: orderData.cameras || [],
+            cameraLayout: orderData.cameraLayout || null,
+            recovered: !!orderData.recovered,
+            createdAt: now.toISOString(),
+            prevHash: ledger.head || INTEGRITY.GENESIS_HASH
         };
         
+        try {
+            order.hash = await INTEGRITY.hashRecord(order);
+        } catch (e) {
+            // Không bỏ mất đơn: lưu ngoài chuỗi, head giữ nguyên để đơn sau vẫn nối được
+            console.error('[Orders] Hash error, saving unchained:', e);
+            delete order.prevHash;
+            order.unchained = true;
+        }
+        
         // Add to beginning of array
         orders.unshift(order);
+        ledger.seq = order.seq;
+        if (order.unchained) {
+            logLedgerEvent('unchained', 1, { seq: order.seq, qrCode: order.qrCode });
+        } else {
+            ledger.head = order.hash;
+        }
         
         // Limit total orders
         if (orders.length > CONFIG.LIMITS.MAX_ORDERS) {
+            var removed = orders.length - CONFIG.LIMITS.MAX_ORDERS;
             orders = orders.slice(0, CONFIG.LIMITS.MAX_ORDERS);
+            moveAnchor('limit', removed);
         }
         
         saveOrders();
+        STORAGE.saveLedger(ledger);
         
         console.log('[Orders] Added order:', order.qrCode);
         triggerCallback('onOrderAdded', order);
@@ -94,6 +161,12 @@ var QROrders = (function() {
         
         if (index !== -1) {
             var deleted = orders.splice(index, 1)[0];
+            
+            // Xóa giữa chuỗi sẽ làm đứt sổ cái - ghi lại sự kiện để biết nguyên nhân
+            logLedgerEvent('delete', 1, { seq: deleted.seq, qrCode: deleted.qrCode });
+            if (index === orders.length) {
+                moveAnchor('delete', 0);
+            }
             saveOrders();
             
             console.log('[Orders] Deleted order:', deleted.qrCode);
@@ -108,9 +181,15 @@ var QROrders = (function() {
      * Clear all orders
      */
     function clearAll() {
+        var count = orders.length;
         orders = [];
         STORAGE.clearOrders();
         
+        // Chuỗi tiếp tục từ head cũ, sự kiện xóa được lưu lại trong sổ cái
+        ledger.anchor = ledger.head;
+        logLedgerEvent('clear', count);
+        verifyCache = null;
+        
         console.log('[Orders] All orders cleared');
         triggerCallback('onOrdersCleared');
     }
@@ -204,7 +283,7 @@ var QROrders = (function() {
         }
         
         // CSV header
-        var csv = 'STT,Mã QR,Ngày,Giờ,Thời lượng (s),Dung lượng (MB),Số sản phẩm\n';
+        var csv = 'STT,Mã QR,Ngày,Giờ,Thời lượng (s),Dung lượng (MB),Số sản phẩm,Codec,File\n';
         
         // CSV rows
         data.forEach(function(order, index) {
@@ -215,7 +294,9 @@ var QROrders = (function() {
                 order.time,
                 order.duration,
                 order.sizeMB,
-                order.productCount
+                order.productCount,
+                order.codec || '',
+                '"' + getFilenames(order).join('; ').replace(/"/g, '""') + '"'
             ].join(',') + '\n';
         });
         
@@ -254,6 +335,7 @@ var QROrders = (function() {
         var deletedCount = originalCount - orders.length;
         
         if (deletedCount > 0) {
+            moveAnchor('cleanup', deletedCount);
             saveOrders();
             console.log('[Orders] Cleaned up ' + deletedCount + ' old orders');
         }
@@ -261,8 +343,156 @@ var QROrders = (function() {
         return deletedCount;
     }
     
+    // ==================== Ledger ====================
+    
+    /**
+     * Sau khi bỏ các bản ghi cũ nhất: anchor = prevHash của bản ghi cũ nhất còn lại
+     * @param {string} reason - 'cleanup' | 'limit' | 'delete'
+     * @param {number} count - Số bản ghi đã bỏ
+     */
+    function moveAnchor(reason, count) {
+        // Đơn ngoài chuỗi không có prevHash - lấy đơn cũ nhất nằm trong chuỗi
+        var chained = orders.filter(function(o) { return !o.unchained; });
+        var oldest = chained[chained.length - 1];
+        if (!oldest) {
+            ledger.anchor = ledger.head;
+        } else if (oldest.hash) {
+            ledger.anchor = oldest.prevHash;
+        }
+        if (count > 0) {
+            logLedgerEvent(reason, count);
+        }
+        verifyCache = null;
+    }
+    
+    function logLedgerEvent(type, count, extra) {
+        ledger.events = ledger.events || [];
+        ledger.events.push(Object.assign({
+            type: type,
+            count: count,
+            at: new Date().toISOString(),
+            head: ledger.head
+        }, extra || {}));
+        STORAGE.saveLedger(ledger);
+    }
+    
+    /**
+     * Kiểm tra toàn bộ chuỗi hash, từ bản ghi cũ nhất tới mới nhất
+     * @returns {Promise<object>} - { ok, total, verified, legacy, unchained, removed, brokenAt, events }
+     *   unchained: số đơn lưu ngoài chuỗi (lỗi hash lúc lưu)
+     *   removed: số đơn người dùng đã xóa / xóa hết - chuỗi vẫn OK nhưng cần được thấy
+     *   brokenAt: { index, seq, id, qrCode, date, time, reason } - đơn đầu tiên bị sai
+     *   reason: 'modified' (nội dung bị sửa), 'chain' (thiếu/chèn bản ghi phía trước),
+     *           'missing-hash', 'truncated' (mất các đơn mới nhất)
+     */
+    async function verifyLedger() {
+        await ledgerQueue;
+        
+        var result = {
+            ok: true,
+            total: orders.length,
+            verified: 0,
+            legacy: 0,
+            unchained: 0,
+            removed: 0,
+            brokenAt: null,
+            events: (ledger.events || []).slice()
+        };
+        
+        result.events.forEach(function(ev) {
+            if (ev.type === 'clear' || ev.type === 'delete') {
+                result.removed += ev.count || 0;
+            }
+        });
+        
+        // Chỉ kiểm tra phần mới thêm nếu lần trước đã OK và đơn cũ không đổi
+        var start = orders.length - 1;
+        var expectedPrev = ledger.anchor || INTEGRITY.GENESIS_HASH;
+        if (verifyCache) {
+            var cachedIndex = orders.findIndex(function(o) { return o.hash === verifyCache.head; });
+            if (cachedIndex !== -1 && orders.length - cachedIndex === verifyCache.count) {
+                start = cachedIndex - 1;
+                expectedPrev = verifyCache.head;
+                result.verified = verifyCache.verified;
+                result.legacy = verifyCache.legacy;
+                result.unchained = verifyCache.unchained;
+            }
+        }
+        
+        for (var i = start; i >= 0; i--) {
+            var order = orders[i];
+            var reason = null;
+            
+            if (order.unchained && !order.hash) {
+                result.unchained++;
+                continue;
+            }
+            
+            if (!order.hash) {
+                // Đơn tạo trước khi có sổ cái
+                if (result.verified === 0) {
+                    result.legacy++;
+                    continue;
+                }
+                reason = 'missing-hash';
+            } else if (await INTEGRITY.hashRecord(order) !== order.hash) {
+                reason = 'modified';
+            } else if (order.prevHash !== expectedPrev) {
+                reason = 'chain';
+            }
+            
+            if (reason) {
+                result.ok = false;
+                result.brokenAt = describeBreak(order, i, reason);
+                break;
+            }
+            
+            expectedPrev = order.hash;
+            result.verified++;
+        }
+        
+        if (result.ok && ledger.head && expectedPrev !== ledger.head) {
+            result.ok = false;
+            result.brokenAt = describeBreak(orders[0], 0, 'truncated');
+        }
+        
+        verifyCache = result.ok && orders.length > 0 && orders[0].hash ? {
+            head: orders[0].hash,
+            count: orders.length,
+            verified: result.verified,
+            legacy: result.legacy,
+            unchained: result.unchained
+        } : null;
+        
+        triggerCallback('onLedgerVerified', result);
+        return result;
+    }
+    
+    function describeBreak(order, index, reason) {
+        order = order || {};
+        return {
+            index: index,
+            seq: order.seq || null,
+            id: order.id,
+            qrCode: order.qrCode,
+            date: order.date,
+            time: order.time,
+            reason: reason
+        };
+    }
+    
     // ==================== Helpers ====================
     
+    /**
+     * Tất cả file video của một đơn (đơn cũ chỉ có filename)
+     */
+    function getFilenames(order) {
+        if (order.files && order.files.length > 0) {
+            return order.files.map(function(f) { return f.filename; });
+        }
+        return order.filename ? [order.filename] : [];
+    }
+    
     /**
      * Format date to DD/MM/YYYY
      */
@@ -350,6 +580,9 @@ var QROrders = (function() {
         // Cleanup
         cleanup: cleanupOldOrders,
         
+        // Ledger
+        verifyLedger: verifyLedger,
+        
         // Callbacks
         on: on,
         
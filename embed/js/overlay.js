@@ -0,0 +1,575 @@
+/**
+ * QR Scanner v7.25 - Overlay Module
+ *
+ * Chứa tất cả logic:
+ * - Template overlay dạng khai báo (danh sách element)
+ * - Vẽ overlay lên recordingCanvas mỗi frame
+ * - Token nội dung: {date} {time} {order} {station} {operator} {shop} {products} {fps} {scanRate} {audioLevel}
+ *   {clockAlert} {hiddenAlert}
+ * - Lưu/đọc template theo tên + thông tin trạm (station/operator/shop)
+ * - Thẻ đánh dấu giữa khung hình (PAUSED / RESUMED) - vẽ ngoài template, luôn có trong video
+ * - Dấu thời gian: template tùy chỉnh không có text luôn hiện chứa {date} {time} thì vẽ dấu của template mặc định
+ * - Chỉ báo hệ thống (micro, cảnh báo giờ, tab bị ẩn, QR metadata): template tùy chỉnh không có
+ *   element cùng 'when' thì dùng element của template mặc định - không template nào tắt được
+ *
+ * Element:
+ *   type    - 'text' | 'detect' | 'image' | 'qr' | 'meter'
+ *   anchor  - '<dọc>-<ngang>': dọc = top|bottom|ts|flip, ngang = left|right|ts|flip
+ *             ts = theo vị trí Timestamp trong cài đặt, flip = phía ngược lại
+ *   x, y    - khoảng cách (px ở 1080p) tính từ lề của template
+ *   when    - 'always' | 'recording' | 'audio' | 'detect' | 'qr' | 'clock' | 'hidden'
+ *   text    - nội dung có token; font, size, bold, color, stroke, strokeWidth,
+ *             background, padding, maxLength
+ *   src, width, height, opacity - cho type 'image' (logo, data URL)
+ *   size, level - cho type 'qr' (QR metadata máy đọc được, cần qrcode-generator)
+ *   text, width, height, size, background - cho type 'meter' (thanh mức âm thanh micro)
+ *
+ * Depends on: config.js, storage.js, qrcode-generator (CDN, cho element 'qr')
+ */
+
+var QROverlay = (function() {
+    'use strict';
+    
+    var CONFIG = QRConfig;
+    var STORAGE = QRStorage;
+    
+    var DEFAULT_NAME = 'Mặc định';
+    var REFERENCE_HEIGHT = 1080; // Kích thước trong template tính theo 1080p
+    var MAX_LOGO_BYTES = 200 * 1024; // Logo data URL nằm trong localStorage cùng template
+    
+    // Template mặc định - giữ nguyên bố cục từ v7.23
+    var DEFAULT_TEMPLATE = {
+        name: DEFAULT_NAME,
+        margin: 113,
+        elements: [
+            { id: 'timestamp', type: 'text', anchor: 'ts-ts', x: 0, y: 0, when: 'always',
+              text: '{date} {time}', font: 'Arial', size: 28, bold: true,
+              color: 'white', stroke: 'black', strokeWidth: 3 },
+            { id: 'order', type: 'text', anchor: 'ts-ts', x: 10, y: 40, when: 'recording',
+              text: '📦 {order}', maxLength: 35, font: 'Arial', size: 24, bold: true,
+              color: 'white', background: 'rgba(40, 167, 69, 0.9)', padding: 10 },
+            { id: 'detect', type: 'detect', anchor: 'ts-ts', x: 0, y: 100, when: 'detect',
+              font: 'Arial', color: '#00FF00', accent: '#FFD700' },
+            { id: 'fps', type: 'text', anchor: 'flip-left', x: 0, y: 6, when: 'always',
+              text: 'FPS: {fps}', font: 'Arial', size: 14, bold: true, color: '{fpsColor}' },
+            { id: 'scanRate', type: 'text', anchor: 'flip-left', x: 80, y: 6, when: 'always',
+              text: 'Scan: {scanRate}/s', font: 'Arial', size: 14, bold: true, color: '#00BFFF' },
+            { id: 'audio', type: 'meter', anchor: 'flip-left', x: 0, y: 28, when: 'audio',
+              text: '🎤', width: 120, height: 14, font: 'Arial', color: '#FF0000' },
+            { id: 'clock', type: 'text', anchor: 'flip-left', x: 0, y: 50, when: 'clock',
+              text: '⏰ {clockAlert}', font: 'Arial', size: 18, bold: true,
+              color: '#FF0000', background: 'rgba(0, 0, 0, 0.75)', padding: 8 },
+            { id: 'hidden', type: 'text', anchor: 'flip-left', x: 0, y: 90, when: 'hidden',
+              text: '👁️ {hiddenAlert}', font: 'Arial', size: 18, bold: true,
+              color: '#FFA500', background: 'rgba(0, 0, 0, 0.75)', padding: 8 },
+            { id: 'metaQR', type: 'qr', anchor: 'flip-right', x: 0, y: 0, when: 'qr',
+              size: 160, level: 'M' }
+        ]
+    };
+    
+    // Templates state
+    var templates = {};
+    var activeName = DEFAULT_NAME;
+    var profile = { station: '', operator: '', shop: '' };
+    
+    // Dấu thời gian in vào video là element hệ thống, luôn được vẽ (theo id)
+    var SYSTEM_IDS = ['timestamp'];
+    
+    // Chỉ báo hệ thống luôn được vẽ (theo 'when' của element)
+    var SYSTEM_WHEN = ['audio', 'clock', 'hidden', 'qr'];
+    
+    // Logo đã nạp (theo src)
+    var imageCache = {};
+    
+    // Danh sách element đã ghép element hệ thống (theo template)
+    var elementCache = typeof WeakMap !== 'undefined' ? new WeakMap() : null;
+    
+    // Ảnh QR metadata gần nhất: 1 pixel = 1 module, chỉ dựng lại khi nội dung đổi
+    var qrCache = { key: null, canvas: null };
+    
+    // ==================== Render ====================
+    
+    /**
+     * Vẽ template lên canvas
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {HTMLCanvasElement} canvas
+     * @param {object} template
+     * @param {object} data - { now, order, isRecording, audio, audioLevel, detectQR, products, fps, scanRate, timestampPos,
+     *                         metaQR, clockAlert, hiddenAlert }
+     */
+    function render(ctx, canvas, template, data) {
+        var scale = canvas.height / REFERENCE_HEIGHT;
+        var margin = (template.margin || 0) * scale;
+        var tokens = buildTokens(data);
+        
+        ctx.save();
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        
+        getElements(template).forEach(function(el) {
+            if (!isVisible(el, data)) return;
+            
+            var place = resolveAnchor(el.anchor, data.timestampPos);
+            
+            try {
+                if (el.type === 'text') {
+                    drawText(ctx, canvas, el, place, margin, scale, tokens);
+                } else if (el.type === 'detect') {
+                    drawDetectPanel(ctx, canvas, el, place, margin, scale, data);
+                } else if (el.type === 'image') {
+                    drawImage(ctx, canvas, el, place, margin, scale);
+                } else if (el.type === 'qr') {
+                    drawQR(ctx, canvas, el, place, margin, scale, data.metaQR);
+                } else if (el.type === 'meter') {
+                    drawMeter(ctx, canvas, el, place, margin, scale, data.audioLevel);
+                }
+            } catch (e) {
+                // Element lỗi không được làm hỏng frame
+            }
+        });
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Element của template + element hệ thống mà template không tự đặt vị trí
+     * @param {object} template
+     * @returns {Array}
+     */
+    function getElements(template) {
+        var cached = elementCache && elementCache.get(template);
+        if (cached) return cached;
+        
+        var own = template.elements || [];
+        var system = DEFAULT_TEMPLATE.elements.filter(function(el) {
+            if (SYSTEM_IDS.indexOf(el.id) !== -1) {
+                return !own.some(isTimestamp);
+            }
+            return SYSTEM_WHEN.indexOf(el.when) !== -1 && !own.some(function(o) { return o.when === el.when; });
+        });
+        var elements = own.concat(system);
+        
+        if (elementCache) elementCache.set(template, elements);
+        return elements;
+    }
+    
+    /**
+     * Template tự đặt dấu thời gian: text luôn hiện có {time}, kèm {date} hoặc id 'timestamp'
+     */
+    function isTimestamp(el) {
+        var text = el.type === 'text' && typeof el.text === 'string' ? el.text : '';
+        var always = !el.when || el.when === 'always';
+        return always && text.indexOf('{time}') !== -1 && (el.id === 'timestamp' || text.indexOf('{date}') !== -1);
+    }
+    
+    function isVisible(el, data) {
+        switch (el.when) {
+            case 'recording': return data.isRecording && !!data.order;
+            case 'audio': return data.isRecording && data.audio;
+            case 'detect': return !!data.detectQR;
+            case 'qr': return !!data.metaQR;
+            case 'clock': return !!data.clockAlert;
+            case 'hidden': return !!data.hiddenAlert;
+            default: return true;
+        }
+    }
+    
+    /**
+     * 'ts-flip' + 'top-right' -> { top: true, left: true }
+     */
+    function resolveAnchor(anchor, timestampPos) {
+        var parts = (anchor || 'top-left').split('-');
+        var tsTop = (timestampPos || 'top-right').indexOf('top') !== -1;
+        var tsLeft = (timestampPos || 'top-right').indexOf('left') !== -1;
+        
+        var v = parts[0], h = parts[1] || 'left';
+        return {
+            top: v === 'ts' ? tsTop : v === 'flip' ? !tsTop : v === 'top',
+            left: h === 'ts' ? tsLeft : h === 'flip' ? !tsLeft : h === 'left'
+        };
+    }
+    
+    function drawText(ctx, canvas, el, place, margin, scale, tokens) {
+        var text = fillTokens(el.text || '', tokens);
+        if (el.maxLength && text.length > el.maxLength) {
+            text = text.substring(0, el.maxLength) + '...';
+        }
+        
+        var size = (el.size || 24) * scale;
+        ctx.font = (el.bold ? 'bold ' : '') + size + 'px ' + (el.font || 'Arial');
+        
+        var textWidth = ctx.measureText(text).width;
+        var offsetX = (el.x || 0) * scale;
+        var offsetY = (el.y || 0) * scale;
+        var x = place.left ? margin + offsetX : canvas.width - textWidth - margin - offsetX;
+        var y = place.top ? margin + offsetY + size : canvas.height - margin - offsetY;
+        
+        if (el.background) {
+            var pad = (el.padding || 0) * scale;
+            ctx.fillStyle = fillTokens(el.background, tokens);
+            ctx.fillRect(x - pad, y - size - pad / 2, textWidth + pad * 2, size + pad * 1.5);
+        }
+        
+        if (el.stroke) {
+            ctx.strokeStyle = fillTokens(el.stroke, tokens);
+            ctx.lineWidth = (el.strokeWidth || 2) * scale;
+            ctx.strokeText(text, x, y);
+        }
+        
+        ctx.fillStyle = fillTokens(el.color || 'white', tokens);
+        ctx.fillText(text, x, y);
+    }
+    
+    /**
+     * Panel "QR CODE DETECTED" + progress bar (hiện 1.5s sau khi quét)
+     */
+    function drawDetectPanel(ctx, canvas, el, place, margin, scale, data) {
+        var font = el.font || 'Arial';
+        var color = el.color || '#00FF00';
+        var panelWidth = 500 * scale, panelHeight = 180 * scale;
+        var offsetY = (el.y || 0) * scale;
+        var panelX = place.left ? margin + (el.x || 0) * scale : canvas.width - panelWidth - margin - (el.x || 0) * scale;
+        var panelY = place.top ? margin + offsetY : canvas.height - margin - panelHeight - offsetY;
+        var centerX = panelX + panelWidth / 2;
+        var qrCode = data.detectQR;
+        
+        // Panel background
+        ctx.fillStyle = 'rgba(0,0,0,0.85)';
+        ctx.fillRect(panelX, panelY, panelWidth, panelHeight);
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3 * scale;
+        ctx.strokeRect(panelX, panelY, panelWidth, panelHeight);
+        
+        // Title
+        ctx.fillStyle = color;
+        ctx.font = 'bold ' + 24 * scale + 'px ' + font;
+        ctx.textAlign = 'center';
+        ctx.fillText('✅ QR CODE DETECTED', centerX, panelY + 30 * scale);
+        
+        // QR Code text
+        ctx.fillStyle = el.accent || '#FFD700';
+        ctx.font = 'bold ' + 28 * scale + 'px ' + font;
+        ctx.fillText(qrCode.length > 20 ? qrCode.substring(0, 20) + '...' : qrCode, centerX, panelY + 65 * scale);
+        
+        // Progress bar
+        var barX = panelX + 20 * scale, barY = panelY + 120 * scale;
+        var barWidth = panelWidth - 40 * scale, barHeight = 35 * scale;
+        ctx.fillStyle = color;
+        ctx.fillRect(barX, barY, barWidth, barHeight);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = 'bold ' + 20 * scale + 'px ' + font;
+        ctx.fillText('100%', centerX, barY + barHeight / 2 + 7 * scale);
+        
+        // Số SP detected
+        if (data.products > 0) {
+            ctx.fillStyle = '#00BFFF';
+            ctx.font = 'bold ' + 14 * scale + 'px ' + font;
+            ctx.fillText('📦 ' + data.products + ' SP', centerX, panelY + panelHeight - 15 * scale);
+        }
+        
+        ctx.textAlign = 'left';
+    }
+    
+    function drawImage(ctx, canvas, el, place, margin, scale) {
+        var img = getImage(el.src);
+        if (!img || !img.complete || !img.naturalWidth) return;
+        
+        var width = (el.width || img.naturalWidth) * scale;
+        var height = (el.height || (el.width ? el.width * img.naturalHeight / img.naturalWidth : img.naturalHeight)) * scale;
+        var x = place.left ? margin + (el.x || 0) * scale : canvas.width - width - margin - (el.x || 0) * scale;
+        var y = place.top ? margin + (el.y || 0) * scale : canvas.height - height - margin - (el.y || 0) * scale;
+        
+        ctx.globalAlpha = el.opacity !== undefined ? el.opacity : 1;
+        ctx.drawImage(img, x, y, width, height);
+        ctx.globalAlpha = 1;
+    }
+    
+    /**
+     * Vẽ QR code (module vuông, số nguyên pixel để dễ đọc lại sau khi nén video)
+     */
+    function drawQR(ctx, canvas, el, place, margin, scale, text) {
+        if (!text || typeof qrcode === 'undefined') return;
+        
+        var image = getQRImage(text, el.level || 'M');
+        var modules = image.width; // Đã gồm viền trắng
+        var cell = Math.max(1, Math.floor((el.size || 160) * scale / modules));
+        var total = cell * modules;
+        var x = Math.round(place.left ? margin + (el.x || 0) * scale : canvas.width - total - margin - (el.x || 0) * scale);
+        var y = Math.round(place.top ? margin + (el.y || 0) * scale : canvas.height - total - margin - (el.y || 0) * scale);
+        
+        // Phóng to không nội suy: module giữ cạnh sắc
+        var smoothing = ctx.imageSmoothingEnabled;
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(image, x, y, total, total);
+        ctx.imageSmoothingEnabled = smoothing;
+    }
+    
+    /**
+     * Ảnh QR 1 pixel / module (kèm viền trắng), dùng lại khi nội dung không đổi
+     * @param {string} text
+     * @param {string} level
+     * @returns {HTMLCanvasElement}
+     */
+    function getQRImage(text, level) {
+        var key = level + '|' + text;
+        if (qrCache.key === key) return qrCache.canvas;
+        
+        var qr = qrcode(0, level);
+        qr.addData(text);
+        qr.make();
+        
+        var count = qr.getModuleCount();
+        var quiet = 2; // Viền trắng (module)
+        var size = count + quiet * 2;
+        var canvas = qrCache.canvas || document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        
+        var qrCtx = canvas.getContext('2d');
+        var pixels = qrCtx.createImageData(size, size);
+        for (var row = 0; row < size; row++) {
+            for (var col = 0; col < size; col++) {
+                var inside = row >= quiet && col >= quiet && row < count + quiet && col < count + quiet;
+                var value = inside && qr.isDark(row - quiet, col - quiet) ? 0 : 255;
+                var i = (row * size + col) * 4;
+                pixels.data[i] = pixels.data[i + 1] = pixels.data[i + 2] = value;
+                pixels.data[i + 3] = 255;
+            }
+        }
+        qrCtx.putImageData(pixels, 0, 0);
+        
+        qrCache.key = key;
+        qrCache.canvas = canvas;
+        return canvas;
+    }
+    
+    /**
+     * Thanh mức âm thanh: nhãn + thanh xanh/vàng/đỏ theo mức (0-1)
+     */
+    function drawMeter(ctx, canvas, el, place, margin, scale, level) {
+        var width = (el.width || 120) * scale;
+        var height = (el.height || 14) * scale;
+        var label = el.text || '🎤';
+        
+        ctx.font = 'bold ' + (el.size || el.height || 14) * scale + 'px ' + (el.font || 'Arial');
+        var labelWidth = ctx.measureText(label).width + 6 * scale;
+        var total = labelWidth + width;
+        var x = place.left ? margin + (el.x || 0) * scale : canvas.width - total - margin - (el.x || 0) * scale;
+        var y = place.top ? margin + (el.y || 0) * scale : canvas.height - height - margin - (el.y || 0) * scale;
+        
+        ctx.fillStyle = el.color || '#FF0000';
+        ctx.fillText(label, x, y + height * 0.9);
+        
+        var value = Math.max(0, Math.min(1, level ? level.value : 0));
+        var barX = x + labelWidth;
+        ctx.fillStyle = el.background || 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(barX, y, width, height);
+        ctx.fillStyle = value > 0.9 ? '#FF0000' : value > 0.7 ? '#FFD700' : '#00FF00';
+        ctx.fillRect(barX, y, width * value, height);
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = Math.max(1, scale);
+        ctx.strokeRect(barX, y, width, height);
+    }
+    
+    // ==================== Marker Card ====================
+    
+    /**
+     * Thẻ lớn giữa khung hình, không phụ thuộc template (template tùy chỉnh không xóa được)
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {HTMLCanvasElement} canvas
+     * @param {object} card - { text, sub, background }
+     */
+    function drawCard(ctx, canvas, card) {
+        var scale = canvas.height / REFERENCE_HEIGHT;
+        var size = 64 * scale;
+        var subSize = 32 * scale;
+        var pad = 32 * scale;
+        
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        ctx.font = 'bold ' + size + 'px Arial';
+        var width = ctx.measureText(card.text).width;
+        if (card.sub) {
+            ctx.font = 'bold ' + subSize + 'px Arial';
+            width = Math.max(width, ctx.measureText(card.sub).width);
+        }
+        var height = size + (card.sub ? subSize * 1.5 : 0) + pad * 2;
+        var x = canvas.width / 2;
+        var top = (canvas.height - height) / 2;
+        
+        ctx.fillStyle = card.background || 'rgba(220, 53, 69, 0.9)';
+        ctx.fillRect(x - width / 2 - pad, top, width + pad * 2, height);
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 4 * scale;
+        ctx.strokeRect(x - width / 2 - pad, top, width + pad * 2, height);
+        
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = 'bold ' + size + 'px Arial';
+        ctx.fillText(card.text, x, top + pad + size / 2);
+        if (card.sub) {
+            ctx.font = 'bold ' + subSize + 'px Arial';
+            ctx.fillText(card.sub, x, top + pad + size + subSize);
+        }
+        
+        ctx.restore();
+    }
+    
+    function getImage(src) {
+        if (!src) return null;
+        if (!imageCache[src]) {
+            var img = new Image();
+            img.src = src;
+            imageCache[src] = img;
+        }
+        return imageCache[src];
+    }
+    
+    // ==================== Tokens ====================
+    
+    function buildTokens(data) {
+        var now = data.now || new Date();
+        var fps = data.fps || 0;
+        
+        return {
+            date: now.toLocaleDateString('vi-VN'),
+            time: now.toLocaleTimeString('vi-VN'),
+            order: data.order || '',
+            station: profile.station,
+            operator: profile.operator,
+            shop: profile.shop,
+            products: String(data.products || 0),
+            fps: String(fps),
+            scanRate: String(data.scanRate || 0),
+            audioLevel: data.audioLevel ? data.audioLevel.db + ' dB' : '',
+            clockAlert: data.clockAlert || '',
+            hiddenAlert: data.hiddenAlert || '',
+            fpsColor: fps < 30 ? '#FF0000' : fps < 50 ? '#FFFF00' : '#00FF00'
+        };
+    }
+    
+    function fillTokens(text, tokens) {
+        return String(text).replace(/\{(\w+)\}/g, function(match, key) {
+            return tokens.hasOwnProperty(key) ? tokens[key] : match;
+        });
+    }
+    
+    // ==================== Templates ====================
+    
+    /**
+     * Load templates + profile from storage
+     */
+    function load() {
+        var saved = STORAGE.loadOverlayTemplates();
+        templates = saved.templates || {};
+        activeName = saved.active && (templates[saved.active] || saved.active === DEFAULT_NAME) ? saved.active : DEFAULT_NAME;
+        profile = Object.assign({ station: '', operator: '', shop: '' }, STORAGE.loadProfile());
+    }
+    
+    function persist() {
+        STORAGE.saveOverlayTemplates({ active: activeName, templates: templates });
+    }
+    
+    /**
+     * Kiểm tra và chuẩn hóa template (từ JSON người dùng sửa)
+     * @param {object} template
+     * @returns {object} - Template hợp lệ
+     * @throws {Error} - Khi template sai cấu trúc
+     */
+    function validate(template) {
+        if (!template || typeof template !== 'object' || !Array.isArray(template.elements)) {
+            throw new Error('Template cần có mảng "elements"');
+        }
+        template.elements.forEach(function(el, i) {
+            if (['text', 'detect', 'image', 'qr', 'meter'].indexOf(el.type) === -1) {
+                throw new Error('Element #' + (i + 1) + ': type phải là text, detect, image, qr hoặc meter');
+            }
+            if (el.type === 'image' && dataURLBytes(el.src) > MAX_LOGO_BYTES) {
+                throw new Error('Element #' + (i + 1) + ': ảnh quá lớn (tối đa ' + Math.round(MAX_LOGO_BYTES / 1024) + ' KB)');
+            }
+        });
+        return {
+            name: template.name,
+            margin: Number(template.margin) || 0,
+            elements: template.elements
+        };
+    }
+    
+    /**
+     * Dung lượng thật của data URL base64 (0 với URL thường)
+     * @param {string} src
+     * @returns {number}
+     */
+    function dataURLBytes(src) {
+        if (typeof src !== 'string' || src.indexOf('data:') !== 0) return 0;
+        return Math.floor((src.length - src.indexOf(',') - 1) * 3 / 4);
+    }
+    
+    function getTemplate(name) {
+        if (name === DEFAULT_NAME || !templates[name]) {
+            return JSON.parse(JSON.stringify(DEFAULT_TEMPLATE));
+        }
+        return JSON.parse(JSON.stringify(templates[name]));
+    }
+    
+    function saveTemplate(name, template) {
+        if (!name || name === DEFAULT_NAME) {
+            throw new Error('Tên template không hợp lệ');
+        }
+        var valid = validate(template);
+        valid.name = name;
+        templates[name] = valid;
+        activeName = name;
+        persist();
+        return getTemplate(name);
+    }
+    
+    function deleteTemplate(name) {
+        if (name === DEFAULT_NAME || !templates[name]) return false;
+        delete templates[name];
+        if (activeName === name) activeName = DEFAULT_NAME;
+        persist();
+        return true;
+    }
+    
+    function setActive(name) {
+        activeName = name === DEFAULT_NAME || templates[name] ? name : DEFAULT_NAME;
+        persist();
+        return getTemplate(activeName);
+    }
+    
+    function setProfile(data) {
+        profile = Object.assign(profile, data || {});
+        STORAGE.saveProfile(profile);
+    }
+    
+    // ==================== Public API ====================
+    return {
+        render: render,
+        drawCard: drawCard,
+        
+        // Templates
+        load: load,
+        validate: validate,
+        getTemplate: getTemplate,
+        getActive: function() { return getTemplate(activeName); },
+        getActiveName: function() { return activeName; },
+        getNames: function() { return [DEFAULT_NAME].concat(Object.keys(templates)); },
+        saveTemplate: saveTemplate,
+        MAX_LOGO_BYTES: MAX_LOGO_BYTES,
+        deleteTemplate: deleteTemplate,
+        setActive: setActive,
+        
+        // Station profile
+        getProfile: function() { return Object.assign({}, profile); },
+        setProfile: setProfile,
+        
+        DEFAULT_NAME: DEFAULT_NAME
+    };
+})();
+
+// Export for Node.js (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QROverlay;
+}
@@ -0,0 +1,231 @@
+/**
+ * QR Scanner v7.25 - Video Presets Module
+ *
+ * Chứa tất cả logic:
+ * - Preset có sẵn (CONFIG.VIDEO_PRESETS) + preset tự tạo lưu trong localStorage
+ * - Preset dọc (rotate 90/270) và preset cắt vùng (crop) của ảnh camera
+ * - Kích thước cần yêu cầu từ camera để vùng cắt đạt đúng khung hình ghi
+ *
+ * Preset:
+ *   width, height - khung hình ghi (sau khi cắt + xoay)
+ *   fps           - FPS ghi
+ *   scanFPS       - số lần quét QR mỗi giây
+ *   scanScale     - tỉ lệ ảnh quét so với vùng cắt (nhỏ hơn = nhẹ CPU hơn)
+ *   rotate        - 0 | 90 | 180 | 270 (độ, theo chiều kim đồng hồ)
+ *   crop          - { x, y, w, h } tỉ lệ 0-1 của ảnh camera, null = cả khung
+ *
+ * Depends on: config.js, storage.js
+ */
+
+var QRPresets = (function() {
+    'use strict';
+    
+    var CONFIG = QRConfig;
+    var STORAGE = QRStorage;
+    
+    var CUSTOM_PREFIX = 'custom:';
+    var FULL_FRAME = { x: 0, y: 0, w: 1, h: 1 };
+    
+    var customPresets = {};
+    var activeKey = CONFIG.DEFAULTS.quality;
+    
+    // ==================== Storage ====================
+    
+    /**
+     * Load preset tự tạo + preset đang dùng
+     */
+    function load() {
+        var saved = STORAGE.loadVideoPresets();
+        customPresets = saved.presets || {};
+        activeKey = exists(saved.active) ? saved.active : CONFIG.DEFAULTS.quality;
+    }
+    
+    function persist() {
+        STORAGE.saveVideoPresets({ active: activeKey, presets: customPresets });
+    }
+    
+    function exists(key) {
+        return !!key && (CONFIG.VIDEO_PRESETS.hasOwnProperty(key) || customPresets.hasOwnProperty(key));
+    }
+    
+    // ==================== Presets ====================
+    
+    /**
+     * Lấy preset (bản sao, đủ trường); key không tồn tại -> preset mặc định
+     * @param {string} key
+     * @returns {object}
+     */
+    function get(key) {
+        var preset = CONFIG.VIDEO_PRESETS[key] || customPresets[key] || CONFIG.VIDEO_PRESETS[CONFIG.DEFAULTS.quality];
+        var copy = JSON.parse(JSON.stringify(preset));
+        copy.rotate = copy.rotate || 0;
+        copy.crop = copy.crop || null;
+        return copy;
+    }
+    
+    /**
+     * Danh sách preset cho dropdown (có sẵn trước, tự tạo sau)
+     * @returns {Array} - [{ key, label, custom }]
+     */
+    function getAll() {
+        var builtIn = Object.keys(CONFIG.VIDEO_PRESETS).map(function(key) {
+            return { key: key, label: CONFIG.VIDEO_PRESETS[key].label, custom: false };
+        });
+        var custom = Object.keys(customPresets).map(function(key) {
+            return { key: key, label: '⭐ ' + customPresets[key].label, custom: true };
+        });
+        return builtIn.concat(custom);
+    }
+    
+    /**
+     * Kiểm tra và chuẩn hóa preset (từ form người dùng nhập)
+     * @param {object} preset
+     * @returns {object} - Preset hợp lệ
+     * @throws {Error} - Khi giá trị nằm ngoài giới hạn
+     */
+    function validate(preset) {
+        if (!preset || typeof preset !== 'object') {
+            throw new Error('Preset không hợp lệ');
+        }
+        
+        var width = Math.round(Number(preset.width) / 2) * 2;
+        var height = Math.round(Number(preset.height) / 2) * 2;
+        var fps = Math.round(Number(preset.fps));
+        var scanFPS = Math.round(Number(preset.scanFPS));
+        var scanScale = Number(preset.scanScale);
+        var rotate = Number(preset.rotate) || 0;
+        
+        if (!(width >= 160 && width <= 3840 && height >= 160 && height <= 3840)) {
+            throw new Error('Kích thước phải từ 160 đến 3840 px');
+        }
+        if (!(fps >= 1 && fps <= 60)) {
+            throw new Error('FPS phải từ 1 đến 60');
+        }
+        if (!(scanFPS >= 1 && scanFPS <= 10)) {
+            throw new Error('Tốc độ quét phải từ 1 đến 10 lần/giây');
+        }
+        if (!(scanScale >= 0.1 && scanScale <= 1)) {
+            throw new Error('Tỉ lệ quét phải từ 0.1 đến 1');
+        }
+        if ([0, 90, 180, 270].indexOf(rotate) === -1) {
+            throw new Error('Xoay chỉ được 0, 90, 180 hoặc 270 độ');
+        }
+        
+        var crop = null;
+        if (preset.crop) {
+            crop = {
+                x: Number(preset.crop.x) || 0,
+                y: Number(preset.crop.y) || 0,
+                w: Number(preset.crop.w),
+                h: Number(preset.crop.h)
+            };
+            if (!(crop.w >= 0.1 && crop.h >= 0.1 && crop.x >= 0 && crop.y >= 0 &&
+                  crop.x + crop.w <= 1.0001 && crop.y + crop.h <= 1.0001)) {
+                throw new Error('Vùng cắt phải nằm trong khung camera (rộng/cao tối thiểu 10%)');
+            }
+            if (crop.x === 0 && crop.y === 0 && crop.w >= 1 && crop.h >= 1) {
+                crop = null;
+            }
+        }
+        
+        return {
+            width: width,
+            height: height,
+            fps: fps,
+            scanFPS: scanFPS,
+            scanScale: scanScale,
+            rotate: rotate,
+            crop: crop,
+            label: String(preset.label || '').trim()
+        };
+    }
+    
+    /**
+     * Lưu preset tự tạo (cùng tên thì ghi đè) và chọn làm preset đang dùng
+     * @param {string} name
+     * @param {object} preset
+     * @returns {string} - Key của preset
+     * @throws {Error} - Tên trống hoặc preset sai
+     */
+    function saveCustom(name, preset) {
+        name = String(name || '').trim();
+        if (!name) {
+            throw new Error('Tên preset không hợp lệ');
+        }
+        
+        var valid = validate(preset);
+        valid.label = name;
+        
+        var key = CUSTOM_PREFIX + name;
+        customPresets[key] = valid;
+        activeKey = key;
+        persist();
+        return key;
+    }
+    
+    function deleteCustom(key) {
+        if (!customPresets[key]) return false;
+        delete customPresets[key];
+        if (activeKey === key) activeKey = CONFIG.DEFAULTS.quality;
+        persist();
+        return true;
+    }
+    
+    function setActive(key) {
+        activeKey = exists(key) ? key : CONFIG.DEFAULTS.quality;
+        persist();
+        return activeKey;
+    }
+    
+    // ==================== Geometry ====================
+    
+    /**
+     * Kích thước cần yêu cầu từ camera (getUserMedia) để vùng cắt, sau khi xoay, đạt width x height
+     * @param {object} preset
+     * @returns {object} - { width, height }
+     */
+    function getCaptureSize(preset) {
+        var crop = preset.crop || FULL_FRAME;
+        var region = getRegionSize(preset);
+        return {
+            width: Math.round(region.width / crop.w),
+            height: Math.round(region.height / crop.h)
+        };
+    }
+    
+    /**
+     * Kích thước vùng cắt theo hướng của camera (trước khi xoay)
+     * @param {object} preset
+     * @returns {object} - { width, height }
+     */
+    function getRegionSize(preset) {
+        var quarter = preset.rotate === 90 || preset.rotate === 270;
+        return {
+            width: quarter ? preset.height : preset.width,
+            height: quarter ? preset.width : preset.height
+        };
+    }
+    
+    // ==================== Public API ====================
+    return {
+        load: load,
+        get: get,
+        getAll: getAll,
+        getActive: function() { return get(activeKey); },
+        getActiveKey: function() { return activeKey; },
+        isCustom: function(key) { return customPresets.hasOwnProperty(key); },
+        validate: validate,
+        saveCustom: saveCustom,
+        deleteCustom: deleteCustom,
+        setActive: setActive,
+        
+        // Geometry
+        getCaptureSize: getCaptureSize,
+        getRegionSize: getRegionSize
+    };
+})();
+
+// Export for Node.js (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRPresets;
+}
@@ -3,21 +3,61 @@
  * 
  * Chứa tất cả logic:
  * - Camera management
- * - Video recording with MediaRecorder
- * - Canvas rendering with timestamp, FPS, progress bar
+ * - Video recording with MediaRecorder or WebCodecs (constant frame rate)
+ * - Canvas rendering with overlay template (timestamp, FPS, progress bar...)
  * - File saving with File System Access API
+ * - Crash-safe chunk journal & recovery
+ * - Automatic segment splitting (_part2, _part3...)
+ * - Seekable WebM (Duration, Cues, Tags) before hashing
+ * - SHA-256 + sidecar manifest for every saved video
+ * - System clock tamper detection (Date.now vs performance.now)
+ * - Render/scan keep running while the tab is hidden (Worker timer), hidden intervals logged
+ * - Optional second camera composited in picture-in-picture or side-by-side layout
+ * - Saved camera controls (zoom, focus, exposure...) restored per deviceId
+ * - Video presets with portrait rotation and cropped camera region
+ * - Performance adjustments from the governor (scan FPS, canvas resolution, bitrate) + dropped frame count
+ * - Camera disconnect: finalize the segment, reconnect to the same deviceId, continue the order in a new segment
+ * - Frame watchdog (frozen/black/overexposed/blur) sampled from camera 1, quality summary per order
+ * - Privacy masks per camera (pixelate / black) burned into the recording canvas before encoding
+ * - Separate microphone (audio.js): level for the overlay meter, silence monitoring while recording
+ * - Pause / resume an order (MediaRecorder.pause/resume) with a PAUSED / RESUMED card burned into the video
+ * - JPEG snapshots of recordingCanvas (masks + overlay included) at every product scan and at order stop
  * 
- * Depends on: config.js
+ * Depends on: config.js, storage.js, journal.js, integrity.js, overlay.js, webm.js, encoder.js, scheduler.js,
+ *             camera.js, presets.js, watchdog.js, masks.js, audio.js
  */
 
 var QRRecorder = (function() {
     'use strict';
     
     var CONFIG = QRConfig;
+    var JOURNAL = QRJournal;
+    var INTEGRITY = QRIntegrity;
+    var OVERLAY = QROverlay;
+    var STORAGE = QRStorage;
+    var ENCODER = QREncoder;
+    var WEBM = QRWebM;
+    var SCHEDULER = QRScheduler;
+    var CAMERA = QRCamera;
+    var PRESETS = QRPresets;
+    var WATCHDOG = QRWatchdog;
+    var MASKS = QRMasks;
+    var AUDIO = QRAudio;
     
     // Constants từ v7.23 - QUAN TRỌNG
-    var MARGIN = 113; // Margin chuẩn cho timestamp
     var PROGRESS_DISPLAY_TIME = 1500; // 1.5s hiển thị progress bar
+    var META_QR_FORMAT = 'QRV1'; // QR metadata: QRV1|<frame>|<bắt đầu, epoch ms>|<trạm>|<mã đơn>
+    var META_QR_REFRESH_MS = 1000; // Dựng lại QR mỗi giây (frame = số frame lúc làm mới)
+    var JOURNAL_DOWNLOAD_GRACE_MS = 60000; // Giữ journal 60s cho trình duyệt tải file xong
+    var CLOCK_CHECK_INTERVAL = 1000;
+    var CLOCK_BACKWARD_TOLERANCE_MS = 2000; // Lùi quá 2s = bất thường (NTP chỉnh vài ms)
+    var CLOCK_FORWARD_TOLERANCE_MS = 60000; // Nhảy tới quá 60s = khoảng máy ngủ (ghi riêng)
+    var CLOCK_SAVE_INTERVAL_MS = 10000;
+    var CAMERA_MUTE_GRACE_MS = 2000; // Track 'mute' quá 2s (camera ngừng gửi hình) = mất camera
+    var CAMERA_RECONNECT_INTERVAL_MS = 2000;
+    var PAUSE_CARD_MS = 1000; // Thẻ PAUSED nằm trong video 1s rồi encoder mới dừng
+    var RESUME_CARD_MS = 2000;
+    var SNAPSHOT_QUALITY = 0.92;
     
     // Recorder state
     var state = {
@@ -26,26 +66,57 @@ var QRRecorder = (function() {
         isCameraOn: false,
         cameraId: null,
         availableCameras: [],
+        secondStream: null,
+        secondCameraId: null,
+        secondRequest: null, // Lần mở camera 2 mới nhất - lần cũ mở xong thì tự đóng
+        cameraLost: null, // { deviceId, reason, since } khi đang chờ camera cắm lại
+        reconnectTimer: null,
+        reconnecting: false,
+        masks: { main: [], second: [] }, // Vùng che riêng tư của camera đang mở
         
         // Recording
-        recorder: null,
-        chunks: [],
-        canvasStream: null,
+        capture: null,
+        session: null,
         isRecording: false,
         recordingStartTime: null,
         recordingDuration: 0,
+        preRollSeconds: 0,
+        preRollNext: null, // Pre-roll MediaRecorder chạy gối đầu (bắt đầu sau state.capture preRoll giây)
+        preRollTimer: null,
+        paused: null, // { since, source } khi đơn đang tạm dừng
+        pauseTimer: null,
+        pauseCard: null, // { text, sub, background, until } thẻ PAUSED / RESUMED giữa khung hình
         
         // Settings
+        audioRestart: false, // Đổi micro lúc đang ghi -> mở lại sau khi dừng
         quality: CONFIG.DEFAULTS.quality,
         bitrate: CONFIG.DEFAULTS.bitrate,
+        container: CONFIG.DEFAULTS.container,
+        encoder: CONFIG.DEFAULTS.encoder,
+        keyframeInterval: CONFIG.DEFAULTS.keyframeInterval,
+        webCodecs: null,
         audio: CONFIG.DEFAULTS.audio,
         postBuffer: CONFIG.DEFAULTS.postBuffer,
+        preRoll: CONFIG.DEFAULTS.preRoll,
+        maxSegmentMinutes: CONFIG.DEFAULTS.maxSegmentMinutes,
+        maxSegmentMB: CONFIG.DEFAULTS.maxSegmentMB,
         timestampPos: CONFIG.DEFAULTS.timestampPos,
+        metaQR: CONFIG.DEFAULTS.metaQR,
+        cameraLayout: CONFIG.DEFAULTS.cameraLayout,
+        scanSource: CONFIG.DEFAULTS.scanSource,
+        overlayTemplate: null,
+        pendingOverlay: null, // Template chọn lúc đang ghi - áp dụng khi dừng đơn
         
         // Canvas
         recordingCanvas: null,
         recordingCtx: null,
         rafId: null,
+        renderTimer: null,
+        canvasPreset: null, // Preset lúc dựng recordingCanvas
+        performance: { scanFPS: 1, resolution: 1, bitrate: 1 }, // Hệ số giảm tải (QRGovernor)
+        lastRenderTime: 0,
+        droppedFrames: 0,
+        hiddenSince: null,
         frameCount: 0,
         lastFpsTime: 0,
         currentFPS: 0,
@@ -66,21 +137,44 @@ var QRRecorder = (function() {
         // Folder
         folderHandle: null,
         lastSavedFile: null,
+        snapshotWarned: false,
         
         // Codec
-        currentCodec: null
+        currentCodec: null,
+        
+        // Clock check
+        clock: {
+            wallStart: 0,
+            perfStart: 0,
+            drift: 0,
+            maxWall: 0,
+            savedWall: 0,
+            timer: null
+        }
     };
     
     // Video element reference
     var videoElement = null;
+    var secondVideoElement = null;
     
     // Callbacks
     var callbacks = {
         onCameraStart: null,
         onCameraStop: null,
+        onSecondCameraStart: null,
+        onSecondCameraStop: null,
         onRecordingStart: null,
         onRecordingStop: null,
+        onPause: null,
+        onResume: null,
         onVideoSaved: null,
+        onSegmentSaved: null,
+        onSnapshotSkipped: null,
+        onClockAnomaly: null,
+        onHiddenInterval: null,
+        onCameraLost: null,
+        onCameraRestored: null,
+        onAudioChange: null,
         onError: null,
         onFPSUpdate: null,
         onScanFrame: null
@@ -88,21 +182,28 @@ var QRRecorder = (function() {
     
     // ==================== Codec Detection ====================
     
+    /**
+     * Chọn codec theo danh sách xếp hạng (CONFIG.CODECS)
+     * Container người dùng chọn được thử trước, sau đó mới tới các container còn lại
+     * @returns {object} - { mimeType, ext, container, name }
+     */
     function getCodec() {
-        var codecs = [
-            { mimeType: 'video/webm;codecs=vp8,opus', ext: 'webm', name: 'VP8+Opus' },
-            { mimeType: 'video/webm;codecs=vp8', ext: 'webm', name: 'VP8' },
-            { mimeType: 'video/webm', ext: 'webm', name: 'WebM' }
-        ];
+        var preferred = CONFIG.CODECS.filter(function(c) {
+            return c.container === state.container;
+        });
+        var others = CONFIG.CODECS.filter(function(c) {
+            return c.container !== state.container;
+        });
+        var codecs = preferred.concat(others);
         
         for (var i = 0; i < codecs.length; i++) {
             if (MediaRecorder.isTypeSupported(codecs[i].mimeType)) {
-                state.currentCodec = codecs[i];
-                return codecs[i];
+                state.currentCodec = Object.assign({}, codecs[i]);
+                return state.currentCodec;
             }
         }
         
-        state.currentCodec = { mimeType: 'video/webm', ext: 'webm', name: 'WebM' };
+        state.currentCodec = { mimeType: 'video/webm', ext: 'webm', container: 'webm', name: 'WebM' };
         return state.currentCodec;
     }
     
@@ -123,31 +224,20 @@ var QRRecorder = (function() {
     
     async function startCamera(deviceId) {
         try {
-            if (state.stream) {
+            if (state.stream || state.isCameraOn) {
                 stopCamera();
             }
             
-            var preset = CONFIG.VIDEO_PRESETS[state.quality];
-            
-            var constraints = {
-                video: {
-                    width: { ideal: preset.width },
-                    height: { ideal: preset.height },
-                    frameRate: { ideal: preset.fps }
-                },
-                audio: state.audio
-            };
-            
-            if (deviceId) {
-                constraints.video.deviceId = { exact: deviceId };
-            }
-            
-            state.stream = await navigator.mediaDevices.getUserMedia(constraints);
+            state.stream = await openCameraStream(deviceId);
             state.isCameraOn = true;
             state.cameraId = deviceId;
+            watchCameraTracks(state.stream);
+            refreshMasks();
             
             setupCanvas();
             startRenderLoop();
+            await openAudio();
+            armPreRoll();
             
             // Refresh camera list để lấy tên
             await getCameras();
@@ -167,15 +257,50 @@ var QRRecorder = (function() {
         }
     }
     
-    function stopCamera() {
-        if (state.rafId) {
-            cancelAnimationFrame(state.rafId);
-            state.rafId = null;
+    /**
+     * getUserMedia theo preset (dùng khi mở camera và khi cắm lại)
+     * @param {string} deviceId
+     * @returns {Promise<MediaStream>}
+     */
+    async function openCameraStream(deviceId) {
+        // Preset dọc / cắt vùng: camera phải cho ảnh lớn hơn khung hình ghi
+        var preset = getPreset();
+        var size = PRESETS.getCaptureSize(preset);
+        
+        var constraints = {
+            video: {
+                width: { ideal: size.width },
+                height: { ideal: size.height },
+                frameRate: { ideal: preset.fps }
+            },
+            audio: false // Micro mở riêng (audio.js)
+        };
+        
+        if (deviceId) {
+            constraints.video.deviceId = { exact: deviceId };
         }
         
+        var stream = await navigator.mediaDevices.getUserMedia(constraints);
+        await CAMERA.restore(stream.getVideoTracks()[0]);
+        return stream;
+    }
+    
+    function stopCamera() {
+        stopRenderLoop();
+        stopReconnect();
+        state.cameraLost = null;
+        
+        // Tắt trước để stopRecording không bật lại vòng đệm pre-roll
+        state.isCameraOn = false;
+        
         if (state.isRecording) {
             stopRecording();
         }
+        disarmPreRoll();
+        stopSecondCamera();
+        WATCHDOG.reset();
+        AUDIO.close();
+        state.audioRestart = false;
         
         if (state.stream) {
             state.stream.getTracks().forEach(function(track) {
@@ -184,7 +309,6 @@ var QRRecorder = (function() {
             state.stream = null;
         }
         
-        state.isCameraOn = false;
         state.frameCount = 0;
         state.lastFpsTime = 0;
         state.currentFPS = 0;
@@ -193,406 +317,2261 @@ var QRRecorder = (function() {
         triggerCallback('onCameraStop');
     }
     
-    // ==================== Canvas Setup ====================
+    // ==================== Camera Disconnect ====================
     
-    function setupCanvas() {
-        var preset = CONFIG.VIDEO_PRESETS[state.quality];
+    /**
+     * Theo dõi track video của camera 1: 'ended' (rút dây) hoặc 'mute' kéo dài (camera treo)
+     * @param {MediaStream} stream
+     */
+    function watchCameraTracks(stream) {
+        var track = stream.getVideoTracks()[0];
+        if (!track) return;
         
-        state.recordingCanvas = document.createElement('canvas');
-        state.recordingCanvas.width = preset.width;
-        state.recordingCanvas.height = preset.height;
-        state.recordingCtx = state.recordingCanvas.getContext('2d');
-    }
-    
-    // ==================== Render Loop ====================
-    
-    function startRenderLoop() {
-        state.lastFpsTime = 0;
-        state.frameCount = 0;
-        state.lastScanTime = 0;
-        state.actualScanCount = 0;
-        state.lastScanCountTime = 0;
+        // deviceId thực - startCamera có thể được gọi không kèm deviceId
+        var deviceId = CAMERA.getDeviceId(track) || state.cameraId || '';
+        var muteTimer = null;
         
-        function render(timestamp) {
-            if (!state.stream || !state.stream.active) {
-                state.rafId = null;
-                return;
+        track.addEventListener('ended', function() {
+            if (state.stream === stream) {
+                handleCameraLost('ended', deviceId);
             }
-            
-            state.rafId = requestAnimationFrame(render);
-            
-            if (videoElement && videoElement.readyState >= 2) {
-                // Vẽ video frame
-                state.recordingCtx.drawImage(
-                    videoElement, 
-                    0, 0, 
-                    state.recordingCanvas.width, 
-                    state.recordingCanvas.height
-                );
-                
-                // Vẽ timestamp
-                drawTimestamp(state.recordingCtx);
-                
-                // Vẽ mã QR đang ghi (nền xanh lá)
-                if (state.isRecording && state.currentQR) {
-                    drawCurrentQRLabel(state.recordingCtx);
-                }
-                
-                // Progress Bar (hiện 1.5s sau detect)
-                if (state.displayQR && (Date.now() - state.displayTime < PROGRESS_DISPLAY_TIME)) {
-                    drawProgressBar(state.recordingCtx, state.displayQR);
-                }
-                
-                // FPS counter trên video
-                drawFPSCounter(state.recordingCtx, timestamp);
-                
-                // Audio indicator
-                if (state.isRecording && state.audio) {
-                    drawAudioIndicator(state.recordingCtx);
-                }
-                
-                // QR Scanning
-                var now = performance.now();
-                if (now - state.lastScanTime >= state.scanInterval) {
-                    state.lastScanTime = now;
-                    state.actualScanCount++;
-                    triggerCallback('onScanFrame');
-                }
-                
-                // Update scan rate
-                if (now - state.lastScanCountTime >= 1000) {
-                    state.actualScanRate = state.actualScanCount;
-                    state.actualScanCount = 0;
-                    state.lastScanCountTime = now;
-                }
-                
-                // Update FPS counter
-                state.frameCount++;
-                if (timestamp - state.lastFpsTime >= 1000) {
-                    state.currentFPS = Math.round(state.frameCount * 1000 / (timestamp - state.lastFpsTime));
-                    state.frameCount = 0;
-                    state.lastFpsTime = timestamp;
-                    triggerCallback('onFPSUpdate', state.currentFPS);
+        });
+        track.addEventListener('mute', function() {
+            clearTimeout(muteTimer);
+            muteTimer = setTimeout(function() {
+                if (state.stream === stream && track.muted) {
+                    handleCameraLost('mute', deviceId);
                 }
-            }
-        }
-        
-        render(0);
+            }, CAMERA_MUTE_GRACE_MS);
+        });
+        track.addEventListener('unmute', function() {
+            clearTimeout(muteTimer);
+        });
     }
     
-    // ==================== DRAW FUNCTIONS (từ v7.23) ====================
-    
     /**
-     * Vẽ timestamp lên canvas - ĐÚNG NHƯ V7.23
+     * Camera vừa được cắm/rút: camera đang dùng biến mất thì coi như mất, đang chờ thì thử nối lại
      */
-    function drawTimestamp(ctx) {
-        var now = new Date();
-        var text = now.toLocaleDateString('vi-VN') + ' ' + now.toLocaleTimeString('vi-VN');
-        var position = state.timestampPos;
-        var canvas = state.recordingCanvas;
-        var margin = MARGIN;
-        
-        ctx.font = 'bold 28px Arial';
-        ctx.fillStyle = 'white';
-        ctx.strokeStyle = 'black';
-        ctx.lineWidth = 3;
+    async function handleDeviceChange() {
+        if (state.cameraLost) {
+            tryReconnect();
+            return;
+        }
+        if (!state.isCameraOn || !state.stream) return;
         
-        var textWidth = ctx.measureText(text).width;
-        var x = position.includes('left') ? margin : canvas.width - textWidth - margin;
-        var y = position.includes('top') ? margin + 28 : canvas.height - margin;
+        var track = state.stream.getVideoTracks()[0];
+        var deviceId = track ? CAMERA.getDeviceId(track) : '';
+        if (!deviceId) return;
         
-        ctx.strokeText(text, x, y);
-        ctx.fillText(text, x, y);
+        try {
+            var devices = await navigator.mediaDevices.enumerateDevices();
+            var present = devices.some(function(d) {
+                return d.kind === 'videoinput' && d.deviceId === deviceId;
+            });
+            if (!present && state.stream && state.stream.getVideoTracks()[0] === track) {
+                handleCameraLost('devicechange', deviceId);
+            }
+        } catch (e) {
+            console.warn('[Recorder] devicechange check failed:', e);
+        }
     }
     
     /**
-     * Vẽ mã QR đang ghi - NỀN XANH LÁ (từ v7.23)
+     * Mất camera 1: chốt phần đã ghi thành một segment, giữ đơn mở và chờ camera quay lại
+     * @param {string} reason - 'ended' | 'mute' | 'devicechange'
+     * @param {string} deviceId
      */
-    function drawCurrentQRLabel(ctx) {
-        var position = state.timestampPos;
-        var canvas = state.recordingCanvas;
-        var margin = MARGIN;
-        var y = position.includes('top') ? margin + 65 : canvas.height - margin - 40;
+    function handleCameraLost(reason, deviceId) {
+        if (state.cameraLost || !state.isCameraOn) return;
+        
+        console.warn('[Recorder] Camera lost (' + reason + '): ' + deviceId);
+        
+        var stream = state.stream;
+        state.cameraLost = { deviceId: deviceId, reason: reason, since: Date.now() };
+        state.stream = null;
+        stopRenderLoop();
+        state.currentFPS = 0;
+        WATCHDOG.reset();
         
-        var text = '📦 ' + state.currentQR;
-        if (text.length > 35) text = text.substring(0, 35) + '...';
+        var part = 0;
+        if (state.isRecording && state.capture) {
+            var capture = state.capture;
+            var session = capture.session;
+            session.cameraLosses.push({ from: new Date().toISOString(), to: null, durationMs: 0, reason: reason, deviceId: deviceId });
+            if (capture.journal) {
+                JOURNAL.updateMeta(capture.journal, { cameraLosses: session.cameraLosses });
+            }
+            
+            state.capture = null;
+            part = capture.part;
+            endSegment(capture);
+        } else {
+            disarmPreRoll();
+        }
         
-        ctx.font = 'bold 24px Arial';
-        var textWidth = ctx.measureText(text).width;
-        var x = position.includes('left') ? margin : canvas.width - textWidth - margin - 20;
+        if (stream) {
+            stream.getTracks().forEach(function(track) {
+                track.stop();
+            });
+        }
         
-        // Vẽ nền xanh lá
-        ctx.fillStyle = 'rgba(40, 167, 69, 0.9)';
-        ctx.fillRect(x - 10, y - 28, textWidth + 20, 38);
+        state.reconnectTimer = SCHEDULER.start(tryReconnect, CAMERA_RECONNECT_INTERVAL_MS);
         
-        // Vẽ text trắng
-        ctx.fillStyle = 'white';
-        ctx.fillText(text, x, y);
+        triggerCallback('onCameraLost', {
+            reason: reason,
+            deviceId: deviceId,
+            isRecording: state.isRecording,
+            qrCode: state.currentQR,
+            part: part
+        });
+    }
+    
+    function stopReconnect() {
+        if (state.reconnectTimer) {
+            SCHEDULER.stop(state.reconnectTimer);
+            state.reconnectTimer = null;
+        }
     }
     
     /**
-     * Vẽ Progress Bar - ĐÚNG NHƯ V7.23
+     * Thử mở lại đúng camera đã mất (devicechange hoặc mỗi CAMERA_RECONNECT_INTERVAL_MS)
      */
-    function drawProgressBar(ctx, qrCode) {
-        var position = state.timestampPos;
-        var canvas = state.recordingCanvas;
-        var margin = MARGIN;
-        var panelWidth = 500, panelHeight = 180;
-        var panelX = position.includes('left') ? margin : canvas.width - panelWidth - margin;
-        var panelY = position.includes('top') ? margin + 100 : canvas.height - margin - panelHeight - 100;
-        var centerX = panelX + panelWidth / 2;
+    async function tryReconnect() {
+        var lost = state.cameraLost;
+        if (!lost || state.reconnecting) return;
         
-        // Panel background
-        ctx.fillStyle = 'rgba(0,0,0,0.85)';
-        ctx.fillRect(panelX, panelY, panelWidth, panelHeight);
-        ctx.strokeStyle = '#00FF00';
-        ctx.lineWidth = 3;
-        ctx.strokeRect(panelX, panelY, panelWidth, panelHeight);
-        
-        // Title
-        ctx.fillStyle = '#00FF00';
-        ctx.font = 'bold 24px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText('✅ QR CODE DETECTED', centerX, panelY + 30);
-        
-        // QR Code text
-        ctx.fillStyle = '#FFD700';
-        ctx.font = 'bold 28px Arial';
-        ctx.fillText(qrCode.length > 20 ? qrCode.substring(0, 20) + '...' : qrCode, centerX, panelY + 65);
-        
-        // Progress bar
-        var barX = panelX + 20, barY = panelY + 120, barWidth = panelWidth - 40, barHeight = 35;
-        ctx.fillStyle = 'rgba(50,50,50,0.9)';
-        ctx.fillRect(barX, barY, barWidth, barHeight);
-        ctx.fillStyle = '#00FF00';
-        ctx.fillRect(barX, barY, barWidth, barHeight);
-        ctx.fillStyle = '#FFFFFF';
-        ctx.font = 'bold 20px Arial';
-        ctx.fillText('100%', centerX, barY + barHeight / 2 + 7);
-        
-        // Số SP detected
-        if (state.detectedProducts.length > 0) {
-            ctx.fillStyle = '#00BFFF';
-            ctx.font = 'bold 14px Arial';
-            ctx.fillText('📦 ' + state.detectedProducts.length + ' SP', centerX, panelY + panelHeight - 15);
+        state.reconnecting = true;
+        try {
+            var devices = await navigator.mediaDevices.enumerateDevices();
+            var present = devices.some(function(d) {
+                return d.kind === 'videoinput' && d.deviceId === lost.deviceId;
+            });
+            if (lost.deviceId && !present) return;
+            
+            var stream = await openCameraStream(lost.deviceId);
+            if (state.cameraLost !== lost) {
+                // Camera bị tắt / đổi trong lúc đang mở lại
+                stream.getTracks().forEach(function(track) {
+                    track.stop();
+                });
+                return;
+            }
+            
+            resumeCamera(stream, lost);
+        } catch (e) {
+            console.warn('[Recorder] Reconnect failed, retrying:', e.message || e);
+        } finally {
+            state.reconnecting = false;
         }
-        
-        ctx.textAlign = 'left';
     }
     
     /**
-     * Vẽ FPS Counter lên video - ĐÚNG NHƯ V7.23
+     * Camera đã quay lại: vẽ tiếp trên canvas cũ, đơn đang ghi chạy tiếp ở segment mới
      */
-    function drawFPSCounter(ctx, timestamp) {
-        var margin = MARGIN;
-        var position = state.timestampPos;
-        var y = position.includes('bottom') ? margin + 20 : state.recordingCanvas.height - margin;
+    function resumeCamera(stream, lost) {
+        stopReconnect();
+        state.cameraLost = null;
+        state.stream = stream;
+        watchCameraTracks(stream);
+        refreshMasks();
+        startRenderLoop();
+        
+        var downtimeMs = Date.now() - lost.since;
+        var part = 0;
         
-        // FPS color coding
-        ctx.fillStyle = state.currentFPS < 30 ? '#FF0000' : state.currentFPS < 50 ? '#FFFF00' : '#00FF00';
-        ctx.font = 'bold 14px Arial';
-        ctx.fillText('FPS: ' + state.currentFPS, margin, y);
+        if (state.isRecording && state.session) {
+            var session = state.session;
+            var loss = session.cameraLosses[session.cameraLosses.length - 1];
+            if (loss && !loss.to) {
+                loss.to = new Date().toISOString();
+                loss.durationMs = downtimeMs;
+            }
+            
+            try {
+                var capture = createCapture(false);
+                state.capture = capture;
+                state.currentCodec = capture.codec;
+                beginSegment(capture, session);
+                part = capture.part;
+                if (state.paused) {
+                    // Đơn đang tạm dừng: segment mới cũng mở đầu bằng thẻ PAUSED rồi dừng
+                    schedulePause();
+                }
+            } catch (e) {
+                console.error('[Recorder] Resume recording error:', e);
+                triggerCallback('onError', { type: 'recording', error: e });
+            }
+        } else {
+            armPreRoll();
+        }
         
-        // Scan rate
-        ctx.fillStyle = '#00BFFF';
-        ctx.fillText('Scan: ' + state.actualScanRate + '/s', margin + 80, y);
+        console.log('[Recorder] Camera restored after ' + Math.round(downtimeMs / 1000) + 's' + (part ? ', part ' + part : ''));
+        triggerCallback('onCameraRestored', {
+            deviceId: lost.deviceId,
+            stream: stream,
+            downtimeMs: downtimeMs,
+            qrCode: state.currentQR,
+            part: part
+        });
     }
     
+    // ==================== Second Camera ====================
+    
     /**
-     * Vẽ Audio Indicator - ĐÚNG NHƯ V7.23
+     * Mở camera thứ hai để ghép vào recordingCanvas (chỉ video - audio lấy từ camera 1)
+     * @param {string} deviceId
+     * @returns {Promise<boolean>}
      */
-    function drawAudioIndicator(ctx) {
-        var margin = MARGIN;
-        var position = state.timestampPos;
-        var y = position.includes('bottom') ? margin + 45 : state.recordingCanvas.height - margin - 25;
+    async function startSecondCamera(deviceId) {
+        stopSecondCamera();
+        if (!deviceId) return false;
         
-        ctx.fillStyle = '#FF0000';
-        ctx.font = 'bold 14px Arial';
-        ctx.fillText('🎤 REC', margin, y);
-    }
-    
-    function pad(n) {
-        return String(n).padStart(2, '0');
-    }
-    
-    // ==================== Recording ====================
-    
-    function startRecording(qrCode) {
-        if (!state.isCameraOn || state.isRecording) return false;
+        var request = { deviceId: deviceId };
+        state.secondRequest = request;
+        var stream = null;
         
         try {
-            var codec = getCodec();
-            var preset = CONFIG.VIDEO_PRESETS[state.quality];
-            var bitrateValue = CONFIG.BITRATE_OPTIONS[state.bitrate].value;
-            
-            state.canvasStream = state.recordingCanvas.captureStream(preset.fps);
-            
-            if (state.audio && state.stream) {
-                var audioTracks = state.stream.getAudioTracks();
-                if (audioTracks.length > 0) {
-                    state.canvasStream.addTrack(audioTracks[0]);
-                }
-            }
-            
-            state.recorder = new MediaRecorder(state.canvasStream, {
-                mimeType: codec.mimeType,
-                videoBitsPerSecond: bitrateValue
+            // Camera 2 ghép nguyên khung (không xoay/cắt), lấy cùng hướng với camera 1
+            var preset = PRESETS.get(state.quality);
+            var size = PRESETS.getRegionSize(preset);
+            stream = await navigator.mediaDevices.getUserMedia({
+                video: {
+                    deviceId: { exact: deviceId },
+                    width: { ideal: size.width },
+                    height: { ideal: size.height },
+                    frameRate: { ideal: preset.fps }
+                },
+                audio: false
             });
+            await CAMERA.restore(stream.getVideoTracks()[0]);
             
-            state.chunks = [];
-            state.currentQR = qrCode;
-            state.detectedProducts = [];
-            
-            state.recorder.ondataavailable = function(e) {
-                if (e.data && e.data.size > 0) {
-                    state.chunks.push(e.data);
-                }
-            };
+            // Đã chọn camera khác / tắt camera 2 trong lúc đang mở
+            if (state.secondRequest !== request) {
+                stopTracks(stream);
+                return false;
+            }
+            state.secondRequest = null;
             
-            state.recorder.onstop = handleRecordingStop;
+            state.secondStream = stream;
+            state.secondCameraId = deviceId;
+            state.masks.second = MASKS.get(CAMERA.getDeviceId(stream.getVideoTracks()[0]));
             
-            state.recorder.start(1000);
-            state.isRecording = true;
-            state.recordingStartTime = Date.now();
+            // Rút dây / camera lỗi -> ghi tiếp với camera 1
+            stream.getVideoTracks().forEach(function(track) {
+                track.addEventListener('ended', function() {
+                    if (state.secondStream === stream) {
+                        console.warn('[Recorder] Second camera lost');
+                        stopSecondCamera(true);
+                    }
+                });
+            });
             
-            console.log('[Recorder] Recording started for: ' + qrCode);
-            triggerCallback('onRecordingStart', { qrCode: qrCode });
+            noteSessionSources();
             
+            console.log('[Recorder] Second camera started');
+            triggerCallback('onSecondCameraStart', { deviceId: deviceId, stream: stream });
             return true;
         } catch (e) {
-            console.error('[Recorder] Start recording error:', e);
-            triggerCallback('onError', { type: 'recording', error: e });
+            if (stream) stopTracks(stream);
+            if (state.secondRequest !== request) return false;
+            state.secondRequest = null;
+            
+            console.error('[Recorder] Second camera error:', e);
+            triggerCallback('onError', { type: 'camera2', error: e });
             return false;
         }
     }
     
-    function stopRecording(metadata) {
-        if (!state.isRecording || !state.recorder) return;
-        
-        state.recordingDuration = Math.round((Date.now() - state.recordingStartTime) / 1000);
-        state.recordingMetadata = metadata || {};
-        state.recordingMetadata.qrCode = state.currentQR;
-        state.recordingMetadata.productCount = state.detectedProducts.length;
+    /**
+     * @param {boolean} lost - true khi camera tự ngắt (không phải người dùng tắt)
+     */
+    function stopSecondCamera(lost) {
+        // Lần mở đang chờ getUserMedia sẽ tự đóng stream khi xong
+        state.secondRequest = null;
+        if (!state.secondStream) return;
         
-        state.recorder.stop();
-        state.isRecording = false;
+        stopTracks(state.secondStream);
+        state.secondStream = null;
+        state.masks.second = [];
+        state.secondCameraId = null;
         
-        console.log('[Recorder] Recording stopped, duration: ' + state.recordingDuration + 's');
+        console.log('[Recorder] Second camera stopped');
+        triggerCallback('onSecondCameraStop', { lost: !!lost });
     }
     
-    async function handleRecordingStop() {
-        if (state.chunks.length === 0) return;
-        
-        var blob = new Blob(state.chunks, { type: state.currentCodec.mimeType });
-        var sizeMB = (blob.size / (1024 * 1024)).toFixed(2);
-        
-        var now = new Date();
-        var dateStr = now.getFullYear() + '-' + pad(now.getMonth() + 1) + '-' + pad(now.getDate());
-        var timeStr = pad(now.getHours()) + pad(now.getMinutes()) + pad(now.getSeconds());
-        var qrCode = state.recordingMetadata.qrCode || 'NoQR';
-        var filename = dateStr + '_' + timeStr + '_' + sanitizeFilename(qrCode) + '.' + state.currentCodec.ext;
-        
-        var saved = false;
+    function stopTracks(stream) {
+        stream.getTracks().forEach(function(track) {
+            track.stop();
+        });
+    }
+    
+    /**
+     * Các nguồn hình đang được ghép vào video
+     * @returns {Array} - [{ role: 'main'|'second', label, deviceId, scanned, masks }]
+     */
+    function describeSources() {
+        var sources = [];
+        var mainTrack = state.stream ? state.stream.getVideoTracks()[0] : null;
+        var secondTrack = state.secondStream ? state.secondStream.getVideoTracks()[0] : null;
         
-        if (state.folderHandle) {
-            try {
-                var fileHandle = await state.folderHandle.getFileHandle(filename, { create: true });
-                var writable = await fileHandle.createWritable();
-                await writable.write(blob);
-                await writable.close();
-                state.lastSavedFile = filename;
-                saved = true;
-                console.log('[Recorder] Saved to folder: ' + filename);
-            } catch (e) {
-                console.error('[Recorder] Folder save error:', e);
-            }
+        if (mainTrack) {
+            sources.push({
+                role: 'main',
+                label: mainTrack.label,
+                deviceId: state.cameraId || '',
+                scanned: !secondTrack || state.scanSource !== 'second',
+                masks: state.masks.main.slice()
+            });
         }
-        
-        if (!saved) {
-            var url = URL.createObjectURL(blob);
-            var a = document.createElement('a');
-            a.href = url;
-            a.download = filename;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            state.lastSavedFile = filename;
-            console.log('[Recorder] Downloaded: ' + filename);
+        if (secondTrack) {
+            sources.push({
+                role: 'second',
+                label: secondTrack.label,
+                deviceId: state.secondCameraId || '',
+                scanned: state.scanSource === 'second',
+                masks: state.masks.second.slice()
+            });
         }
+        return sources;
+    }
+    
+    /**
+     * Bổ sung nguồn mới vào đơn đang ghi (camera 2 bật giữa chừng, đổi camera quét...)
+     * masks giữ vùng che lúc camera vào đơn; sửa vùng che giữa chừng được nối vào
+     * maskChanges: [{ at, masks }] để biết đoạn nào của video bị che thế nào
+     */
+    function noteSessionSources() {
+        var session = state.session;
+        if (!state.isRecording || !session) return;
         
-        triggerCallback('onVideoSaved', {
-            filename: filename,
-            size: sizeMB,
-            duration: state.recordingDuration,
-            qrCode: state.recordingMetadata.qrCode,
-            productCount: state.recordingMetadata.productCount
+        describeSources().forEach(function(source) {
+            var known = session.cameras.filter(function(c) {
+                return c.role === source.role && c.deviceId === source.deviceId;
+            })[0];
+            
+            if (known) {
+                known.scanned = known.scanned || source.scanned;
+                
+                var changes = known.maskChanges || [];
+                var current = changes.length ? changes[changes.length - 1].masks : known.masks;
+                if (JSON.stringify(current || []) !== JSON.stringify(source.masks)) {
+                    known.maskChanges = changes.concat([{ at: new Date().toISOString(), masks: source.masks }]);
+                }
+            } else {
+                session.cameras.push(source);
+            }
         });
+        if (state.secondStream) {
+            session.cameraLayout = state.cameraLayout;
+        }
         
-        state.chunks = [];
-        state.currentQR = null;
-        state.detectedProducts = [];
-    }
-    
-    function sanitizeFilename(name) {
-        return name.replace(/[<>:"/\\|?*]/g, '_').substring(0, 50);
+        if (state.capture && state.capture.journal) {
+            JOURNAL.updateMeta(state.capture.journal, { cameras: session.cameras, cameraLayout: session.cameraLayout });
+        }
     }
     
-    // ==================== Folder Access ====================
+    // ==================== Canvas Setup ====================
     
-    async function openFolder() {
-        try {
-            state.folderHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
-            console.log('[Recorder] Folder selected: ' + state.folderHandle.name);
-            return state.folderHandle.name;
-        } catch (e) {
-            console.log('[Recorder] Folder selection cancelled');
-            return null;
-        }
+    function setupCanvas() {
+        // Giữ preset lúc mở camera: đổi preset khi đang ghi không làm méo canvas đang dùng
+        var preset = PRESETS.get(state.quality);
+        state.canvasPreset = preset;
+        
+        var size = getCanvasSize();
+        state.recordingCanvas = document.createElement('canvas');
+        state.recordingCanvas.width = size.width;
+        state.recordingCanvas.height = size.height;
+        state.recordingCtx = state.recordingCanvas.getContext('2d');
     }
     
-    // ==================== Display Functions ====================
-    
-    function showProgressBar(qrCode) {
-        state.displayQR = qrCode;
-        state.displayTime = Date.now();
+    /**
+     * Kích thước canvas = preset x hệ số độ phân giải của governor (số chẵn cho encoder)
+     * @returns {object} - { width, height }
+     */
+    function getCanvasSize() {
+        var preset = getPreset();
+        var scale = state.performance.resolution;
+        return {
+            width: Math.round(preset.width * scale / 2) * 2,
+            height: Math.round(preset.height * scale / 2) * 2
+        };
     }
     
-    function addDetectedProduct(qrCode) {
-        if (state.detectedProducts.indexOf(qrCode) === -1) {
-            state.detectedProducts.push(qrCode);
-        }
-        return state.detectedProducts.length;
+    /**
+     * Đổi kích thước canvas theo hệ số độ phân giải - chỉ khi không ghi đơn
+     * (đang ghi thì chờ stopRecording, bản ghi giữ nguyên kích thước)
+     * @returns {boolean} - Đã đổi kích thước
+     */
+    function syncCanvasSize() {
+        if (!state.isCameraOn || state.isRecording || !state.recordingCanvas) return false;
+        
+        var size = getCanvasSize();
+        var canvas = state.recordingCanvas;
+        if (canvas.width === size.width && canvas.height === size.height) return false;
+        
+        disarmPreRoll();
+        canvas.width = size.width;
+        canvas.height = size.height;
+        state.recordingCtx = canvas.getContext('2d');
+        armPreRoll();
+        
+        console.log('[Recorder] Canvas resized to ' + size.width + 'x' + size.height);
+        return true;
     }
     
-    // ==================== Settings ====================
+    // ==================== Render Loop ====================
     
-    function setQuality(quality) {
-        state.quality = quality;
-        var preset = CONFIG.VIDEO_PRESETS[quality];
-        state.scanInterval = Math.round(1000 / preset.scanFPS);
+    /**
+     * Nhịp render: requestAnimationFrame khi tab hiển thị,
+     * Worker timer theo FPS của preset khi tab bị ẩn (lúc đó rAF dừng hẳn)
+     */
+    function startRenderLoop() {
+        stopRenderLoop();
+        
+        state.lastFpsTime = 0;
+        state.frameCount = 0;
+        state.lastRenderTime = 0;
+        state.lastScanTime = 0;
+        state.actualScanCount = 0;
+        state.lastScanCountTime = 0;
+        
+        scheduleRender();
     }
     
-    function setBitrate(bitrate) {
-        state.bitrate = bitrate;
+    function stopRenderLoop() {
+        if (state.rafId) {
+            cancelAnimationFrame(state.rafId);
+            state.rafId = null;
+        }
+        if (state.renderTimer) {
+            SCHEDULER.stop(state.renderTimer);
+            state.renderTimer = null;
+        }
     }
     
-    function setAudio(enabled) {
-        state.audio = enabled;
+    /**
+     * Chọn nguồn nhịp theo trạng thái hiển thị của tab
+     */
+    function scheduleRender() {
+        if (document.hidden) {
+            if (state.rafId) {
+                cancelAnimationFrame(state.rafId);
+                state.rafId = null;
+            }
+            if (!state.renderTimer) {
+                state.renderTimer = SCHEDULER.start(function() {
+                    renderFrame(performance.now());
+                }, 1000 / getPreset().fps);
+            }
+        } else {
+            if (state.renderTimer) {
+                SCHEDULER.stop(state.renderTimer);
+                state.renderTimer = null;
+            }
+            if (!state.rafId) {
+                state.rafId = requestAnimationFrame(onAnimationFrame);
+            }
+        }
     }
     
-    function setPostBuffer(ms) {
-        state.postBuffer = ms;
+    function onAnimationFrame(timestamp) {
+        state.rafId = null;
+        if (renderFrame(timestamp)) {
+            scheduleRender();
+        }
     }
     
-    function setTimestampPosition(position) {
+    /**
+     * Vẽ một frame lên recordingCanvas và báo quét QR theo nhịp scanInterval
+     * @param {number} timestamp - performance.now()
+     * @returns {boolean} - false khi stream đã dừng (vòng render kết thúc)
+     */
+    function renderFrame(timestamp) {
+        if (!state.stream || !state.stream.active) {
+            stopRenderLoop();
+            return false;
+        }
+        
+        if (videoElement && videoElement.readyState >= 2) {
+            countDroppedFrames(timestamp);
+            
+            // Vẽ video frame (một hoặc hai camera)
+            drawSources(state.recordingCtx, state.recordingCanvas);
+            
+            // Kiểm tra đứng hình / đen / cháy sáng / mờ trên hình gốc của camera 1
+            WATCHDOG.sample(videoElement, timestamp);
+            AUDIO.monitor(state.isRecording && !state.paused);
+            
+            // Đếm frame của đơn (cho QR metadata) - frame lúc tạm dừng không vào video
+            if (state.isRecording && state.session && !(state.capture && state.capture.recorder.state === 'paused')) {
+                state.session.frameCount++;
+            }
+            
+            // Overlay theo template (timestamp, mã đơn, progress, FPS...) + thẻ PAUSED / RESUMED
+            drawOverlay(state.recordingCtx, state.recordingCanvas, state.overlayTemplate);
+            
+            // QR Scanning
+            var now = performance.now();
+            if (now - state.lastScanTime >= state.scanInterval) {
+                state.lastScanTime = now;
+                state.actualScanCount++;
+                triggerCallback('onScanFrame');
+            }
+            
+            // Update scan rate
+            if (now - state.lastScanCountTime >= 1000) {
+                state.actualScanRate = state.actualScanCount;
+                state.actualScanCount = 0;
+                state.lastScanCountTime = now;
+            }
+            
+            // Update FPS counter
+            state.frameCount++;
+            if (timestamp - state.lastFpsTime >= 1000) {
+                state.currentFPS = Math.round(state.frameCount * 1000 / (timestamp - state.lastFpsTime));
+                state.frameCount = 0;
+                state.lastFpsTime = timestamp;
+                triggerCallback('onFPSUpdate', state.currentFPS);
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Vẽ overlay theo template, rồi các thẻ ngoài template (luôn được ghi)
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {HTMLCanvasElement} canvas
+     * @param {object} template
+     */
+    function drawOverlay(ctx, canvas, template) {
+        OVERLAY.render(ctx, canvas, template, getOverlayData());
+        
+        var card = getPauseCard();
+        if (card) {
+            OVERLAY.drawCard(ctx, canvas, card);
+        }
+    }
+    
+    /**
+     * Xem trước template trên canvas riêng (editor) - không đụng tới recordingCanvas
+     * @param {HTMLCanvasElement} canvas
+     * @param {object} template
+     * @returns {boolean} - false khi camera chưa có hình
+     */
+    function renderPreview(canvas, template) {
+        if (!state.isCameraOn || !videoElement || videoElement.readyState < 2) return false;
+        
+        var ctx = canvas.getContext('2d');
+        drawSources(ctx, canvas);
+        drawOverlay(ctx, canvas, template);
+        return true;
+    }
+    
+    /**
+     * Frame bị rớt = khoảng cách giữa hai lần render dài hơn 1.5 lần nhịp của preset
+     * @param {number} timestamp
+     */
+    function countDroppedFrames(timestamp) {
+        var interval = 1000 / getPreset().fps;
+        var gap = timestamp - state.lastRenderTime;
+        
+        if (state.lastRenderTime && gap > interval * 1.5) {
+            state.droppedFrames += Math.round(gap / interval) - 1;
+        }
+        state.lastRenderTime = timestamp;
+    }
+    
+    /**
+     * Vẽ camera 1, ghép thêm camera 2 theo layout nếu đang bật
+     */
+    function drawSources(ctx, canvas) {
+        var width = canvas.width;
+        var height = canvas.height;
+        var second = state.secondStream && secondVideoElement && secondVideoElement.readyState >= 2
+            ? secondVideoElement
+            : null;
+        
+        if (!second) {
+            drawCamera(ctx, videoElement, 0, 0, width, height, false);
+            return;
+        }
+        
+        if (state.cameraLayout === 'side') {
+            ctx.fillStyle = '#000';
+            ctx.fillRect(0, 0, width, height);
+            drawCamera(ctx, videoElement, 0, 0, width / 2, height, true);
+            drawContained(ctx, second, width / 2, 0, width / 2, height);
+            return;
+        }
+        
+        // PiP: góc trống của overlay = cùng hàng Timestamp, phía đối diện
+        var scale = CONFIG.CAMERA_LAYOUTS.pip.pipScale;
+        var pipWidth = Math.round(width * scale);
+        var pipHeight = Math.round(pipWidth * (second.videoHeight || 9) / (second.videoWidth || 16));
+        var margin = Math.round(height * 0.03);
+        var onTop = state.timestampPos.indexOf('top') !== -1;
+        var onLeft = state.timestampPos.indexOf('left') === -1;
+        var x = onLeft ? margin : width - margin - pipWidth;
+        var y = onTop ? margin : height - margin - pipHeight;
+        var border = Math.max(2, Math.round(height / 360));
+        
+        drawCamera(ctx, videoElement, 0, 0, width, height, false);
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(x - border, y - border, pipWidth + border * 2, pipHeight + border * 2);
+        ctx.drawImage(second, x, y, pipWidth, pipHeight);
+        MASKS.apply(ctx, second, state.masks.second,
+            { x: 0, y: 0, w: second.videoWidth, h: second.videoHeight },
+            { x: x, y: y, w: pipWidth, h: pipHeight });
+    }
+    
+    /**
+     * Vẽ camera 1 theo preset: cắt vùng crop của ảnh camera rồi xoay
+     * @param {boolean} contain - true: giữ tỉ lệ (letterbox), false: lấp đầy khung
+     */
+    function drawCamera(ctx, video, x, y, width, height, contain) {
+        var preset = getPreset();
+        var crop = preset.crop || { x: 0, y: 0, w: 1, h: 1 };
+        var videoWidth = video.videoWidth || width;
+        var videoHeight = video.videoHeight || height;
+        var sx = crop.x * videoWidth;
+        var sy = crop.y * videoHeight;
+        var sw = crop.w * videoWidth;
+        var sh = crop.h * videoHeight;
+        
+        // Kích thước ảnh sau khi xoay
+        var quarter = preset.rotate === 90 || preset.rotate === 270;
+        var imageWidth = quarter ? sh : sw;
+        var imageHeight = quarter ? sw : sh;
+        
+        if (contain) {
+            var ratio = Math.min(width / imageWidth, height / imageHeight);
+            x += (width - imageWidth * ratio) / 2;
+            y += (height - imageHeight * ratio) / 2;
+            width = imageWidth * ratio;
+            height = imageHeight * ratio;
+        }
+        
+        var src = { x: sx, y: sy, w: sw, h: sh };
+        
+        if (!preset.rotate) {
+            ctx.drawImage(video, sx, sy, sw, sh, x, y, width, height);
+            MASKS.apply(ctx, video, state.masks.main, src, { x: x, y: y, w: width, h: height });
+            return;
+        }
+        
+        ctx.save();
+        ctx.translate(x + width / 2, y + height / 2);
+        ctx.rotate(preset.rotate * Math.PI / 180);
+        var drawWidth = quarter ? height : width;
+        var drawHeight = quarter ? width : height;
+        ctx.drawImage(video, sx, sy, sw, sh, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+        MASKS.apply(ctx, video, state.masks.main, src, { x: -drawWidth / 2, y: -drawHeight / 2, w: drawWidth, h: drawHeight });
+        ctx.restore();
+    }
+    
+    /**
+     * Vẽ camera 2 vừa khung, giữ tỉ lệ (letterbox), kèm vùng che
+     */
+    function drawContained(ctx, video, x, y, width, height) {
+        var ratio = Math.min(width / (video.videoWidth || width), height / (video.videoHeight || height));
+        var w = (video.videoWidth || width) * ratio;
+        var h = (video.videoHeight || height) * ratio;
+        ctx.drawImage(video, x + (width - w) / 2, y + (height - h) / 2, w, h);
+        MASKS.apply(ctx, video, state.masks.second,
+            { x: 0, y: 0, w: video.videoWidth, h: video.videoHeight },
+            { x: x + (width - w) / 2, y: y + (height - h) / 2, w: w, h: h });
+    }
+    
+    // ==================== Hidden Tab ====================
+    
+    /**
+     * Tab bị ẩn / hiện lại: đổi nguồn nhịp render và ghi khoảng thời gian ẩn vào đơn đang ghi
+     */
+    function handleVisibilityChange() {
+        if (document.hidden) {
+            state.hiddenSince = Date.now();
+            console.log('[Recorder] Tab hidden, switching to worker timer');
+            
+            if (state.isRecording && state.session) {
+                openHiddenInterval(state.session);
+            }
+        } else {
+            console.log('[Recorder] Tab visible after ' + Math.round((Date.now() - state.hiddenSince) / 1000) + 's');
+            state.hiddenSince = null;
+            
+            if (state.isRecording && state.session) {
+                var interval = closeHiddenInterval(state.session);
+                if (interval) {
+                    triggerCallback('onHiddenInterval', interval);
+                }
+            }
+        }
+        
+        if (state.rafId || state.renderTimer) {
+            scheduleRender();
+        }
+    }
+    
+    /**
+     * @param {object} session
+     */
+    function openHiddenInterval(session) {
+        session.hiddenIntervals.push({ from: new Date().toISOString(), to: null, durationMs: 0 });
+        saveHiddenIntervals(session);
+    }
+    
+    /**
+     * Đóng khoảng ẩn đang mở (tab hiện lại hoặc dừng ghi khi tab vẫn ẩn)
+     * @param {object} session
+     * @returns {object|null} - { from, to, durationMs }
+     */
+    function closeHiddenInterval(session) {
+        var last = session.hiddenIntervals[session.hiddenIntervals.length - 1];
+        if (!last || last.to) return null;
+        
+        var now = new Date();
+        last.to = now.toISOString();
+        last.durationMs = Math.max(0, now.getTime() - Date.parse(last.from));
+        saveHiddenIntervals(session);
+        return last;
+    }
+    
+    function saveHiddenIntervals(session) {
+        if (state.capture && state.capture.session === session && state.capture.journal) {
+            JOURNAL.updateMeta(state.capture.journal, { hiddenIntervals: session.hiddenIntervals });
+        }
+    }
+    
+    function formatHiddenAlert() {
+        if (!state.hiddenSince) return null;
+        
+        var seconds = Math.round((Date.now() - state.hiddenSince) / 1000);
+        return CONFIG.TEXTS.HIDDEN_ALERT + ' ' + pad(Math.floor(seconds / 60)) + ':' + pad(seconds % 60);
+    }
+    
+    // ==================== Overlay ====================
+    
+    /**
+     * Dữ liệu cho template overlay của frame hiện tại
+     * @returns {object}
+     */
+    function getOverlayData() {
+        return {
+            now: new Date(),
+            order: state.currentQR,
+            isRecording: state.isRecording,
+            audio: state.audio && AUDIO.isOpen(),
+            audioLevel: AUDIO.getLevel(),
+            detectQR: state.displayQR && (Date.now() - state.displayTime < PROGRESS_DISPLAY_TIME) ? state.displayQR : null,
+            products: state.detectedProducts.length,
+            fps: state.currentFPS,
+            scanRate: state.actualScanRate,
+            timestampPos: state.timestampPos,
+            metaQR: state.isRecording && state.session && state.session.metaQR ? getMetaQR(state.session) : null,
+            clockAlert: state.isRecording && state.session ? formatClockAlert(state.session.clockAnomalies) : null,
+            hiddenAlert: formatHiddenAlert()
+        };
+    }
+    
+    /**
+     * Nội dung QR metadata, làm mới mỗi META_QR_REFRESH_MS (không dựng lại QR mỗi frame)
+     * @param {object} session
+     * @returns {string}
+     */
+    function getMetaQR(session) {
+        var now = Date.now();
+        if (!session.metaQRText || now - session.metaQRAt >= META_QR_REFRESH_MS) {
+            session.metaQRText = buildMetaQR(session);
+            session.metaQRAt = now;
+        }
+        return session.metaQRText;
+    }
+    
+    /**
+     * Mã đơn đặt cuối cùng để mã có ký tự '|' vẫn tách được
+     * Tên trạm do người dùng nhập: '%' và '|' được mã hóa kiểu URL (%25, %7C)
+     * @param {object} session
+     * @returns {string}
+     */
+    function buildMetaQR(session) {
+        var station = String(OVERLAY.getProfile().station || '').replace(/%/g, '%25').replace(/\|/g, '%7C');
+        return [
+            META_QR_FORMAT,
+            session.frameCount,
+            session.startTime,
+            station,
+            session.qrCode || ''
+        ].join('|');
+    }
+    
+    function pad(n) {
+        return String(n).padStart(2, '0');
+    }
+    
+    // ==================== Recording ====================
+    
+    /**
+     * Tạo một lần ghi MediaRecorder trên recordingCanvas
+     * @param {boolean} preRoll - true: chỉ giữ vòng đệm pre-roll, chưa phải bản ghi
+     * @returns {object} - { recorder, canvasStream, codec, chunks, preRoll, clustered, header, buffer, startTime }
+     */
+    function createCapture(preRoll) {
+        var preset = getPreset();
+        var bitrateValue = Math.round(CONFIG.BITRATE_OPTIONS[state.bitrate].value * state.performance.bitrate);
+        var chunkMs = state.keyframeInterval * 1000;
+        
+        var audioTrack = state.audio ? AUDIO.getTrack() : null;
+        
+        var capture = {
+            recorder: null,
+            canvasStream: null,
+            codec: null,
+            chunks: [],
+            chunkMs: chunkMs,
+            preRoll: preRoll,
+            clustered: false, // Muxer WebCodecs: header và từng Cluster (mở đầu bằng keyframe) là các chunk riêng
+            header: null,
+            buffer: [],
+            startTime: Date.now(),
+            pausedAt: null,
+            pausedMs: 0
+        };
+        
+        var webCodecs = state.webCodecs;
+        if (state.encoder === 'webcodecs' && webCodecs && (!audioTrack || webCodecs.audio)) {
+            capture.codec = Object.assign({}, webCodecs.video);
+            capture.recorder = ENCODER.createRecorder(state.recordingCanvas, {
+                codec: webCodecs.video,
+                fps: preset.fps,
+                bitrate: bitrateValue,
+                keyframeInterval: state.keyframeInterval,
+                audioTrack: audioTrack
+            });
+            capture.recorder.onerror = function(e) {
+                handleEncoderError(capture, e.error);
+            };
+            capture.clustered = true;
+        } else {
+            capture.codec = getCodec();
+            capture.canvasStream = state.recordingCanvas.captureStream(preset.fps);
+            if (audioTrack) {
+                capture.canvasStream.addTrack(audioTrack);
+            }
+            
+            // Keyframe đều đặn để bản ghi bắt đầu từ vòng đệm vẫn giải mã được (Chrome 118+)
+            capture.recorder = new MediaRecorder(capture.canvasStream, {
+                mimeType: capture.codec.mimeType,
+                videoBitsPerSecond: bitrateValue,
+                videoKeyFrameIntervalDuration: chunkMs
+            });
+        }
+        
+        capture.recorder.ondataavailable = function(e) {
+            handleDataAvailable(capture, e);
+        };
+        
+        capture.recorder.onstop = function() {
+            handleRecordingStop(capture);
+        };
+        
+        capture.recorder.start(chunkMs);
+        
+        // Recorder báo lại mimeType thực tế (có thể khác chuỗi đã yêu cầu)
+        if (capture.recorder.mimeType) {
+            capture.codec.mimeType = capture.recorder.mimeType;
+        }
+        
+        return capture;
+    }
+    
+    /**
+     * WebCodecs lỗi giữa chừng: chuyển về MediaRecorder và tiếp tục ở segment mới
+     */
+    function handleEncoderError(capture, error) {
+        console.error('[Recorder] WebCodecs error, falling back to MediaRecorder:', error);
+        state.encoder = 'mediarecorder';
+        triggerCallback('onError', { type: 'encoder', error: error || new Error('WebCodecs') });
+        
+        if (capture !== state.capture) return;
+        
+        if (capture.preRoll) {
+            disarmPreRoll();
+            armPreRoll();
+        } else if (state.isRecording) {
+            rolloverSegment();
+        }
+    }
+    
+    function handleDataAvailable(capture, e) {
+        if (!e.data || e.data.size === 0) return;
+        
+        if (!capture.preRoll) {
+            capture.size += e.data.size;
+            if (capture.journal) {
+                JOURNAL.append(capture.journal, e.data);
+            } else {
+                capture.chunks.push(e.data);
+            }
+            checkSegmentLimits(capture);
+            return;
+        }
+        
+        // Chunk timeslice của MediaRecorder cắt ngang dữ liệu: giữ nguyên cả file, vòng đệm = xoay vòng recorder
+        if (!capture.clustered) {
+            capture.chunks.push(e.data);
+            return;
+        }
+        
+        // Chunk đầu tiên của muxer chỉ chứa header (EBML, Tracks) - luôn giữ lại
+        if (!capture.header) {
+            capture.header = e.data;
+            return;
+        }
+        
+        capture.buffer.push({ data: e.data, time: Date.now() });
+        
+        // Bỏ các Cluster đã ra khỏi cửa sổ pre-roll (mỗi Cluster dài chunkMs, bắt đầu bằng keyframe)
+        // Timecode của file được dời về 0 khi hậu xử lý (QRWebM.makeSeekable)
+        var cutoff = Date.now() - state.preRoll * 1000;
+        while (capture.buffer.length > 0 && capture.buffer[0].time - capture.chunkMs < cutoff) {
+            capture.buffer.shift();
+        }
+    }
+    
+    /**
+     * Bật vòng đệm pre-roll khi camera đang chạy
+     * MediaRecorder: mỗi preRoll giây mở một recorder mới gối đầu recorder cũ, nên luôn có một file
+     * hoàn chỉnh (mở đầu bằng keyframe) bắt đầu từ preRoll đến 2 x preRoll giây trước.
+     * Hai recorder full độ phân giải chạy song song suốt lúc bật camera nên pre-roll tắt mặc định.
+     */
+    function armPreRoll() {
+        if (!state.isCameraOn || state.isRecording || state.cameraLost || state.preRoll <= 0) return;
+        if (state.capture && state.capture.preRoll) return;
+        
+        try {
+            state.capture = createCapture(true);
+            if (!state.capture.clustered) {
+                state.preRollTimer = SCHEDULER.start(rotatePreRoll, state.preRoll * 1000);
+            }
+            console.log('[Recorder] Pre-roll armed: ' + state.preRoll + 's');
+        } catch (e) {
+            console.error('[Recorder] Pre-roll error:', e);
+            state.capture = null;
+        }
+    }
+    
+    function rotatePreRoll() {
+        var capture = state.capture;
+        if (!capture || !capture.preRoll || state.isRecording) return;
+        
+        try {
+            var next = createCapture(true);
+            if (state.preRollNext) {
+                state.capture = state.preRollNext;
+                discardCapture(capture);
+            }
+            state.preRollNext = next;
+        } catch (e) {
+            console.error('[Recorder] Pre-roll rotate error:', e);
+        }
+    }
+    
+    function disarmPreRoll() {
+        if (state.preRollTimer) {
+            SCHEDULER.stop(state.preRollTimer);
+            state.preRollTimer = null;
+        }
+        discardCapture(state.preRollNext);
+        state.preRollNext = null;
+        
+        var capture = state.capture;
+        if (capture && capture.preRoll) {
+            state.capture = null;
+            discardCapture(capture);
+        }
+    }
+    
+    function discardCapture(capture) {
+        if (capture && capture.recorder.state !== 'inactive') {
+            capture.recorder.stop();
+        }
+    }
+    
+    function startRecording(qrCode) {
+        if (!state.isCameraOn || state.isRecording || state.cameraLost) return false;
+        
+        try {
+            var capture = state.capture;
+            var preRollSeconds = 0;
+            
+            if (capture && capture.preRoll && capture.recorder.state === 'recording') {
+                var firstTime = capture.startTime;
+                if (capture.clustered) {
+                    // Nối header + các Cluster nguyên vẹn của vòng đệm vào đầu bản ghi
+                    firstTime = capture.buffer.length > 0 ? Math.max(capture.buffer[0].time - capture.chunkMs, capture.startTime) : capture.startTime;
+                    capture.chunks = [capture.header].concat(capture.buffer.map(function(c) {
+                        return c.data;
+                    })).filter(Boolean);
+                    capture.buffer = [];
+                }
+                // MediaRecorder: capture.chunks đã là cả file từ lúc recorder này bắt đầu
+                preRollSeconds = Math.round((Date.now() - firstTime) / 100) / 10;
+                capture.preRoll = false;
+                
+                // Recorder gối đầu không còn cần nữa
+                state.capture = null;
+                disarmPreRoll();
+            } else {
+                capture = createCapture(false);
+            }
+            
+            state.session = createSession(qrCode);
+            state.session.preRollSeconds = preRollSeconds;
+            state.capture = capture;
+            state.currentCodec = capture.codec;
+            state.preRollSeconds = preRollSeconds;
+            state.currentQR = qrCode;
+            state.detectedProducts = [];
+            state.isRecording = true;
+            state.recordingStartTime = Date.now();
+            WATCHDOG.beginRecording();
+            
+            beginSegment(capture, state.session);
+            
+            console.log('[Recorder] Recording started for: ' + qrCode + ' (pre-roll ' + preRollSeconds + 's)');
+            triggerCallback('onRecordingStart', { qrCode: qrCode, preRollSeconds: preRollSeconds });
+            
+            return true;
+        } catch (e) {
+            console.error('[Recorder] Start recording error:', e);
+            triggerCallback('onError', { type: 'recording', error: e });
+            return false;
+        }
+    }
+    
+    // ==================== Segments ====================
+    
+    /**
+     * Một đơn hàng = một session, gồm một hoặc nhiều segment (file _part2, _part3...)
+     */
+    function createSession(qrCode) {
+        var videoTrack = state.stream ? state.stream.getVideoTracks()[0] : null;
+        var now = Date.now();
+        
+        return {
+            id: 'ses_' + now.toString(36) + Math.random().toString(36).substr(2, 5),
+            qrCode: qrCode,
+            startTime: now,
+            stopTime: null,
+            scans: qrCode ? [{ code: qrCode, type: 'order', at: new Date().toISOString() }] : [],
+            cameraLabel: videoTrack ? videoTrack.label : '',
+            cameraId: state.cameraId || '',
+            cameras: describeSources(),
+            cameraLayout: state.secondStream ? state.cameraLayout : null,
+            preRollSeconds: 0,
+            metaQR: state.metaQR ? META_QR_FORMAT : null,
+            frameCount: 0,
+            metaQRText: null,
+            metaQRAt: 0,
+            clockAnomalies: getClockBehind(),
+            hiddenIntervals: document.hidden ? [{ from: new Date().toISOString(), to: null, durationMs: 0 }] : [],
+            cameraLosses: [],
+            pauses: [],
+            snapshots: [],
+            autoStopped: null,
+            fileBase: makeFileBase(new Date(now), qrCode), // Chung cho video, manifest và ảnh chụp của đơn
+            parts: 0,
+            pending: 0,
+            files: [],
+            finished: false,
+            recovered: false,
+            metadata: null
+        };
+    }
+    
+    /**
+     * Gắn capture vào session như segment kế tiếp và mở journal cho nó
+     */
+    function beginSegment(capture, session) {
+        capture.session = session;
+        capture.part = ++session.parts;
+        capture.segmentStart = Date.now();
+        capture.size = capture.chunks.reduce(function(sum, c) { return sum + c.size; }, 0);
+        
+        openJournal(capture);
+    }
+    
+    /**
+     * Kết thúc segment: dừng MediaRecorder
+     * File được lưu trong handleRecordingStop
+     */
+    function endSegment(capture) {
+        var session = capture.session;
+        
+        capture.segmentEnd = Date.now();
+        if (capture.pausedAt) {
+            capture.pausedMs += capture.segmentEnd - capture.pausedAt;
+            capture.pausedAt = null;
+        }
+        session.pending++;
+        capture.recorder.stop();
+    }
+    
+    /**
+     * Kiểm tra giới hạn thời lượng / dung lượng của segment hiện tại
+     */
+    function checkSegmentLimits(capture) {
+        if (capture !== state.capture || !state.isRecording || state.paused) return;
+        
+        var maxMs = state.maxSegmentMinutes * 60 * 1000;
+        var maxBytes = state.maxSegmentMB * 1024 * 1024;
+        var overDuration = maxMs > 0 && Date.now() - capture.segmentStart >= maxMs;
+        var overSize = maxBytes > 0 && capture.size >= maxBytes;
+        
+        if (overDuration || overSize) {
+            rolloverSegment();
+        }
+    }
+    
+    /**
+     * Chuyển sang file mới mà không ngắt quãng:
+     * MediaRecorder mới chạy trước, sau đó mới dừng cái cũ
+     */
+    function rolloverSegment() {
+        var old = state.capture;
+        
+        try {
+            var next = createCapture(false);
+            state.capture = next;
+            beginSegment(next, old.session);
+            endSegment(old);
+            
+            // Đang tạm dừng (vd. encoder lỗi khi pause): segment mới cũng dừng sau thẻ PAUSED
+            if (state.paused) schedulePause();
+            
+            console.log('[Recorder] Segment rollover -> part ' + next.part);
+        } catch (e) {
+            console.error('[Recorder] Segment rollover error:', e);
+            triggerCallback('onError', { type: 'recording', error: e });
+        }
+    }
+    
+    /**
+     * Mở journal trên đĩa cho segment và chuyển các chunk đang có trong RAM xuống đó
+     * Không có journal (trình duyệt không hỗ trợ) thì vẫn ghi vào RAM như cũ
+     */
+    async function openJournal(capture) {
+        var session = capture.session;
+        var journal = await JOURNAL.open(state.folderHandle, {
+            qrCode: session.qrCode,
+            sessionId: session.id,
+            fileBase: session.fileBase,
+            part: capture.part,
+            codec: capture.codec,
+            startTime: session.startTime,
+            segmentStart: capture.segmentStart,
+            preRollSeconds: capture.part === 1 ? state.preRollSeconds : 0,
+            productCount: state.detectedProducts.length,
+            scans: session.scans,
+            cameraLabel: session.cameraLabel,
+            cameraId: session.cameraId,
+            cameras: session.cameras,
+            cameraLayout: session.cameraLayout,
+            metaQR: session.metaQR,
+            clockAnomalies: session.clockAnomalies,
+            hiddenIntervals: session.hiddenIntervals,
+            cameraLosses: session.cameraLosses,
+            pauses: session.pauses,
+            snapshots: session.snapshots
+        });
+        if (!journal) return;
+        
+        // Segment đã dừng trước khi journal kịp mở - dữ liệu vẫn nằm trong RAM
+        if (capture.recorder.state === 'inactive') {
+            JOURNAL.discard(journal);
+            return;
+        }
+        
+        capture.chunks.forEach(function(chunk) {
+            JOURNAL.append(journal, chunk);
+        });
+        capture.chunks = [];
+        capture.journal = journal;
+    }
+    
+    function stopRecording(metadata) {
+        if (!state.isRecording || !state.session) return;
+        
+        // capture = null khi camera đang mất: segment cuối đã được chốt lúc mất camera
+        var capture = state.capture;
+        var session = state.session;
+        
+        // Dừng khi đang tạm dừng: khoảng tạm dừng kết thúc tại lúc dừng
+        stopPauseTimer();
+        closePause(session);
+        state.paused = null;
+        state.pauseCard = null;
+        
+        state.recordingDuration = Math.round((Date.now() - state.recordingStartTime - getPausedMs(session)) / 1000);
+        session.metadata = metadata || {};
+        session.metadata.qrCode = state.currentQR;
+        session.metadata.productCount = state.detectedProducts.length;
+        session.metadata.duration = state.recordingDuration;
+        session.metadata.preRollSeconds = state.preRollSeconds;
+        session.metadata.scans = session.scans.slice();
+        closeHiddenInterval(session);
+        session.metadata.hiddenIntervals = session.hiddenIntervals.slice();
+        closeCameraLoss(session);
+        session.metadata.cameraLosses = session.cameraLosses.slice();
+        session.metadata.pauses = session.pauses.slice();
+        session.metadata.quality = WATCHDOG.endRecording();
+        session.autoStopped = session.metadata.autoStopped || null;
+        session.stopTime = Date.now();
+        session.finished = true;
+        
+        // Ảnh cuối đơn: frame cuối còn trên canvas (camera đang mất thì không có hình mới)
+        if (!state.cameraLost) {
+            takeSnapshot(session, 'stop', session.qrCode);
+        }
+        
+        if (capture) {
+            endSegment(capture);
+        } else {
+            completeSession(session);
+        }
+        state.capture = null;
+        state.session = null;
+        state.isRecording = false;
+        state.currentQR = null;
+        state.detectedProducts = [];
+        
+        console.log('[Recorder] Recording stopped, duration: ' + state.recordingDuration + 's, parts: ' + session.parts);
+        
+        if (state.pendingOverlay) {
+            state.overlayTemplate = state.pendingOverlay;
+            state.pendingOverlay = null;
+        }
+        
+        // Vòng đệm chạy lại ngay cho đơn tiếp theo (governor đổi độ phân giải, đổi micro lúc đang ghi thì áp dụng bây giờ)
+        if (state.audioRestart) {
+            restartAudio();
+        } else if (!syncCanvasSize()) {
+            armPreRoll();
+        }
+    }
+    
+    /**
+     * Dừng ghi khi camera vẫn chưa quay lại: khoảng mất camera kết thúc tại lúc dừng
+     * @param {object} session
+     */
+    function closeCameraLoss(session) {
+        var last = session.cameraLosses[session.cameraLosses.length - 1];
+        if (last && !last.to) {
+            last.to = new Date().toISOString();
+            last.durationMs = Math.max(0, Date.now() - Date.parse(last.from));
+        }
+    }
+    
+    // ==================== Pause / Resume ====================
+    
+    /**
+     * Tạm dừng đơn đang ghi: thẻ "PAUSED at hh:mm:ss" vào video PAUSE_CARD_MS rồi recorder mới pause
+     * @param {string} [source] - 'button' | 'hotkey' | 'qr'
+     * @returns {boolean}
+     */
+    function pauseRecording(source) {
+        if (!state.isRecording || !state.session || state.paused) return false;
+        
+        var session = state.session;
+        var now = new Date();
+        state.paused = { since: now.getTime(), source: source || 'button' };
+        session.pauses.push({ from: now.toISOString(), to: null, durationMs: 0, source: state.paused.source });
+        savePauses(session);
+        
+        state.pauseCard = {
+            text: CONFIG.TEXTS.PAUSED_CARD + ' ' + formatClock(now),
+            sub: session.qrCode || '',
+            background: 'rgba(220, 53, 69, 0.9)',
+            until: 0
+        };
+        schedulePause();
+        
+        console.log('[Recorder] Paused (' + state.paused.source + '): ' + session.qrCode);
+        triggerCallback('onPause', { qrCode: session.qrCode, since: state.paused.since, source: state.paused.source });
+        return true;
+    }
+    
+    /**
+     * Ghi tiếp: recorder resume ngay, thẻ "RESUMED at hh:mm:ss" hiện RESUME_CARD_MS
+     * @param {string} [source] - 'button' | 'hotkey' | 'qr'
+     * @returns {boolean}
+     */
+    function resumeRecording(source) {
+        if (!state.paused || !state.session) return false;
+        
+        var session = state.session;
+        stopPauseTimer();
+        resumeCapture(state.capture);
+        
+        var durationMs = closePause(session);
+        state.paused = null;
+        savePauses(session);
+        
+        state.pauseCard = {
+            text: CONFIG.TEXTS.RESUMED_CARD + ' ' + formatClock(new Date()),
+            sub: CONFIG.TEXTS.RESUMED_AFTER + ' ' + formatSpan(durationMs),
+            background: 'rgba(40, 167, 69, 0.9)',
+            until: Date.now() + RESUME_CARD_MS
+        };
+        
+        console.log('[Recorder] Resumed after ' + Math.round(durationMs / 1000) + 's (' + (source || 'button') + ')');
+        triggerCallback('onResume', { qrCode: session.qrCode, durationMs: durationMs, source: source || 'button' });
+        return true;
+    }
+    
+    /**
+     * Pause recorder sau PAUSE_CARD_MS (Worker timer: tab ẩn vẫn đúng giờ)
+     */
+    function schedulePause() {
+        stopPauseTimer();
+        state.pauseTimer = SCHEDULER.start(function() {
+            stopPauseTimer();
+            var capture = state.capture;
+            if (state.paused && capture && capture.recorder.state === 'recording') {
+                capture.recorder.pause();
+                capture.pausedAt = Date.now();
+            }
+        }, PAUSE_CARD_MS);
+    }
+    
+    function stopPauseTimer() {
+        if (state.pauseTimer) {
+            SCHEDULER.stop(state.pauseTimer);
+            state.pauseTimer = null;
+        }
+    }
+    
+    function resumeCapture(capture) {
+        if (!capture || capture.recorder.state !== 'paused') return;
+        
+        capture.recorder.resume();
+        capture.pausedMs += Date.now() - capture.pausedAt;
+        capture.pausedAt = null;
+    }
+    
+    /**
+     * Chốt khoảng tạm dừng đang mở
+     * @param {object} session
+     * @returns {number} - Thời lượng (ms), 0 nếu không có khoảng nào đang mở
+     */
+    function closePause(session) {
+        var last = session.pauses[session.pauses.length - 1];
+        if (!last || last.to) return 0;
+        
+        last.to = new Date().toISOString();
+        last.durationMs = Math.max(0, Date.now() - Date.parse(last.from));
+        return last.durationMs;
+    }
+    
+    function getPausedMs(session) {
+        return session.pauses.reduce(function(sum, p) {
+            return sum + (p.to ? p.durationMs || 0 : Math.max(0, Date.now() - Date.parse(p.from)));
+        }, 0);
+    }
+    
+    function savePauses(session) {
+        if (state.capture && state.capture.session === session && state.capture.journal) {
+            JOURNAL.updateMeta(state.capture.journal, { pauses: session.pauses });
+        }
+    }
+    
+    /**
+     * Thẻ cần vẽ ở frame hiện tại: PAUSED suốt lúc tạm dừng, RESUMED đến hết hạn
+     * @returns {object|null}
+     */
+    function getPauseCard() {
+        var card = state.pauseCard;
+        if (!card) return null;
+        if (!state.paused && Date.now() >= card.until) {
+            state.pauseCard = null;
+            return null;
+        }
+        return card;
+    }
+    
+    function formatClock(date) {
+        return pad(date.getHours()) + ':' + pad(date.getMinutes()) + ':' + pad(date.getSeconds());
+    }
+    
+    function formatSpan(ms) {
+        var seconds = Math.round(ms / 1000);
+        return Math.floor(seconds / 60) + ':' + pad(seconds % 60);
+    }
+    
+    async function handleRecordingStop(capture) {
+        // Giải phóng track video của canvas (track audio thuộc camera, giữ nguyên)
+        if (capture.canvasStream) {
+            capture.canvasStream.getVideoTracks().forEach(function(track) {
+                track.stop();
+            });
+        }
+        
+        if (capture.preRoll) return;
+        
+        var blob = null;
+        try {
+            if (capture.journal) {
+                blob = (await JOURNAL.assemble(capture.journal)).blob;
+            } else {
+                blob = new Blob(capture.chunks, { type: capture.codec.mimeType });
+            }
+            capture.chunks = [];
+            
+            if (blob.size > 0) {
+                await saveSegment(capture.session, {
+                    part: capture.part,
+                    codec: capture.codec,
+                    segmentStart: capture.segmentStart,
+                    segmentEnd: capture.segmentEnd,
+                    pausedMs: capture.pausedMs
+                }, blob, capture.journal);
+            }
+        } catch (e) {
+            console.error('[Recorder] Save error:', e);
+            triggerCallback('onError', { type: 'save', error: e });
+        } finally {
+            capture.session.pending--;
+            completeSession(capture.session);
+        }
+    }
+    
+    /**
+     * Lưu một segment vào thư mục (hoặc tải về) cùng manifest JSON và SHA-256
+     * @param {object} session
+     * @param {object} segment - { part, codec, segmentStart, segmentEnd, pausedMs }
+     * @param {Blob} blob
+     * @param {object|null} journal - Journal sẽ được xóa sau khi lưu xong
+     */
+    async function saveSegment(session, segment, blob, journal) {
+        var part = segment.part;
+        var codec = segment.codec;
+        var filename = session.fileBase + (part > 1 ? '_part' + part : '') + '.' + codec.ext;
+        
+        // WebM từ MediaRecorder không có Duration/Cues - ghi lại để tua được (trước khi hash)
+        if (codec.container === 'webm') {
+            try {
+                blob = await WEBM.makeSeekable(blob, {
+                    title: session.qrCode + (part > 1 ? ' (part ' + part + ')' : ''),
+                    date: segment.segmentStart,
+                    orderCode: session.qrCode,
+                    station: OVERLAY.getProfile().station,
+                    products: session.scans.filter(function(s) {
+                        return s.type === 'product';
+                    }).map(function(s) {
+                        return s.code;
+                    })
+                });
+            } catch (e) {
+                console.warn('[Recorder] WebM post-process skipped:', e);
+            }
+        }
+        
+        var hash = null;
+        try {
+            hash = await INTEGRITY.sha256(blob);
+        } catch (e) {
+            console.error('[Recorder] Hash error:', e);
+        }
+        
+        var saved = await writeFile(blob, filename);
+        state.lastSavedFile = filename;
+        
+        if (journal) {
+            // File tải về vẫn đọc từ journal một lúc - chờ rồi mới xóa
+            JOURNAL.discard(journal, saved ? 0 : JOURNAL_DOWNLOAD_GRACE_MS);
+        }
+        
+        var manifest = INTEGRITY.buildManifest({
+            filename: filename,
+            size: blob.size,
+            sha256: hash,
+            codec: codec,
+            orderCode: session.qrCode,
+            sessionId: session.id,
+            part: part,
+            startedAt: session.startTime,
+            stoppedAt: session.stopTime,
+            segmentStartedAt: segment.segmentStart,
+            segmentStoppedAt: segment.segmentEnd,
+            scans: session.scans,
+            preRollSeconds: part === 1 ? session.preRollSeconds : 0,
+            cameraLabel: session.cameraLabel,
+            cameraId: session.cameraId,
+            cameras: session.cameras,
+            cameraLayout: session.cameraLayout,
+            metaQR: session.metaQR,
+            clockAnomalies: session.clockAnomalies,
+            hiddenIntervals: session.hiddenIntervals,
+            cameraLosses: session.cameraLosses,
+            pauses: session.pauses,
+            autoStopped: session.autoStopped
+        });
+        var manifestFile = INTEGRITY.manifestName(filename);
+        
+        try {
+            await writeFile(new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' }), manifestFile);
+        } catch (e) {
+            console.error('[Recorder] Manifest save error:', e);
+            manifestFile = null;
+        }
+        
+        session.codec = codec;
+        session.files.push({
+            part: part,
+            filename: filename,
+            size: blob.size,
+            sizeMB: (blob.size / (1024 * 1024)).toFixed(2),
+            duration: Math.round(((segment.segmentEnd || Date.now()) - segment.segmentStart - (segment.pausedMs || 0)) / 1000),
+            sha256: hash,
+            manifest: manifestFile
+        });
+        
+        triggerCallback('onSegmentSaved', { qrCode: session.qrCode, part: part, filename: filename, sha256: hash });
+    }
+    
+    /**
+     * Khi mọi segment của session đã lưu xong thì báo onVideoSaved (một đơn, nhiều file)
+     */
+    function completeSession(session) {
+        if (!session.finished || session.pending > 0 || session.completed) return;
+        session.completed = true;
+        
+        if (session.files.length === 0) return;
+        
+        var files = session.files.sort(function(a, b) { return a.part - b.part; });
+        var totalSize = files.reduce(function(sum, f) { return sum + f.size; }, 0);
+        var metadata = session.metadata;
+        
+        triggerCallback('onVideoSaved', {
+            filename: files[0].filename,
+            files: files.map(function(f) {
+                return {
+                    part: f.part,
+                    filename: f.filename,
+                    sizeMB: f.sizeMB,
+                    duration: f.duration,
+                    sha256: f.sha256,
+                    manifest: f.manifest
+                };
+            }),
+            sha256: files[0].sha256,
+            scans: metadata.scans || session.scans,
+            size: (totalSize / (1024 * 1024)).toFixed(2),
+            duration: metadata.duration,
+            qrCode: metadata.qrCode,
+            productCount: metadata.productCount,
+            codec: session.codec.name,
+            mimeType: session.codec.mimeType,
+            preRollSeconds: metadata.preRollSeconds,
+            hiddenIntervals: metadata.hiddenIntervals || session.hiddenIntervals,
+            cameraLosses: metadata.cameraLosses || session.cameraLosses,
+            pauses: metadata.pauses || session.pauses,
+            snapshots: session.snapshots.filter(function(s) {
+                return s.size > 0 || !s.filename; // Bỏ ảnh chụp lỗi, giữ ảnh không lưu vì chưa chọn thư mục
+            }),
+            quality: metadata.quality || null,
+            autoStopped: metadata.autoStopped || null,
+            cameras: session.cameras,
+            cameraLayout: session.cameraLayout,
+            recovered: session.recovered
+        });
+    }
+    
+    /**
+     * Ghi file (video, manifest) vào thư mục đã chọn, không được thì tải về
+     * @returns {Promise<boolean>} - true nếu đã lưu vào thư mục
+     */
+    async function writeFile(blob, filename) {
+        if (await writeToFolder(blob, filename)) return true;
+        
+        var url = URL.createObjectURL(blob);
+        var a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        console.log('[Recorder] Downloaded: ' + filename);
+        return false;
+    }
+    
+    /**
+     * Chỉ ghi vào thư mục đã chọn (không tải về)
+     * @returns {Promise<boolean>}
+     */
+    async function writeToFolder(blob, filename) {
+        if (!state.folderHandle) return false;
+        
+        try {
+            var fileHandle = await state.folderHandle.getFileHandle(filename, { create: true });
+            var writable = await fileHandle.createWritable();
+            await writable.write(blob);
+            await writable.close();
+            console.log('[Recorder] Saved to folder: ' + filename);
+            return true;
+        } catch (e) {
+            console.error('[Recorder] Folder save error:', e);
+            return false;
+        }
+    }
+    
+    // ==================== Recovery ====================
+    
+    /**
+     * Khôi phục các bản ghi dang dở từ lần chạy trước (tab crash, mất điện...)
+     * Các segment cùng sessionId được gộp lại thành một đơn
+     * @param {FileSystemDirectoryHandle|null} folderHandle - null = OPFS
+     * @returns {Promise<number>} - Số đơn đã khôi phục
+     */
+    async function recoverPending(folderHandle) {
+        var activeIds = state.capture && state.capture.journal ? [state.capture.journal.id] : [];
+        var pending = await JOURNAL.listPending(folderHandle, activeIds);
+        var groups = {};
+        var order = [];
+        
+        for (var i = 0; i < pending.length; i++) {
+            var entry = pending[i];
+            var meta = entry.meta;
+            
+            if (meta.status === 'saved' || !meta.codec) {
+                await JOURNAL.discard(entry);
+                continue;
+            }
+            
+            var key = meta.sessionId || entry.id;
+            if (!groups[key]) {
+                groups[key] = [];
+                order.push(key);
+            }
+            groups[key].push(entry);
+        }
+        
+        var recovered = 0;
+        
+        for (var g = 0; g < order.length; g++) {
+            var entries = groups[order[g]].sort(function(a, b) {
+                return (a.meta.part || 1) - (b.meta.part || 1);
+            });
+            var first = entries[0].meta;
+            
+            var session = createSession(first.qrCode);
+            session.id = first.sessionId || session.id;
+            session.fileBase = first.fileBase || null; // Journal cũ chưa có: đặt theo file đã ghép
+            session.startTime = first.startTime;
+            session.cameraLabel = first.cameraLabel || '';
+            session.cameraId = first.cameraId || '';
+            session.cameras = first.cameras || [];
+            session.cameraLayout = first.cameraLayout || null;
+            session.preRollSeconds = first.preRollSeconds || 0;
+            session.metaQR = first.metaQR || null;
+            session.clockAnomalies = first.clockAnomalies || [];
+            session.hiddenIntervals = first.hiddenIntervals || [];
+            session.cameraLosses = first.cameraLosses || [];
+            session.pauses = first.pauses || [];
+            session.snapshots = first.snapshots || [];
+            session.recovered = true;
+            session.finished = true;
+            session.pending = entries.length;
+            session.metadata = {
+                qrCode: first.qrCode,
+                productCount: 0,
+                duration: 0,
+                preRollSeconds: first.preRollSeconds || 0
+            };
+            
+            for (var j = 0; j < entries.length; j++) {
+                var part = entries[j];
+                
+                try {
+                    var result = await JOURNAL.assemble(part);
+                    if (!session.fileBase) {
+                        session.fileBase = makeFileBase(new Date(result.lastModified), first.qrCode);
+                    }
+                    
+                    session.metadata.productCount = Math.max(session.metadata.productCount, part.meta.productCount || 0);
+                    session.metadata.duration = Math.max(0, Math.round((result.lastModified - first.startTime) / 1000));
+                    session.scans = part.meta.scans || session.scans;
+                    session.metadata.scans = session.scans;
+                    session.hiddenIntervals = part.meta.hiddenIntervals || session.hiddenIntervals;
+                    session.cameraLosses = part.meta.cameraLosses || session.cameraLosses;
+                    session.pauses = part.meta.pauses || session.pauses;
+                    session.snapshots = part.meta.snapshots || session.snapshots;
+                    session.cameras = part.meta.cameras || session.cameras;
+                    session.stopTime = result.lastModified;
+                    
+                    if (result.blob.size > 0) {
+                        console.log('[Recorder] Recovering: ' + part.id + ' (' + result.chunkCount + ' chunks)');
+                        await saveSegment(session, {
+                            part: part.meta.part || 1,
+                            codec: part.meta.codec,
+                            segmentStart: part.meta.segmentStart || first.startTime,
+                            segmentEnd: result.lastModified
+                        }, result.blob, part);
+                    } else {
+                        await JOURNAL.discard(part);
+                    }
+                } catch (e) {
+                    console.error('[Recorder] Recovery error: ' + part.id, e);
+                } finally {
+                    session.pending--;
+                }
+            }
+            
+            completeSession(session);
+            if (session.files.length > 0) recovered++;
+        }
+        
+        return recovered;
+    }
+    
+    /**
+     * Tên file chung cho mọi segment của một đơn: YYYY-MM-DD_HHMMSS_<QR>
+     */
+    function makeFileBase(date, qrCode) {
+        var dateStr = date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+        var timeStr = pad(date.getHours()) + pad(date.getMinutes()) + pad(date.getSeconds());
+        return dateStr + '_' + timeStr + '_' + sanitizeFilename(qrCode || 'NoQR');
+    }
+    
+    function sanitizeFilename(name) {
+        return name.replace(/[<>:"/\\|?*]/g, '_').substring(0, 50);
+    }
+    
+    // ==================== Folder Access ====================
+    
+    async function openFolder() {
+        try {
+            state.folderHandle = await window.showDirectoryPicker({ mode: 'readwrite' });
+            console.log('[Recorder] Folder selected: ' + state.folderHandle.name);
+            
+            // Thư mục này có thể còn bản ghi dang dở từ lần trước
+            recoverPending(state.folderHandle).catch(function(e) {
+                console.error('[Recorder] Folder recovery error:', e);
+            });
+            
+            return state.folderHandle.name;
+        } catch (e) {
+            console.log('[Recorder] Folder selection cancelled');
+            return null;
+        }
+    }
+    
+    // ==================== Display Functions ====================
+    
+    function showProgressBar(qrCode) {
+        state.displayQR = qrCode;
+        state.displayTime = Date.now();
+    }
+    
+    function addDetectedProduct(qrCode) {
+        if (state.detectedProducts.indexOf(qrCode) === -1) {
+            state.detectedProducts.push(qrCode);
+            
+            if (state.session) {
+                state.session.scans.push({ code: qrCode, type: 'product', at: new Date().toISOString() });
+                takeSnapshot(state.session, 'product', qrCode);
+            }
+            
+            if (state.capture && state.capture.journal) {
+                JOURNAL.updateMeta(state.capture.journal, {
+                    productCount: state.detectedProducts.length,
+                    scans: state.session ? state.session.scans : []
+                });
+            }
+        }
+        return state.detectedProducts.length;
+    }
+    
+    // ==================== Snapshots ====================
+    
+    /**
+     * Chụp JPEG toàn khung recordingCanvas (đã có vùng che + overlay) và lưu cạnh video
+     * Chỉ khi đã chọn thư mục lưu - không tải về từng ảnh mỗi lần quét sản phẩm.
+     * Chưa chọn thư mục: ảnh vẫn được ghi vào đơn (filename null, saved false) và báo onSnapshotSkipped một lần
+     * Ảnh được tính vào session.pending: đơn chỉ báo onVideoSaved khi ảnh đã ghi xong
+     * @param {object} session
+     * @param {string} kind - 'product' | 'stop'
+     * @param {string} code - Mã sản phẩm / mã đơn
+     */
+    async function takeSnapshot(session, kind, code) {
+        var canvas = state.recordingCanvas;
+        if (!canvas || !state.stream) return;
+        
+        var now = new Date();
+        var index = session.snapshots.length + 1;
+        var snapshot = {
+            kind: kind,
+            code: code || '',
+            at: now.toISOString(),
+            filename: session.fileBase + '_snap' + pad(index) + (kind === 'stop' ? '_end' : '') + '.jpg',
+            size: 0,
+            sha256: null,
+            saved: false
+        };
+        session.snapshots.push(snapshot);
+        
+        if (!state.folderHandle) {
+            snapshot.filename = null;
+            if (!state.snapshotWarned) {
+                state.snapshotWarned = true;
+                console.warn('[Recorder] Snapshots need a chosen folder, skipping');
+                triggerCallback('onSnapshotSkipped', { qrCode: session.qrCode, kind: kind, code: snapshot.code });
+            }
+            saveSnapshots(session);
+            return;
+        }
+        
+        session.pending++;
+        
+        try {
+            // toBlob chụp nội dung canvas ngay lúc gọi, mã hóa JPEG chạy nền
+            var blob = await new Promise(function(resolve) {
+                canvas.toBlob(resolve, 'image/jpeg', SNAPSHOT_QUALITY);
+            });
+            if (!blob) throw new Error('Canvas toBlob failed');
+            
+            snapshot.size = blob.size;
+            snapshot.sha256 = await INTEGRITY.sha256(blob);
+            snapshot.saved = await writeToFolder(blob, snapshot.filename);
+            saveSnapshots(session);
+        } catch (e) {
+            console.error('[Recorder] Snapshot error:', e);
+        } finally {
+            session.pending--;
+            completeSession(session);
+        }
+    }
+    
+    function saveSnapshots(session) {
+        if (state.capture && state.capture.session === session && state.capture.journal) {
+            JOURNAL.updateMeta(state.capture.journal, { snapshots: session.snapshots });
+        }
+    }
+    
+    /**
+     * Đọc lại file đã lưu trong thư mục (ảnh thumbnail lịch sử)
+     * @param {string} filename
+     * @returns {Promise<File|null>} - null khi chưa chọn thư mục / file đã bị xóa / đã tải về
+     */
+    async function readFile(filename) {
+        if (!state.folderHandle || !filename) return null;
+        try {
+            var fileHandle = await state.folderHandle.getFileHandle(filename);
+            return await fileHandle.getFile();
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    // ==================== Clock Check ====================
+    
+    /**
+     * Bắt đầu theo dõi đồng hồ hệ thống
+     * - Trong phiên: so Date.now() với performance.now() (đơn điệu, không bị đổi giờ)
+     *   performance.now() dừng khi máy ngủ/ngủ đông trên nhiều hệ điều hành nên giờ nhảy tới
+     *   được ghi riêng là 'sleep', không tính là chỉnh giờ (chỉnh tới rồi sửa lại vẫn bị bắt khi lùi)
+     * - Giữa các phiên: so với thời điểm lớn nhất từng thấy (lưu localStorage)
+     */
+    function startClockCheck() {
+        var clock = state.clock;
+        var saved = STORAGE.loadClock();
+        
+        clock.wallStart = Date.now();
+        clock.perfStart = performance.now();
+        clock.drift = 0;
+        clock.maxWall = Math.max(saved.maxWall || 0, clock.wallStart);
+        clock.savedWall = saved.maxWall || 0;
+        
+        if (clock.wallStart < (saved.maxWall || 0) - CLOCK_BACKWARD_TOLERANCE_MS) {
+            // Báo sau khi app đã đăng ký callback
+            Promise.resolve().then(function() {
+                recordClockAnomaly('session-backward', clock.wallStart - saved.maxWall);
+            });
+        }
+        
+        if (clock.timer) clearInterval(clock.timer);
+        clock.timer = setInterval(checkClock, CLOCK_CHECK_INTERVAL);
+    }
+    
+    function checkClock() {
+        var clock = state.clock;
+        var wall = Date.now();
+        var drift = (wall - clock.wallStart) - (performance.now() - clock.perfStart);
+        var jump = drift - clock.drift;
+        clock.drift = drift;
+        
+        if (jump < -CLOCK_BACKWARD_TOLERANCE_MS) {
+            recordClockAnomaly('backward', jump);
+        } else if (jump > CLOCK_FORWARD_TOLERANCE_MS) {
+            recordClockAnomaly('sleep', jump);
+        }
+        
+        if (wall > clock.maxWall) {
+            clock.maxWall = wall;
+        }
+        if (clock.maxWall - clock.savedWall >= CLOCK_SAVE_INTERVAL_MS) {
+            clock.savedWall = clock.maxWall;
+            STORAGE.saveClock(Object.assign(STORAGE.loadClock(), { maxWall: clock.maxWall }));
+        }
+    }
+    
+    /**
+     * Ghi nhận bất thường vào đơn đang ghi (nếu có) và báo cho app
+     * @param {string} type - 'backward' | 'session-backward' | 'behind' | 'sleep' (máy ngủ, không phải chỉnh giờ)
+     * @param {number} deltaMs
+     */
+    function recordClockAnomaly(type, deltaMs) {
+        var anomaly = {
+            type: type,
+            deltaMs: Math.round(deltaMs),
+            at: new Date().toISOString(),
+            uptimeMs: Math.round(performance.now())
+        };
+        
+        console.warn('[Recorder] Clock anomaly:', anomaly);
+        
+        if (state.isRecording && state.session) {
+            state.session.clockAnomalies.push(anomaly);
+            
+            if (state.capture && state.capture.journal) {
+                JOURNAL.updateMeta(state.capture.journal, { clockAnomalies: state.session.clockAnomalies });
+            }
+        }
+        
+        triggerCallback('onClockAnomaly', anomaly);
+    }
+    
+    /**
+     * Giờ hiện tại còn sớm hơn thời điểm lớn nhất từng thấy -> đồng hồ đã bị chỉnh lùi
+     * @returns {Array} - Bất thường cho đơn mới ([] nếu bình thường)
+     */
+    function getClockBehind() {
+        var behind = Date.now() - state.clock.maxWall;
+        if (behind >= -CLOCK_BACKWARD_TOLERANCE_MS) return [];
+        
+        return [{
+            type: 'behind',
+            deltaMs: Math.round(behind),
+            at: new Date().toISOString(),
+            uptimeMs: Math.round(performance.now())
+        }];
+    }
+    
+    /**
+     * Người dùng xác nhận giờ hiện tại là đúng: hạ mốc lớn nhất về bây giờ.
+     * Mốc sai (máy từng bị chỉnh giờ tới) không còn làm mọi đơn sau bị đánh dấu 'behind'.
+     * Mỗi lần xác nhận được lưu lại cùng mốc cũ.
+     * @returns {boolean} - false khi đang ghi đơn
+     */
+    function acknowledgeClock() {
+        if (state.isRecording) return false;
+        
+        var clock = state.clock;
+        var saved = STORAGE.loadClock();
+        var now = Date.now();
+        var acks = (saved.acks || []).concat([{
+            at: new Date(now).toISOString(),
+            previousMaxWall: clock.maxWall
+        }]).slice(-20);
+        
+        console.warn('[Recorder] Clock mark reset: ' + new Date(clock.maxWall).toISOString() + ' -> ' + new Date(now).toISOString());
+        
+        clock.maxWall = now;
+        clock.savedWall = now;
+        STORAGE.saveClock({ maxWall: now, acks: acks });
+        return true;
+    }
+    
+    function isClockBehind() {
+        return getClockBehind().length > 0;
+    }
+    
+    function formatClockAlert(anomalies) {
+        var tampered = (anomalies || []).filter(function(a) { return a.type !== 'sleep'; });
+        if (tampered.length === 0) return null;
+        
+        var last = tampered[tampered.length - 1];
+        var seconds = Math.round(Math.abs(last.deltaMs) / 1000);
+        var delta = (last.deltaMs < 0 ? '-' : '+') + Math.floor(seconds / 60) + 'm' + pad(seconds % 60) + 's';
+        
+        return CONFIG.TEXTS.CLOCK_ALERT + ': ' + (CONFIG.TEXTS.CLOCK_TYPES[last.type] || last.type) + ' ' + delta;
+    }
+    
+    // ==================== Settings ====================
+    
+    /**
+     * Chọn preset (key có sẵn hoặc 'custom:<tên>'); kích thước canvas đổi khi mở lại camera
+     * @param {string} quality
+     */
+    function setQuality(quality) {
+        state.quality = quality;
+        updateScanInterval(PRESETS.get(quality));
+    }
+    
+    function updateScanInterval(preset) {
+        var scanFPS = Math.max(1, preset.scanFPS * state.performance.scanFPS);
+        state.scanInterval = Math.round(1000 / scanFPS);
+    }
+    
+    /**
+     * Preset của canvas đang dùng (preset đã chọn nếu camera chưa bật)
+     * @returns {object}
+     */
+    function getPreset() {
+        return state.isCameraOn && state.canvasPreset ? state.canvasPreset : PRESETS.get(state.quality);
+    }
+    
+    /**
+     * Áp dụng hệ số giảm tải của governor
+     * Quét: ngay; bitrate: từ lần ghi kế tiếp; độ phân giải: ngay nếu không ghi, nếu đang ghi thì sau khi dừng
+     * @param {object} adjust - { scanFPS, resolution, bitrate } (QRGovernor.getAdjustment)
+     */
+    function setPerformance(adjust) {
+        state.performance = {
+            scanFPS: adjust.scanFPS || 1,
+            resolution: adjust.resolution || 1,
+            bitrate: adjust.bitrate || 1
+        };
+        updateScanInterval(getPreset());
+        
+        if (!syncCanvasSize() && !state.isRecording) {
+            // Bitrate mới cho vòng đệm pre-roll
+            disarmPreRoll();
+            armPreRoll();
+        }
+    }
+    
+    function setBitrate(bitrate) {
+        state.bitrate = bitrate;
+    }
+    
+    function setContainer(container) {
+        if (CONFIG.CONTAINER_OPTIONS[container]) {
+            state.container = container;
+        }
+    }
+    
+    /**
+     * Chọn bộ mã hóa; WebCodecs không hỗ trợ thì giữ MediaRecorder
+     * @param {string} encoder - 'mediarecorder' | 'webcodecs'
+     * @returns {Promise<boolean>} - false nếu đã quay về MediaRecorder
+     */
+    async function setEncoder(encoder) {
+        var ok = true;
+        
+        if (encoder === 'webcodecs') {
+            var preset = PRESETS.get(state.quality);
+            state.webCodecs = await ENCODER.probe(preset, CONFIG.BITRATE_OPTIONS[state.bitrate].value);
+            ok = !!state.webCodecs;
+            if (!ok) {
+                console.warn('[Recorder] WebCodecs not supported, using MediaRecorder');
+            }
+        }
+        
+        state.encoder = ok ? encoder : 'mediarecorder';
+        
+        if (!state.isRecording) {
+            disarmPreRoll();
+            armPreRoll();
+        }
+        return ok;
+    }
+    
+    /**
+     * Khoảng cách giữa các keyframe (cũng là độ dài mỗi chunk)
+     * @param {number} seconds
+     */
+    function setKeyframeInterval(seconds) {
+        state.keyframeInterval = seconds;
+        
+        if (!state.isRecording) {
+            disarmPreRoll();
+            armPreRoll();
+        }
+    }
+    
+    function setAudio(enabled) {
+        state.audio = enabled;
+        if (state.isCameraOn) {
+            restartAudio();
+        }
+    }
+    
+    // ==================== Microphone ====================
+    
+    /**
+     * Mở micro khi bật ghi âm, lỗi micro không chặn ghi hình
+     */
+    async function openAudio() {
+        if (!state.audio) {
+            AUDIO.close();
+            return;
+        }
+        try {
+            await AUDIO.open();
+        } catch (e) {
+            console.error('[Recorder] Microphone error:', e);
+            triggerCallback('onError', { type: 'audio', error: e });
+        }
+    }
+    
+    /**
+     * Mở lại micro theo cài đặt mới và chạy lại vòng đệm pre-roll với track mới
+     * Đang ghi thì để sau khi dừng (track đang nằm trong bản ghi)
+     * @returns {Promise<boolean>} - false khi phải chờ đơn hiện tại dừng
+     */
+    async function restartAudio() {
+        if (state.isRecording) {
+            state.audioRestart = true;
+            return false;
+        }
+        state.audioRestart = false;
+        
+        disarmPreRoll();
+        await openAudio();
+        if (!syncCanvasSize()) {
+            armPreRoll();
+        }
+        triggerCallback('onAudioChange', { open: AUDIO.isOpen(), label: AUDIO.getLabel() });
+        return true;
+    }
+    
+    /**
+     * Bật/tắt QR metadata trên video (áp dụng cho đơn tiếp theo)
+     * @param {boolean} enabled
+     */
+    function setMetaQR(enabled) {
+        state.metaQR = enabled;
+    }
+    
+    function setPostBuffer(ms) {
+        state.postBuffer = ms;
+    }
+    
+    /**
+     * Đặt độ dài pre-roll
+     * @param {number} seconds - 0 = tắt
+     */
+    function setPreRoll(seconds) {
+        state.preRoll = seconds;
+        
+        if (!state.isRecording) {
+            disarmPreRoll();
+            armPreRoll();
+        }
+    }
+    
+    /**
+     * Giới hạn mỗi file, vượt quá sẽ tự chuyển sang file _partN
+     * @param {number} minutes - 0 = không giới hạn
+     * @param {number} mb - 0 = không giới hạn
+     */
+    function setSegmentLimits(minutes, mb) {
+        if (minutes !== undefined && minutes !== null) state.maxSegmentMinutes = minutes;
+        if (mb !== undefined && mb !== null) state.maxSegmentMB = mb;
+    }
+    
+    function setTimestampPosition(position) {
         state.timestampPos = position;
     }
     
+    /**
+     * Đổi template overlay (áp dụng từ frame tiếp theo; đang ghi thì chờ stopRecording)
+     * @param {object} template - Xem QROverlay
+     * @returns {boolean} - Đã áp dụng ngay
+     */
+    function setOverlayTemplate(template) {
+        if (state.isRecording) {
+            state.pendingOverlay = template;
+            return false;
+        }
+        state.overlayTemplate = template;
+        state.pendingOverlay = null;
+        return true;
+    }
+    
     function setVideoElement(element) {
         videoElement = element;
     }
     
+    /**
+     * Đọc lại vùng che của camera đang mở (sau khi mở camera hoặc sửa vùng che)
+     * Đang ghi thì cập nhật luôn vào danh sách camera của đơn (manifest)
+     */
+    function refreshMasks() {
+        state.masks.main = MASKS.get(CAMERA.getDeviceId(getVideoTrack('main')));
+        state.masks.second = MASKS.get(CAMERA.getDeviceId(getVideoTrack('second')));
+        noteSessionSources();
+    }
+    
+    function setSecondVideoElement(element) {
+        secondVideoElement = element;
+    }
+    
+    /**
+     * Cách ghép camera 2 vào video
+     * @param {string} layout - Key của CONFIG.CAMERA_LAYOUTS
+     */
+    function setCameraLayout(layout) {
+        if (!CONFIG.CAMERA_LAYOUTS[layout]) return;
+        state.cameraLayout = layout;
+        noteSessionSources();
+    }
+    
+    /**
+     * Camera dùng để quét QR
+     * @param {string} source - 'main' | 'second'
+     */
+    function setScanSource(source) {
+        if (!CONFIG.SCAN_SOURCES[source]) return;
+        state.scanSource = source;
+        noteSessionSources();
+    }
+    
+    // ==================== Initialize ====================
+    
+    function init() {
+        // Xin quyền lưu trữ bền vững để OPFS không bị trình duyệt dọn khi thiếu dung lượng
+        if (navigator.storage && navigator.storage.persist) {
+            navigator.storage.persist().catch(function() {});
+        }
+        
+        if (!state.overlayTemplate) {
+            state.overlayTemplate = OVERLAY.getActive();
+        }
+        
+        startClockCheck();
+        
+        state.hiddenSince = document.hidden ? Date.now() : null;
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', handleDeviceChange);
+        }
+        
+        recoverPending(null).then(function(count) {
+            if (count > 0) {
+                console.log('[Recorder] Recovered ' + count + ' recording(s)');
+            }
+        }).catch(function(e) {
+            console.error('[Recorder] Recovery error:', e);
+        });
+        
+        console.log('[Recorder] Initialized');
+    }
+    
     // ==================== Callbacks ====================
     
     function on(event, callback) {
@@ -613,24 +2592,80 @@ var QRRecorder = (function() {
         return {
             isCameraOn: state.isCameraOn,
             isRecording: state.isRecording,
+            isPaused: !!state.paused,
             currentFPS: state.currentFPS,
             currentQR: state.currentQR,
             scanRate: state.actualScanRate,
-            recordingDuration: state.isRecording ? Math.round((Date.now() - state.recordingStartTime) / 1000) : 0,
+            recordingDuration: state.isRecording ? Math.round((Date.now() - state.recordingStartTime - getPausedMs(state.session)) / 1000) : 0,
             productCount: state.detectedProducts.length,
+            quality: state.quality,
+            postBuffer: state.postBuffer,
+            secondCameraId: state.secondCameraId,
+            cameraLayout: state.cameraLayout,
+            scanSource: state.scanSource,
+            cameraLost: !!state.cameraLost,
+            container: state.container,
+            encoder: state.encoder,
+            codec: state.currentCodec ? state.currentCodec.name : null,
             folderName: state.folderHandle ? state.folderHandle.name : null,
             lastSavedFile: state.lastSavedFile
         };
     }
     
+    /**
+     * Số đo mỗi giây cho governor
+     * @returns {object} - { fps, targetFps, scanRate, targetScanRate, droppedFrames, preset, isRecording }
+     */
+    function getRenderStats() {
+        var preset = getPreset();
+        return {
+            fps: state.currentFPS,
+            targetFps: preset.fps,
+            scanRate: state.actualScanRate,
+            targetScanRate: Math.round(1000 / state.scanInterval),
+            droppedFrames: state.droppedFrames,
+            preset: state.quality,
+            isRecording: state.isRecording
+        };
+    }
+    
     function getCanvas() {
         return state.recordingCanvas;
     }
     
+    /**
+     * Video element để quét QR (camera 2 nếu đã chọn và đang bật)
+     * @returns {HTMLVideoElement|null}
+     */
+    function getScanVideo() {
+        if (state.scanSource === 'second' && state.secondStream && secondVideoElement) {
+            return secondVideoElement;
+        }
+        return videoElement;
+    }
+    
+    /**
+     * Vùng cắt của preset trên video quét (chỉ camera 1 bị cắt)
+     * @returns {object|null} - { x, y, w, h } tỉ lệ 0-1
+     */
+    function getScanRegion() {
+        return getScanVideo() === videoElement ? getPreset().crop : null;
+    }
+    
     function getStream() {
         return state.stream;
     }
     
+    /**
+     * Track video của camera 1 hoặc camera 2
+     * @param {string} role - 'main' | 'second'
+     * @returns {MediaStreamTrack|null}
+     */
+    function getVideoTrack(role) {
+        var stream = role === 'second' ? state.secondStream : state.stream;
+        return stream ? stream.getVideoTracks()[0] || null : null;
+    }
+    
     // ==================== Public API ====================
     
     return {
@@ -638,13 +2673,19 @@ var QRRecorder = (function() {
         getCameras: getCameras,
         startCamera: startCamera,
         stopCamera: stopCamera,
+        startSecondCamera: startSecondCamera,
+        stopSecondCamera: stopSecondCamera,
         
         // Recording
         startRecording: startRecording,
         stopRecording: stopRecording,
+        pauseRecording: pauseRecording,
+        resumeRecording: resumeRecording,
+        isPaused: function() { return !!state.paused; },
         
         // Folder
         openFolder: openFolder,
+        readFile: readFile,
         
         // Display
         showProgressBar: showProgressBar,
@@ -653,17 +2694,45 @@ var QRRecorder = (function() {
         // Settings
         setQuality: setQuality,
         setBitrate: setBitrate,
+        setPerformance: setPerformance,
+        setContainer: setContainer,
         setAudio: setAudio,
+        restartAudio: restartAudio,
         setPostBuffer: setPostBuffer,
+        setPreRoll: setPreRoll,
+        setSegmentLimits: setSegmentLimits,
         setTimestampPosition: setTimestampPosition,
+        setOverlayTemplate: setOverlayTemplate,
+        renderPreview: renderPreview,
+        setEncoder: setEncoder,
+        setKeyframeInterval: setKeyframeInterval,
+        setMetaQR: setMetaQR,
         setVideoElement: setVideoElement,
+        setSecondVideoElement: setSecondVideoElement,
+        refreshMasks: refreshMasks,
+        setCameraLayout: setCameraLayout,
+        setScanSource: setScanSource,
+        
+        // Clock
+        acknowledgeClock: acknowledgeClock,
+        isClockBehind: isClockBehind,
         
         // Events
         on: on,
         
+        // Init
+        init: init,
+        
         // Getters
         getState: getState,
+        isCameraOn: function() { return state.isCameraOn; },
+        isRecording: function() { return state.isRecording; },
         getCanvas: getCanvas,
-        getStream: getStream
+        getScanVideo: getScanVideo,
+        getScanRegion: getScanRegion,
+        getPreset: getPreset,
+        getRenderStats: getRenderStats,
+        getStream: getStream,
+        getVideoTrack: getVideoTrack
     };
 })();
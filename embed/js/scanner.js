@@ -6,6 +6,7 @@
  * - Scan locking (prevent duplicates)
  * - Audio beep feedback
  * - Product counting
+ * - Motion detection on the scan canvas (idle packing area = no motion)
  * 
  * Depends on: config.js
  */
@@ -26,9 +27,17 @@ var QRScanner = (function() {
         scanInterval: 333,
         actualScanCount: 0,
         lastScanCountTime: 0,
-        actualScanRate: 0
+        actualScanRate: 0,
+        motionLevel: 0,
+        lastMotionTime: 0
     };
     
+    // Motion: so ảnh xám (lấy 1/4 điểm mỗi chiều) của hai lần quét liên tiếp
+    var MOTION_STEP = 4;
+    var MOTION_PIXEL_DIFF = 24;        // Chênh > 24/255 mới tính là điểm đổi (bỏ qua nhiễu camera)
+    var MOTION_MIN_FRACTION = 0.005;   // > 0.5% điểm đổi = có chuyển động
+    var motionPrev = null;
+    
     // Canvas for scanning
     var scanCanvas = null;
     var scanCtx = null;
@@ -36,6 +45,7 @@ var QRScanner = (function() {
     // Audio context for beep
     var audioCtx = null;
     var beepVolume = 80;
+    var ALARM_MIN_VOLUME = 0.5; // Báo động vẫn kêu khi đã tắt / vặn nhỏ tiếng bíp
     
     // Callbacks
     var callbacks = {
@@ -105,6 +115,35 @@ var QRScanner = (function() {
         }
     }
     
+    /**
+     * Báo động (khác hẳn tiếng bíp quét): ba hồi trầm dần - dùng khi mất camera
+     * Không theo âm lượng bíp xuống dưới ALARM_MIN_VOLUME
+     */
+    function alarm() {
+        try {
+            initAudio();
+            if (!audioCtx) return;
+            
+            var vol = Math.max(ALARM_MIN_VOLUME, beepVolume / 100);
+            
+            [880, 660, 440].forEach(function(freq, i) {
+                var start = audioCtx.currentTime + i * 0.3;
+                var o = audioCtx.createOscillator();
+                var g = audioCtx.createGain();
+                o.connect(g);
+                g.connect(audioCtx.destination);
+                o.frequency.value = freq;
+                o.type = 'sawtooth';
+                g.gain.setValueAtTime(vol * 0.6, start);
+                g.gain.exponentialRampToValueAtTime(0.01, start + 0.25);
+                o.start(start);
+                o.stop(start + 0.25);
+            });
+        } catch (e) {
+            console.warn('[Scanner] Alarm error:', e);
+        }
+    }
+    
     /**
      * Set beep volume
      * @param {number} volume - 0-100
@@ -127,6 +166,7 @@ var QRScanner = (function() {
         }
         scanCanvas.width = width;
         scanCanvas.height = height;
+        motionPrev = null;
     }
     
     // ==================== QR Detection ====================
@@ -134,9 +174,10 @@ var QRScanner = (function() {
     /**
      * Scan video frame for QR codes
      * @param {HTMLVideoElement} video - Video element to scan
+     * @param {object} [region] - Chỉ quét vùng { x, y, w, h } (tỉ lệ 0-1, preset cắt vùng)
      * @returns {string|null} - Detected QR code or null
      */
-    function scanFrame(video) {
+    function scanFrame(video, region) {
         if (!video || !scanCanvas || !scanCtx) return null;
         if (video.readyState < 2) return null;
         
@@ -168,10 +209,18 @@ var QRScanner = (function() {
         
         try {
             // Draw video frame to canvas
-            scanCtx.drawImage(video, 0, 0, scanCanvas.width, scanCanvas.height);
+            if (region) {
+                scanCtx.drawImage(video,
+                    region.x * video.videoWidth, region.y * video.videoHeight,
+                    region.w * video.videoWidth, region.h * video.videoHeight,
+                    0, 0, scanCanvas.width, scanCanvas.height);
+            } else {
+                scanCtx.drawImage(video, 0, 0, scanCanvas.width, scanCanvas.height);
+            }
             
             // Get image data
             var imageData = scanCtx.getImageData(0, 0, scanCanvas.width, scanCanvas.height);
+            measureMotion(imageData, now);
             
             // Try jsQR library
             if (typeof jsQR !== 'undefined') {
@@ -196,6 +245,38 @@ var QRScanner = (function() {
         return null;
     }
     
+    // ==================== Motion ====================
+    
+    /**
+     * Tỉ lệ điểm ảnh thay đổi so với lần quét trước
+     * @param {ImageData} imageData - Ảnh vừa quét
+     * @param {number} now - Date.now()
+     */
+    function measureMotion(imageData, now) {
+        var data = imageData.data;
+        var cols = Math.floor(imageData.width / MOTION_STEP);
+        var rows = Math.floor(imageData.height / MOTION_STEP);
+        var gray = new Uint8Array(cols * rows);
+        var prev = motionPrev && motionPrev.length === gray.length ? motionPrev : null;
+        var changed = 0;
+        
+        for (var row = 0; row < rows; row++) {
+            for (var col = 0; col < cols; col++) {
+                var i = row * cols + col;
+                var p = ((row * MOTION_STEP) * imageData.width + col * MOTION_STEP) * 4;
+                gray[i] = (data[p] * 77 + data[p + 1] * 150 + data[p + 2] * 29) >> 8;
+                if (prev && Math.abs(gray[i] - prev[i]) > MOTION_PIXEL_DIFF) changed++;
+            }
+        }
+        motionPrev = gray;
+        
+        if (!prev) return;
+        state.motionLevel = changed / gray.length;
+        if (state.motionLevel > MOTION_MIN_FRACTION) {
+            state.lastMotionTime = now;
+        }
+    }
+    
     /**
      * Process detected QR code
      * @param {string} qrData - QR code data
@@ -338,6 +419,8 @@ var QRScanner = (function() {
         getProducts: function() { return state.detectedProducts.slice(); },
         getScanRate: function() { return state.actualScanRate; },
         getBlockTimeRemaining: getBlockTimeRemaining,
+        getMotionLevel: function() { return state.motionLevel; },
+        getLastMotionTime: function() { return state.lastMotionTime; },
         
         // Actions
         setupCanvas: setupCanvas,
@@ -346,6 +429,7 @@ var QRScanner = (function() {
         unblock: unblock,
         resetSession: resetSession,
         beep: beep,
+        alarm: alarm,
         setBeepVolume: setBeepVolume,
         
         // Scan interval
@@ -0,0 +1,128 @@
+/**
+ * QR Scanner v7.25 - Scheduler Module
+ *
+ * Bộ đếm nhịp không bị trình duyệt bóp khi tab bị ẩn / thu nhỏ:
+ * - setInterval trên main thread bị giới hạn 1 lần/giây (và 1 lần/phút sau 5 phút ẩn)
+ * - requestAnimationFrame dừng hẳn khi tab ẩn
+ * - Timer trong Worker vẫn chạy đúng nhịp -> Worker gửi tick về main thread
+ *
+ * Không tạo được Worker (CSP chặn blob:) thì dùng setInterval thường.
+ *
+ * Depends on: (none)
+ */
+
+var QRScheduler = (function() {
+    'use strict';
+    
+    var WORKER_SOURCE = [
+        'var timers = {};',
+        'onmessage = function(e) {',
+        '    var msg = e.data;',
+        '    if (msg.cmd === "start") {',
+        '        timers[msg.id] = setInterval(function() { postMessage(msg.id); }, msg.interval);',
+        '    } else if (msg.cmd === "stop") {',
+        '        clearInterval(timers[msg.id]);',
+        '        delete timers[msg.id];',
+        '    }',
+        '};'
+    ].join('\n');
+    
+    var worker = null;
+    var workerFailed = false;
+    var timers = {};
+    var nextId = 1;
+    
+    // ==================== Worker ====================
+    
+    function getWorker() {
+        if (worker || workerFailed) return worker;
+        
+        try {
+            var url = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+            worker = new Worker(url);
+            URL.revokeObjectURL(url);
+            
+            worker.onmessage = function(e) {
+                var timer = timers[e.data];
+                if (timer) timer.callback();
+            };
+            worker.onerror = function(e) {
+                console.warn('[Scheduler] Worker error, falling back to setInterval:', e.message || e);
+                fallback();
+            };
+        } catch (e) {
+            console.warn('[Scheduler] Worker unavailable, using setInterval:', e);
+            workerFailed = true;
+            worker = null;
+        }
+        
+        return worker;
+    }
+    
+    /**
+     * Worker hỏng giữa chừng: chuyển mọi timer đang chạy sang setInterval
+     */
+    function fallback() {
+        if (worker) worker.terminate();
+        worker = null;
+        workerFailed = true;
+        
+        Object.keys(timers).forEach(function(id) {
+            var timer = timers[id];
+            if (timer.native === null) {
+                timer.native = setInterval(timer.callback, timer.interval);
+            }
+        });
+    }
+    
+    // ==================== Timers ====================
+    
+    /**
+     * Gọi callback đều đặn, kể cả khi tab bị ẩn
+     * @param {Function} callback
+     * @param {number} intervalMs
+     * @returns {number} - Id để dừng bằng stop()
+     */
+    function start(callback, intervalMs) {
+        var id = nextId++;
+        var interval = Math.max(1, Math.round(intervalMs));
+        var timer = { callback: callback, interval: interval, native: null };
+        timers[id] = timer;
+        
+        var w = getWorker();
+        if (w) {
+            w.postMessage({ cmd: 'start', id: id, interval: interval });
+        } else {
+            timer.native = setInterval(callback, interval);
+        }
+        
+        return id;
+    }
+    
+    /**
+     * Dừng timer
+     * @param {number} id
+     */
+    function stop(id) {
+        var timer = timers[id];
+        if (!timer) return;
+        delete timers[id];
+        
+        if (timer.native !== null) {
+            clearInterval(timer.native);
+        } else if (worker) {
+            worker.postMessage({ cmd: 'stop', id: id });
+        }
+    }
+    
+    // ==================== Public API ====================
+    return {
+        start: start,
+        stop: stop
+    };
+})();
+
+// Export for Node.js (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRScheduler;
+}
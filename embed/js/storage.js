@@ -200,6 +200,173 @@ var QRStorage = (function() {
         set(KEYS.ORDERS, []);
     }
     
+    // ==================== Ledger Storage ====================
+    
+    /**
+     * Load ledger state (head hash, anchor, events)
+     * @returns {object} - { head, anchor, seq, events }
+     */
+    function loadLedger() {
+        var ledger = get(KEYS.LEDGER);
+        return ledger && typeof ledger === 'object' ? ledger : { head: null, anchor: null, seq: 0, events: [] };
+    }
+    
+    /**
+     * Save ledger state
+     * @param {object} ledger
+     */
+    function saveLedger(ledger) {
+        set(KEYS.LEDGER, ledger);
+    }
+    
+    // ==================== Overlay Storage ====================
+    
+    /**
+     * Load overlay templates
+     * @returns {object} - { active, templates: { name: template } }
+     */
+    function loadOverlayTemplates() {
+        var data = get(KEYS.OVERLAY_TEMPLATES);
+        return data && typeof data === 'object' ? data : { active: null, templates: {} };
+    }
+    
+    /**
+     * Save overlay templates
+     * @param {object} data
+     */
+    function saveOverlayTemplates(data) {
+        set(KEYS.OVERLAY_TEMPLATES, data);
+    }
+    
+    /**
+     * Load station profile (station, operator, shop)
+     * @returns {object}
+     */
+    function loadProfile() {
+        return get(KEYS.PROFILE) || {};
+    }
+    
+    /**
+     * Save station profile
+     * @param {object} profile
+     */
+    function saveProfile(profile) {
+        set(KEYS.PROFILE, profile);
+    }
+    
+    // ==================== Clock Storage ====================
+    
+    /**
+     * Load last observed wall-clock time (clock tamper check)
+     * @returns {object} - { maxWall, acks: [{ at, previousMaxWall }] } - acks = các lần người dùng xác nhận giờ
+     */
+    function loadClock() {
+        return get(KEYS.CLOCK) || { maxWall: 0 };
+    }
+    
+    /**
+     * Save last observed wall-clock time
+     * @param {object} clock - { maxWall, acks }
+     */
+    function saveClock(clock) {
+        set(KEYS.CLOCK, clock);
+    }
+    
+    // ==================== Camera Settings Storage ====================
+    
+    /**
+     * Load camera controls saved per deviceId
+     * @returns {object} - { deviceId: { zoom, focusMode, ... } }
+     */
+    function loadCameraSettings() {
+        var data = get(KEYS.CAMERA_SETTINGS);
+        return data && typeof data === 'object' ? data : {};
+    }
+    
+    /**
+     * Save camera controls
+     * @param {object} settings - { deviceId: { ... } }
+     */
+    function saveCameraSettings(settings) {
+        set(KEYS.CAMERA_SETTINGS, settings);
+    }
+    
+    // ==================== Video Preset Storage ====================
+    
+    /**
+     * Load custom video presets
+     * @returns {object} - { active, presets: { key: preset } }
+     */
+    function loadVideoPresets() {
+        var data = get(KEYS.VIDEO_PRESETS);
+        return data && typeof data === 'object' ? data : { active: null, presets: {} };
+    }
+    
+    /**
+     * Save custom video presets
+     * @param {object} data
+     */
+    function saveVideoPresets(data) {
+        set(KEYS.VIDEO_PRESETS, data);
+    }
+    
+    // ==================== Performance Governor Storage ====================
+    
+    /**
+     * Load governor state
+     * @returns {object} - { enabled, log: [] }
+     */
+    function loadGovernor() {
+        var data = get(KEYS.GOVERNOR);
+        return data && typeof data === 'object' ? data : { enabled: false, log: [] };
+    }
+    
+    /**
+     * Save governor state
+     * @param {object} data
+     */
+    function saveGovernor(data) {
+        set(KEYS.GOVERNOR, data);
+    }
+    
+    // ==================== Privacy Mask Storage ====================
+    
+    /**
+     * Load privacy masks
+     * @returns {object} - { deviceId: [zones] }
+     */
+    function loadMasks() {
+        var data = get(KEYS.MASKS);
+        return data && typeof data === 'object' ? data : {};
+    }
+    
+    /**
+     * Save privacy masks
+     * @param {object} masks
+     */
+    function saveMasks(masks) {
+        set(KEYS.MASKS, masks);
+    }
+    
+    // ==================== Microphone Storage ====================
+    
+    /**
+     * Load microphone settings
+     * @returns {object} - { deviceId, noiseSuppression, echoCancellation, autoGainControl }
+     */
+    function loadAudio() {
+        var data = get(KEYS.AUDIO);
+        return data && typeof data === 'object' ? data : {};
+    }
+    
+    /**
+     * Save microphone settings
+     * @param {object} settings
+     */
+    function saveAudio(settings) {
+        set(KEYS.AUDIO, settings);
+    }
+    
     // ==================== Daily Usage Storage ====================
     
     /**
@@ -327,6 +494,40 @@ var QRStorage = (function() {
         saveOrders: saveOrders,
         clearOrders: clearOrders,
         
+        // Ledger
+        loadLedger: loadLedger,
+        saveLedger: saveLedger,
+        
+        // Overlay
+        loadOverlayTemplates: loadOverlayTemplates,
+        saveOverlayTemplates: saveOverlayTemplates,
+        loadProfile: loadProfile,
+        saveProfile: saveProfile,
+        
+        // Clock
+        loadClock: loadClock,
+        saveClock: saveClock,
+        
+        // Camera settings
+        loadCameraSettings: loadCameraSettings,
+        saveCameraSettings: saveCameraSettings,
+        
+        // Video presets
+        loadVideoPresets: loadVideoPresets,
+        saveVideoPresets: saveVideoPresets,
+        
+        // Performance governor
+        loadGovernor: loadGovernor,
+        saveGovernor: saveGovernor,
+        
+        // Privacy masks
+        loadMasks: loadMasks,
+        saveMasks: saveMasks,
+        
+        // Microphone
+        loadAudio: loadAudio,
+        saveAudio: saveAudio,
+        
         // Daily usage
         getDailyUsage: getDailyUsage,
         incrementDailyUsage: incrementDailyUsage,
@@ -6,15 +6,17 @@
  * - UI updates
  * - Modal management
  * - Toast notifications
- * - History list rendering
+ * - History list rendering (thumbnail ảnh chụp đọc lười từ thư mục lưu)
+ * - Mirror recording status to the PiP monitor
  * 
- * Depends on: config.js
+ * Depends on: config.js, monitor.js
  */
 
 var QRUI = (function() {
     'use strict';
     
     var CONFIG = QRConfig;
+    var MONITOR = QRMonitor;
     
     // Element cache
     var elements = {};
@@ -22,6 +24,13 @@ var QRUI = (function() {
     // Toast timeout
     var toastTimeout = null;
     
+    // Thumbnail lịch sử: filename -> Promise<objectURL|null> (ảnh thu nhỏ, không phải JPEG gốc)
+    var THUMBNAIL_HEIGHT = 80; // 2x chiều cao .h-thumb cho màn hình HiDPI
+    var FULL_IMAGE_URL_MS = 60000; // Ảnh gốc mở ở tab mới - thu hồi URL sau 60s
+    var thumbnailLoader = null;
+    var thumbnailUrls = {};
+    var thumbnailObserver = null;
+    
     // ==================== Element Helpers ====================
     
     /**
@@ -97,6 +106,16 @@ var QRUI = (function() {
     function hideDateModal() { hideModal('dateModal'); }
     function showRenewalModal() { showModal('renewalModal'); }
     function hideRenewalModal() { hideModal('renewalModal'); }
+    function showVerifyModal() { showModal('verifyModal'); }
+    function hideVerifyModal() { hideModal('verifyModal'); }
+    function showOverlayModal() { showModal('overlayModal'); }
+    function hideOverlayModal() { hideModal('overlayModal'); }
+    function showCameraModal() { showModal('cameraModal'); }
+    function hideCameraModal() { hideModal('cameraModal'); }
+    function showPresetModal() { showModal('presetModal'); }
+    function hidePresetModal() { hideModal('presetModal'); }
+    function showGovernorModal() { showModal('governorModal'); }
+    function hideGovernorModal() { hideModal('governorModal'); }
     
     // ==================== Premium/Free Status ====================
     
@@ -204,6 +223,48 @@ var QRUI = (function() {
         if (timerDisplay && duration !== undefined) {
             timerDisplay.textContent = formatDuration(duration);
         }
+        
+        MONITOR.setStatus(duration !== undefined
+            ? { isRecording: isRecording, duration: duration }
+            : { isRecording: isRecording });
+    }
+    
+    /**
+     * Nút xác nhận giờ - chỉ hiện khi giờ máy đang sớm hơn mốc đã ghi nhận
+     * @param {boolean} behind
+     */
+    function updateClockAck(behind) {
+        var btn = $('btnClockAck');
+        if (btn) btn.classList.toggle('hidden', !behind);
+    }
+    
+    /**
+     * Trạng thái tạm dừng: nút Tạm dừng / Ghi tiếp + nhãn REC trên khung video
+     * @param {boolean} isRecording - Nút chỉ hiện khi đang ghi đơn
+     * @param {boolean} paused
+     */
+    function updatePauseState(isRecording, paused) {
+        var btn = $('btnPause');
+        if (btn) {
+            btn.classList.toggle('hidden', !isRecording);
+            btn.textContent = paused ? CONFIG.TEXTS.BTN_RESUME : CONFIG.TEXTS.BTN_PAUSE;
+        }
+        
+        var recIndicator = $('recIndicator');
+        var recLabel = $('recLabel');
+        if (recIndicator) recIndicator.classList.toggle('paused', !!paused);
+        if (recLabel) recLabel.textContent = paused ? CONFIG.TEXTS.REC_PAUSED : '🔴 REC';
+        
+        MONITOR.setStatus({ paused: !!paused });
+    }
+    
+    /**
+     * Đơn đang ghi (hiển thị trên cửa sổ PiP)
+     * @param {string|null} qrCode
+     * @param {number} productCount
+     */
+    function updateOrderStatus(qrCode, productCount) {
+        MONITOR.setStatus({ order: qrCode || '', products: productCount || 0 });
     }
     
     /**
@@ -227,6 +288,75 @@ var QRUI = (function() {
         }
     }
     
+    /**
+     * Hiện/ẩn thông báo mất camera trên khung video
+     * @param {boolean} show
+     */
+    function showCameraLost(show) {
+        var el = $('cameraLost');
+        if (!el) return;
+        
+        el.textContent = '🚨 ' + CONFIG.TEXTS.CAMERA_LOST_WAITING;
+        el.classList.toggle('hidden', !show);
+    }
+    
+    /**
+     * Cảnh báo chất lượng hình trên khung video (ẩn khi không có lỗi)
+     * @param {Array} types - ['frozen', 'black', 'overexposed', 'blur']
+     */
+    function showQualityWarning(types) {
+        var el = $('qualityWarning');
+        if (!el) return;
+        
+        types = types || [];
+        el.textContent = '⚠️ ' + types.map(function(type) {
+            return CONFIG.TEXTS.QUALITY_ISSUES[type] || type;
+        }).join(', ');
+        el.classList.toggle('hidden', types.length === 0);
+    }
+    
+    /**
+     * Hiện/ẩn trình vẽ vùng che trên khung video
+     * @param {boolean} show
+     * @param {boolean} hasSecond - Có camera 2 để chọn không
+     */
+    function showMaskEditor(show, hasSecond) {
+        var el = $('maskEditor');
+        if (!el) return;
+        
+        if (show) {
+            var target = $('maskTarget');
+            target.querySelector('option[value="second"]').disabled = !hasSecond;
+            if (!hasSecond) target.value = 'main';
+            updateMaskHint($('maskShape').value);
+        }
+        el.classList.toggle('hidden', !show);
+    }
+    
+    /**
+     * @param {string} shape - 'rect' | 'polygon'
+     */
+    function updateMaskHint(shape) {
+        var el = $('maskHint');
+        if (el) {
+            el.textContent = CONFIG.TEXTS.MASK_HINTS[shape] || '';
+        }
+    }
+    
+    /**
+     * Bậc giảm tải hiện tại (ẩn khi ở bậc đầy đủ)
+     * @param {number} level
+     * @param {string} label
+     */
+    function updateGovernorLevel(level, label) {
+        var el = $('governorLevel');
+        if (!el) return;
+        
+        el.textContent = '⚡ ' + level;
+        el.title = label;
+        el.classList.toggle('hidden', !level);
+    }
+    
     /**
      * Show/hide FPS display
      * @param {boolean} show
@@ -252,6 +382,8 @@ var QRUI = (function() {
         var overlay = $('scanLockOverlay');
         var timeEl = $('scanLockTime');
         
+        MONITOR.setStatus({ scanLock: Math.max(0, secondsRemaining) });
+        
         if (!overlay) return;
         
         if (secondsRemaining > 0) {
@@ -323,16 +455,145 @@ var QRUI = (function() {
         var html = orders.map(function(order, index) {
             return '<div class="history-item" data-id="' + order.id + '">' +
                 '<span class="h-num">' + (index + 1) + '</span>' +
-                '<span class="h-qr" title="' + escapeHtml(order.qrCode) + '">' + escapeHtml(order.qrCode) + '</span>' +
+                '<span class="h-qr" title="' + escapeHtml(order.qrCode) + '">' +
+                    (order.recovered ? '<span class="h-badge recovered" title="Khôi phục sau sự cố">♻️</span>' : '') +
+                    (order.files && order.files.length > 1 ? '<span class="h-badge parts" title="' +
+                        escapeHtml(order.files.map(function(f) { return f.filename; }).join('\n')) + '">📎' + order.files.length + '</span>' : '') +
+                    (order.autoStopped ? '<span class="h-badge idle" title="' + CONFIG.TEXTS.AUTO_STOPPED_IDLE +
+                        ' (' + order.autoStopped.idleSeconds + 's)">💤</span>' : '') +
+                    (order.pauses && order.pauses.length ? '<span class="h-badge paused" title="' +
+                        escapeHtml(describePauses(order.pauses)) + '">⏸️' + order.pauses.length + '</span>' : '') +
+                    (order.quality && !order.quality.ok ? '<span class="h-badge quality" title="' +
+                        escapeHtml(describeQuality(order.quality)) + '">⚠️</span>' : '') +
+                    escapeHtml(order.qrCode) + '</span>' +
                 '<span class="h-date">' + order.date + '</span>' +
                 '<span class="h-time">' + order.time + '</span>' +
                 '<span class="h-duration">' + formatDuration(order.duration) + '</span>' +
                 '<span class="h-size">' + order.sizeMB + ' MB</span>' +
                 '<span class="h-products">' + order.productCount + '</span>' +
+                '<span class="h-codec" title="' + escapeHtml(order.mimeType || '') + '">' + escapeHtml(order.codec || '-') + '</span>' +
+                renderSnapshots(order.snapshots) +
             '</div>';
         }).join('');
         
         historyList.innerHTML = html;
+        loadThumbnails(historyList);
+    }
+    
+    // ==================== Ledger Status ====================
+    
+    /**
+     * Update ledger integrity indicator
+     * @param {object|null} result - Kết quả QROrders.verifyLedger(), null = đang kiểm tra
+     */
+    function updateLedgerStatus(result) {
+        var el = $('ledgerStatus');
+        if (!el) return;
+        
+        if (!result) {
+            el.className = 'ledger-status';
+            el.textContent = '🔗 …';
+            el.title = CONFIG.TEXTS.LEDGER_CHECKING;
+            return;
+        }
+        
+        var events = result.events.map(function(ev) {
+            return ev.at.replace('T', ' ').substring(0, 19) + ' - ' + ev.type + ' (' + ev.count + ')';
+        });
+        
+        // Xóa tay / đơn ngoài chuỗi không làm đứt chuỗi nhưng phải hiện ra, không chỉ nằm trong tooltip
+        var notes = [];
+        if (result.removed) notes.push(result.removed + ' ' + CONFIG.TEXTS.LEDGER_REMOVED);
+        if (result.unchained) notes.push(result.unchained + ' ' + CONFIG.TEXTS.LEDGER_UNCHAINED);
+        
+        if (result.ok) {
+            el.className = 'ledger-status ' + (notes.length ? 'warn' : 'ok');
+            el.textContent = '🔗 ' + result.verified +
+                (result.removed ? ' · 🗑️ ' + result.removed : '') +
+                (result.unchained ? ' · ⚠️ ' + result.unchained : '');
+            el.title = CONFIG.TEXTS.LEDGER_OK + ': ' + result.verified + ' đơn' +
+                (result.legacy ? ' (+' + result.legacy + ' đơn cũ chưa có hash)' : '') +
+                (notes.length ? '\n' + notes.join('\n') : '') +
+                (events.length ? '\n' + events.join('\n') : '');
+        } else {
+            var b = result.brokenAt;
+            el.className = 'ledger-status broken';
+            el.textContent = '⛓️ #' + (b.seq || b.index + 1);
+            el.title = CONFIG.TEXTS.LEDGER_BROKEN + ' #' + (b.seq || b.index + 1) + ' ' +
+                (b.qrCode || '') + ' ' + (b.date || '') + ' ' + (b.time || '') + '\n' +
+                (CONFIG.TEXTS.LEDGER_REASONS[b.reason] || b.reason) +
+                (notes.length ? '\n' + notes.join('\n') : '') +
+                (events.length ? '\n' + events.join('\n') : '');
+        }
+    }
+    
+    // ==================== Verify Report ====================
+    
+    /**
+     * Render verification report
+     * @param {object|string|null} report - Kết quả QRIntegrity.verifyVideo(), chuỗi = thông báo, null = xóa
+     */
+    function renderVerifyReport(report) {
+        var el = $('verifyReport');
+        if (!el) return;
+        
+        if (!report) {
+            el.innerHTML = '';
+            return;
+        }
+        
+        if (typeof report === 'string') {
+            el.innerHTML = '<div class="verify-msg">' + escapeHtml(report) + '</div>';
+            return;
+        }
+        
+        var icons = { pass: '✅', fail: '❌', skip: '➖' };
+        
+        var html = '<div class="verify-result ' + (report.ok ? 'pass' : 'fail') + '">' +
+            (report.ok ? CONFIG.TEXTS.VERIFY_PASS : CONFIG.TEXTS.VERIFY_FAIL) + '</div>' +
+            '<div class="verify-hash" title="SHA-256">' + escapeHtml(report.filename) + '<br>' + report.sha256 + '</div>' +
+            '<ul class="verify-checks">' + report.checks.map(function(c) {
+                return '<li class="' + c.status + '">' + icons[c.status] + ' ' +
+                    escapeHtml(CONFIG.TEXTS.VERIFY_CHECKS[c.key] || c.key) +
+                    (c.detail ? ' <small>' + escapeHtml(c.detail) + '</small>' : '') + '</li>';
+            }).join('') + '</ul>';
+        
+        if (report.timeline.length > 0) {
+            html += '<ol class="verify-timeline">' + report.timeline.map(function(scan) {
+                var time = scan.at ? new Date(scan.at).toLocaleTimeString('vi-VN') : '-';
+                return '<li><span class="t">' + time + '</span> ' + (scan.type === 'order' ? '📦 ' : '🏷️ ') +
+                    escapeHtml(scan.code) + '</li>';
+            }).join('') + '</ol>';
+        }
+        
+        el.innerHTML = html;
+    }
+    
+    /**
+     * Render nhật ký governor (mới nhất trước)
+     * @param {Array} log - QRGovernor.getLog()
+     */
+    function renderGovernorLog(log) {
+        var el = $('governorLog');
+        if (!el) return;
+        
+        if (!log || log.length === 0) {
+            el.innerHTML = '<div class="verify-msg">' + CONFIG.TEXTS.GOVERNOR_EMPTY + '</div>';
+            return;
+        }
+        
+        el.innerHTML = '<ol class="governor-log">' + log.slice().reverse().map(function(entry) {
+            var down = entry.to > entry.from;
+            var stats = entry.fps !== undefined
+                ? ' <small>FPS ' + entry.fps + '/' + entry.targetFps + ', quét ' + entry.scanRate + '/' + entry.targetScanRate +
+                  ', rớt ' + entry.droppedFrames + '</small>'
+                : '';
+            return '<li class="' + (down ? 'down' : 'up') + '">' +
+                '<span class="t">' + new Date(entry.time).toLocaleString('vi-VN') + '</span> ' +
+                (down ? '⬇️ ' : '⬆️ ') + escapeHtml(entry.label) +
+                ' (' + escapeHtml(CONFIG.TEXTS.GOVERNOR_REASONS[entry.reason] || entry.reason) + ')' + stats +
+                '</li>';
+        }).join('') + '</ol>';
     }
     
     // ==================== Tabs ====================
@@ -381,6 +642,154 @@ var QRUI = (function() {
         }).join('');
     }
     
+    /**
+     * Danh sách camera 2 (mục đầu tiên = không dùng)
+     * @param {Array} cameras
+     * @param {string|null} selectedId
+     */
+    function populateSecondCameras(cameras, selectedId) {
+        var select = $('camera2Select');
+        if (!select) return;
+        
+        var current = selectedId !== undefined && selectedId !== null ? selectedId : select.value;
+        select.innerHTML = '<option value="">' + CONFIG.TEXTS.CAMERA_NONE + '</option>' +
+            cameras.map(function(cam, index) {
+                var label = escapeHtml(cam.label || ('Camera ' + (index + 1)));
+                var selected = cam.deviceId === current ? ' selected' : '';
+                return '<option value="' + cam.deviceId + '"' + selected + '>' + label + '</option>';
+            }).join('');
+    }
+    
+    /**
+     * Danh sách micro (mục đầu tiên = micro mặc định của hệ thống)
+     * @param {Array} microphones - [{ deviceId, label }]
+     * @param {string} selectedId
+     */
+    function populateMicrophones(microphones, selectedId) {
+        var select = $('micSelect');
+        if (!select) return;
+        
+        select.innerHTML = '<option value="">' + CONFIG.TEXTS.MIC_DEFAULT + '</option>' +
+            microphones.filter(function(mic) {
+                return mic.deviceId && mic.deviceId !== 'default';
+            }).map(function(mic, index) {
+                var label = escapeHtml(mic.label || ('Micro ' + (index + 1)));
+                var selected = mic.deviceId === selectedId ? ' selected' : '';
+                return '<option value="' + mic.deviceId + '"' + selected + '>' + label + '</option>';
+            }).join('');
+    }
+    
+    /**
+     * Trạng thái các tùy chọn xử lý âm thanh
+     * @param {object} settings - { noiseSuppression, echoCancellation, autoGainControl }
+     */
+    function setAudioSettings(settings) {
+        if ($('noiseToggle')) $('noiseToggle').checked = settings.noiseSuppression;
+        if ($('echoToggle')) $('echoToggle').checked = settings.echoCancellation;
+        if ($('gainToggle')) $('gainToggle').checked = settings.autoGainControl;
+    }
+    
+    /**
+     * Thanh mức âm thanh
+     * @param {object|null} level - { db, value }, null = micro đang tắt
+     */
+    function updateAudioMeter(level) {
+        var meter = $('audioMeter');
+        var bar = $('audioMeterBar');
+        if (!meter || !bar) return;
+        
+        var value = level ? Math.max(0, Math.min(1, level.value)) : 0;
+        bar.style.width = Math.round(value * 100) + '%';
+        bar.className = 'audio-meter-bar' + (value > 0.9 ? ' clip' : value > 0.7 ? ' loud' : '');
+        meter.classList.toggle('off', !level);
+        meter.title = level ? level.db + ' dB' : '';
+    }
+    
+    /**
+     * @param {boolean} silent - Đang ghi mà im lặng quá lâu
+     */
+    function showAudioSilent(silent) {
+        var meter = $('audioMeter');
+        if (meter) {
+            meter.classList.toggle('silent', silent);
+        }
+    }
+    
+    /**
+     * Populate video preset dropdown
+     * @param {Array} presets - [{ key, label }] (QRPresets.getAll)
+     * @param {string} activeKey
+     */
+    function populatePresets(presets, activeKey) {
+        var select = $('qualitySelect');
+        if (!select) return;
+        
+        select.innerHTML = presets.map(function(preset) {
+            var selected = preset.key === activeKey ? ' selected' : '';
+            return '<option value="' + escapeHtml(preset.key) + '"' + selected + '>' + escapeHtml(preset.label) + '</option>';
+        }).join('');
+    }
+    
+    /**
+     * Populate overlay template dropdown
+     * @param {Array} names - Tên các template
+     * @param {string} activeName
+     */
+    function populateOverlayTemplates(names, activeName) {
+        var select = $('overlaySelect');
+        if (!select) return;
+        
+        select.innerHTML = names.map(function(name) {
+            var selected = name === activeName ? ' selected' : '';
+            return '<option value="' + escapeHtml(name) + '"' + selected + '>' + escapeHtml(name) + '</option>';
+        }).join('');
+    }
+    
+    // ==================== Camera Controls ====================
+    
+    /**
+     * Render điều khiển camera (QRCamera.getControls)
+     * @param {Array} controls
+     */
+    function renderCameraControls(controls) {
+        var container = $('cameraControls');
+        if (!container) return;
+        
+        if (!controls || controls.length === 0) {
+            container.innerHTML = '<div class="camera-empty">' + CONFIG.TEXTS.CAMERA_NO_CONTROLS + '</div>';
+            return;
+        }
+        
+        container.innerHTML = controls.map(function(c) {
+            var input;
+            var shown = '';
+            
+            if (c.type === 'range') {
+                shown = formatControlValue(c.value);
+                input = '<input type="range" data-key="' + c.key + '" min="' + c.min + '" max="' + c.max +
+                    '" step="' + c.step + '" value="' + (c.value !== undefined ? c.value : c.min) + '"' +
+                    (c.disabled ? ' disabled' : '') + '>';
+            } else if (c.type === 'mode') {
+                input = '<select data-key="' + c.key + '">' + c.options.map(function(o) {
+                    return '<option value="' + escapeHtml(o.value) + '"' + (o.value === c.value ? ' selected' : '') + '>' +
+                        escapeHtml(o.label) + '</option>';
+                }).join('') + '</select>';
+            } else {
+                input = '<input type="checkbox" data-key="' + c.key + '"' + (c.value ? ' checked' : '') + '>';
+            }
+            
+            return '<div class="camera-control">' +
+                '<label>' + escapeHtml(c.label) + ' <span class="camera-value">' + shown + '</span></label>' +
+                input +
+                '</div>';
+        }).join('');
+    }
+    
+    function formatControlValue(value) {
+        if (typeof value !== 'number') return '';
+        return String(Math.round(value * 100) / 100);
+    }
+    
     // ==================== Button States ====================
     
     /**
@@ -402,6 +811,17 @@ var QRUI = (function() {
         }
     }
     
+    /**
+     * Nút mở/đóng cửa sổ PiP
+     * @param {boolean} isOpen
+     */
+    function updatePipButton(isOpen) {
+        var btn = $('btnPip');
+        if (!btn) return;
+        
+        btn.textContent = isOpen ? CONFIG.TEXTS.BTN_PIP_CLOSE : CONFIG.TEXTS.BTN_PIP_OPEN;
+    }
+    
     /**
      * Enable/disable buttons
      * @param {object} states - { btnCamera: true, btnFolder: false, ... }
@@ -431,6 +851,172 @@ var QRUI = (function() {
         return String(n).padStart(2, '0');
     }
     
+    /**
+     * Tóm tắt lỗi hình của một đơn (tooltip lịch sử)
+     * @param {object} quality - { totals: { type: ms } }
+     * @returns {string}
+     */
+    function describeQuality(quality) {
+        var totals = quality.totals || {};
+        return Object.keys(totals).filter(function(type) {
+            return totals[type] > 0;
+        }).map(function(type) {
+            return (CONFIG.TEXTS.QUALITY_ISSUES[type] || type) + ': ' + Math.round(totals[type] / 1000) + 's';
+        }).join('\n');
+    }
+    
+    /**
+     * Hàng thumbnail ảnh chụp của một đơn (ảnh được nạp sau trong loadThumbnails)
+     * @param {Array} snapshots - [{ kind, code, at, filename }] (filename null = không được lưu)
+     * @returns {string}
+     */
+    function renderSnapshots(snapshots) {
+        if (!snapshots || snapshots.length === 0) return '';
+        
+        var skipped = snapshots.filter(function(snap) { return !snap.filename; }).length;
+        var label = skipped
+            ? '<span class="h-snaps-label skipped" title="' + escapeHtml(skipped + ' ' + CONFIG.TEXTS.SNAPSHOT_SKIPPED) + '">📷 ' +
+                snapshots.length + ' (⚠️ ' + skipped + ')</span>'
+            : '<span class="h-snaps-label">📷 ' + snapshots.length + '</span>';
+        
+        return '<div class="h-snaps">' + label +
+            snapshots.filter(function(snap) { return snap.filename; }).map(function(snap) {
+                var title = (CONFIG.TEXTS.SNAPSHOT_KINDS[snap.kind] || snap.kind) + ': ' + snap.code + '\n' +
+                    new Date(snap.at).toLocaleTimeString('vi-VN') + '\n' + snap.filename;
+                return '<img class="h-thumb" alt="" data-file="' + escapeHtml(snap.filename) + '" title="' + escapeHtml(title) + '">';
+            }).join('') +
+        '</div>';
+    }
+    
+    /**
+     * Nguồn đọc ảnh cho thumbnail (recorder đọc từ thư mục lưu)
+     * @param {function} loader - filename -> Promise<Blob|null>
+     */
+    function setThumbnailLoader(loader) {
+        thumbnailLoader = loader;
+    }
+    
+    /**
+     * Nạp thumbnail khi dòng lịch sử lọt vào khung nhìn (lịch sử có thể rất dài)
+     * @param {HTMLElement} container
+     */
+    function loadThumbnails(container) {
+        if (!thumbnailLoader) return;
+        
+        if (thumbnailObserver) thumbnailObserver.disconnect();
+        var images = container.querySelectorAll('img.h-thumb');
+        releaseThumbnails(images);
+        
+        if (typeof IntersectionObserver === 'undefined') {
+            Array.prototype.forEach.call(images, loadThumbnail);
+            return;
+        }
+        
+        thumbnailObserver = new IntersectionObserver(function(entries, observer) {
+            entries.forEach(function(entry) {
+                if (!entry.isIntersecting) return;
+                observer.unobserve(entry.target);
+                loadThumbnail(entry.target);
+            });
+        });
+        Array.prototype.forEach.call(images, function(img) {
+            thumbnailObserver.observe(img);
+        });
+    }
+    
+    /**
+     * Thu hồi URL của các thumbnail không còn trong danh sách vừa vẽ lại
+     * @param {NodeList} images
+     */
+    function releaseThumbnails(images) {
+        var shown = {};
+        Array.prototype.forEach.call(images, function(img) {
+            shown[img.getAttribute('data-file')] = true;
+        });
+        
+        Object.keys(thumbnailUrls).forEach(function(filename) {
+            if (shown[filename]) return;
+            thumbnailUrls[filename].then(function(url) {
+                if (url) URL.revokeObjectURL(url);
+            });
+            delete thumbnailUrls[filename];
+        });
+    }
+    
+    /**
+     * Thu nhỏ ảnh khi giải mã (createImageBitmap resize), không giữ JPEG full-HD trong bộ nhớ
+     * @param {Blob} blob
+     * @returns {Promise<string|null>} - Object URL của ảnh thu nhỏ
+     */
+    async function createThumbnail(blob) {
+        if (typeof createImageBitmap === 'undefined') return URL.createObjectURL(blob);
+        
+        var bitmap = await createImageBitmap(blob, { resizeHeight: THUMBNAIL_HEIGHT, resizeQuality: 'medium' });
+        var canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        bitmap.close();
+        
+        var small = await new Promise(function(resolve) {
+            canvas.toBlob(resolve, 'image/jpeg', 0.8);
+        });
+        return small ? URL.createObjectURL(small) : null;
+    }
+    
+    async function loadThumbnail(img) {
+        var filename = img.getAttribute('data-file');
+        if (!thumbnailUrls[filename]) {
+            thumbnailUrls[filename] = Promise.resolve(thumbnailLoader(filename)).then(function(blob) {
+                return blob ? createThumbnail(blob) : null;
+            }).catch(function() {
+                return null;
+            });
+        }
+        
+        var url = await thumbnailUrls[filename];
+        if (!url) {
+            // Không cache lỗi: chọn lại thư mục thì thử đọc lại
+            delete thumbnailUrls[filename];
+            img.classList.add('missing');
+            img.title += '\n' + CONFIG.TEXTS.SNAPSHOT_NOT_IN_FOLDER;
+            return;
+        }
+        
+        img.src = url;
+        img.addEventListener('click', function() {
+            openFullImage(filename);
+        });
+    }
+    
+    /**
+     * Mở ảnh gốc ở tab mới (đọc lại file lúc bấm)
+     * @param {string} filename
+     */
+    async function openFullImage(filename) {
+        var blob = await thumbnailLoader(filename);
+        if (!blob) return;
+        
+        var url = URL.createObjectURL(blob);
+        window.open(url, '_blank');
+        setTimeout(function() {
+            URL.revokeObjectURL(url);
+        }, FULL_IMAGE_URL_MS);
+    }
+    
+    /**
+     * Các khoảng tạm dừng của một đơn (tooltip lịch sử)
+     * @param {Array} pauses - [{ from, to, durationMs }]
+     * @returns {string}
+     */
+    function describePauses(pauses) {
+        return CONFIG.TEXTS.PAUSES_LABEL + ':\n' + pauses.map(function(p) {
+            return new Date(p.from).toLocaleTimeString('vi-VN') + ' - ' +
+                (p.to ? new Date(p.to).toLocaleTimeString('vi-VN') : '?') +
+                ' (' + Math.round((p.durationMs || 0) / 1000) + 's)';
+        }).join('\n');
+    }
+    
     /**
      * Escape HTML entities
      */
@@ -465,25 +1051,57 @@ var QRUI = (function() {
         hideDateModal: hideDateModal,
         showRenewalModal: showRenewalModal,
         hideRenewalModal: hideRenewalModal,
+        showVerifyModal: showVerifyModal,
+        hideVerifyModal: hideVerifyModal,
+        showOverlayModal: showOverlayModal,
+        hideOverlayModal: hideOverlayModal,
+        showCameraModal: showCameraModal,
+        hideCameraModal: hideCameraModal,
+        showPresetModal: showPresetModal,
+        hidePresetModal: hidePresetModal,
+        showGovernorModal: showGovernorModal,
+        showMaskEditor: showMaskEditor,
+        populateMicrophones: populateMicrophones,
+        setAudioSettings: setAudioSettings,
+        updateAudioMeter: updateAudioMeter,
+        showAudioSilent: showAudioSilent,
+        updateMaskHint: updateMaskHint,
+        hideGovernorModal: hideGovernorModal,
         
         // Status updates
         updatePremiumStatus: updatePremiumStatus,
         updateRenewalWarning: updateRenewalWarning,
         updateStats: updateStats,
         updateRecordingStatus: updateRecordingStatus,
+        updatePauseState: updatePauseState,
+        updateClockAck: updateClockAck,
+        updateOrderStatus: updateOrderStatus,
         updateFPS: updateFPS,
+        updateGovernorLevel: updateGovernorLevel,
+        showCameraLost: showCameraLost,
+        showQualityWarning: showQualityWarning,
         showFPSDisplay: showFPSDisplay,
         updateScanLock: updateScanLock,
         showQRDetected: showQRDetected,
         updateFolderInfo: updateFolderInfo,
+        updateLedgerStatus: updateLedgerStatus,
         
         // History
         renderHistory: renderHistory,
+        setThumbnailLoader: setThumbnailLoader,
+        renderVerifyReport: renderVerifyReport,
+        renderGovernorLog: renderGovernorLog,
         
         // Controls
         setActiveTab: setActiveTab,
         populateCameras: populateCameras,
+        populateSecondCameras: populateSecondCameras,
+        populatePresets: populatePresets,
+        populateOverlayTemplates: populateOverlayTemplates,
+        renderCameraControls: renderCameraControls,
+        formatControlValue: formatControlValue,
         updateCameraButton: updateCameraButton,
+        updatePipButton: updatePipButton,
         setButtonStates: setButtonStates,
         
         // Helpers
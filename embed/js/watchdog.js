@@ -0,0 +1,377 @@
+/**
+ * QR Scanner v7.25 - Frame Watchdog Module
+ *
+ * Kiểm tra chất lượng hình camera trong vòng render (lấy mẫu 2 lần/giây, ảnh thu nhỏ 320x180):
+ * - Đứng hình: camera ngừng giao frame mới (requestVideoFrameCallback / getVideoPlaybackQuality);
+ *   trình duyệt không đếm được frame thì mới dựa vào hai mẫu liên tiếp gần như giống hệt
+ *   (bàn đứng yên, ánh sáng tốt cũng cho hai mẫu giống nhau - chỉ là tín hiệu phụ)
+ * - Đen: độ sáng trung bình rất thấp
+ * - Cháy sáng: độ sáng trung bình rất cao hoặc phần lớn điểm ảnh trắng
+ * - Mờ: phương sai Laplacian thấp (ảnh không có cạnh sắc)
+ *
+ * Lỗi kéo dài quá ngưỡng thì báo ngay (onIssue) và ghi vào bản tóm tắt của đơn đang ghi.
+ *
+ * Depends on: (none)
+ */
+
+var QRWatchdog = (function() {
+    'use strict';
+    
+    var SAMPLE_INTERVAL_MS = 500;
+    var SAMPLE_WIDTH = 320;
+    var SAMPLE_HEIGHT = 180;
+    
+    var BLACK_LUMA = 20;           // Trung bình < 20/255 = đen
+    var BRIGHT_LUMA = 235;         // Trung bình > 235/255 = cháy sáng
+    var BRIGHT_PIXEL = 250;
+    var BRIGHT_FRACTION = 0.6;     // > 60% điểm ảnh gần trắng = cháy sáng
+    var FROZEN_DIFF = 0.3;         // Chênh lệch trung bình < 0.3/255 giữa hai mẫu = đứng hình (khi không đếm được frame)
+    var BLUR_VARIANCE = 25;        // Phương sai Laplacian < 25 = mờ
+    
+    // Lỗi phải kéo dài tối thiểu bao lâu mới tính
+    var MIN_DURATION_MS = {
+        frozen: 2000,
+        black: 2000,
+        overexposed: 3000,
+        blur: 5000
+    };
+    var TYPES = Object.keys(MIN_DURATION_MS);
+    
+    var canvas = null;
+    var ctx = null;
+    
+    var state = {
+        lastSample: 0,
+        prev: null,
+        conditions: {},     // type -> { since, active }
+        recording: null,    // Thống kê của đơn đang ghi
+        last: null,         // Số đo mẫu gần nhất
+        
+        // Frame camera giao tới video element
+        frames: {
+            video: null,
+            token: null,
+            callbacks: 0,   // Số lần requestVideoFrameCallback chạy
+            lastCallbacks: 0,
+            lastTotal: null // getVideoPlaybackQuality().totalVideoFrames ở mẫu trước
+        }
+    };
+    
+    var callbacks = {
+        onIssue: null
+    };
+    
+    // ==================== Sampling ====================
+    
+    /**
+     * Lấy mẫu một frame (gọi mỗi frame render, tự giới hạn SAMPLE_INTERVAL_MS)
+     * @param {HTMLVideoElement} video - Camera 1 (hình gốc, chưa có overlay)
+     * @param {number} timestamp - performance.now()
+     */
+    function sample(video, timestamp) {
+        if (!video || video.readyState < 2) return;
+        watchFrames(video);
+        if (timestamp - state.lastSample < SAMPLE_INTERVAL_MS) return;
+        state.lastSample = timestamp;
+        
+        var delivered = checkDelivery(video);
+        var stats;
+        try {
+            stats = measure(video);
+        } catch (e) {
+            console.warn('[Watchdog] Sample error:', e);
+            return;
+        }
+        stats.delivered = delivered;
+        state.last = stats;
+        
+        var flags = {
+            black: stats.luma < BLACK_LUMA,
+            overexposed: stats.luma > BRIGHT_LUMA || stats.brightFraction > BRIGHT_FRACTION
+        };
+        // Hình đen/trắng xóa thì luôn "giống nhau" và "không có cạnh" - chỉ báo lỗi gốc
+        var exposed = !flags.black && !flags.overexposed;
+        flags.frozen = delivered !== null
+            ? !delivered
+            : exposed && stats.diff !== null && stats.diff < FROZEN_DIFF;
+        flags.blur = exposed && stats.sharpness < BLUR_VARIANCE;
+        
+        var rec = state.recording;
+        if (rec) {
+            rec.samples++;
+            rec.lumaSum += stats.luma;
+            rec.sharpnessSum += stats.sharpness;
+        }
+        
+        TYPES.forEach(function(type) {
+            update(type, flags[type]);
+        });
+    }
+    
+    /**
+     * Đếm frame bằng requestVideoFrameCallback (đăng ký lại khi đổi video element)
+     * @param {HTMLVideoElement} video
+     */
+    function watchFrames(video) {
+        var frames = state.frames;
+        if (frames.video === video) return;
+        
+        frames.video = video;
+        frames.callbacks = 0;
+        frames.lastCallbacks = 0;
+        frames.lastTotal = null;
+        
+        if (!video.requestVideoFrameCallback) return;
+        
+        var token = frames.token = {};
+        var onFrame = function() {
+            if (frames.token !== token) return;
+            frames.callbacks++;
+            video.requestVideoFrameCallback(onFrame);
+        };
+        video.requestVideoFrameCallback(onFrame);
+    }
+    
+    /**
+     * Camera có giao frame mới từ mẫu trước tới giờ không
+     * @param {HTMLVideoElement} video
+     * @returns {boolean|null} - null = trình duyệt không cho biết (dùng so sánh điểm ảnh)
+     */
+    function checkDelivery(video) {
+        var frames = state.frames;
+        var total = null;
+        
+        if (video.getVideoPlaybackQuality) {
+            var quality = video.getVideoPlaybackQuality();
+            if (quality && quality.totalVideoFrames > 0) total = quality.totalVideoFrames;
+        }
+        
+        var byTotal = total !== null && frames.lastTotal !== null ? total > frames.lastTotal : null;
+        // Tab ẩn: trình duyệt không vẽ video nên requestVideoFrameCallback không chạy - không dùng được
+        var byCallback = frames.callbacks > 0 && !document.hidden ? frames.callbacks > frames.lastCallbacks : null;
+        
+        frames.lastTotal = total;
+        frames.lastCallbacks = frames.callbacks;
+        
+        if (byTotal === null && byCallback === null) return null;
+        return !!(byTotal || byCallback);
+    }
+    
+    /**
+     * Độ sáng, tỉ lệ điểm trắng, độ nét (phương sai Laplacian) và chênh lệch với mẫu trước
+     * @param {HTMLVideoElement} video
+     * @returns {object} - { luma, brightFraction, sharpness, diff }
+     */
+    function measure(video) {
+        if (!canvas) {
+            canvas = document.createElement('canvas');
+            canvas.width = SAMPLE_WIDTH;
+            canvas.height = SAMPLE_HEIGHT;
+            ctx = canvas.getContext('2d', { willReadFrequently: true });
+        }
+        
+        ctx.drawImage(video, 0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+        var data = ctx.getImageData(0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT).data;
+        var count = SAMPLE_WIDTH * SAMPLE_HEIGHT;
+        var gray = new Uint8Array(count);
+        
+        var lumaSum = 0;
+        var bright = 0;
+        var diffSum = 0;
+        var prev = state.prev;
+        
+        for (var i = 0, p = 0; i < count; i++, p += 4) {
+            var y = (data[p] * 77 + data[p + 1] * 150 + data[p + 2] * 29) >> 8;
+            gray[i] = y;
+            lumaSum += y;
+            if (y >= BRIGHT_PIXEL) bright++;
+            if (prev) diffSum += Math.abs(y - prev[i]);
+        }
+        
+        // Laplacian 4 lân cận, bỏ viền
+        var lapSum = 0;
+        var lapSqSum = 0;
+        var lapCount = 0;
+        for (var row = 1; row < SAMPLE_HEIGHT - 1; row++) {
+            for (var col = 1; col < SAMPLE_WIDTH - 1; col++) {
+                var idx = row * SAMPLE_WIDTH + col;
+                var lap = gray[idx - 1] + gray[idx + 1] + gray[idx - SAMPLE_WIDTH] + gray[idx + SAMPLE_WIDTH] - 4 * gray[idx];
+                lapSum += lap;
+                lapSqSum += lap * lap;
+                lapCount++;
+            }
+        }
+        var lapMean = lapSum / lapCount;
+        
+        state.prev = gray;
+        
+        return {
+            luma: Math.round(lumaSum / count * 10) / 10,
+            brightFraction: bright / count,
+            sharpness: Math.round((lapSqSum / lapCount - lapMean * lapMean) * 10) / 10,
+            diff: prev ? diffSum / count : null
+        };
+    }
+    
+    // ==================== Issues ====================
+    
+    /**
+     * Cập nhật một loại lỗi: bật khi kéo dài đủ lâu, tắt ngay khi hình trở lại bình thường
+     */
+    function update(type, flagged) {
+        var c = state.conditions[type] || (state.conditions[type] = { since: null, active: false });
+        var now = Date.now();
+        
+        if (flagged) {
+            if (!c.since) c.since = now;
+            if (!c.active && now - c.since >= MIN_DURATION_MS[type]) {
+                c.active = true;
+                openIssue(type, c.since);
+                console.warn('[Watchdog] ' + type + ' detected');
+                triggerCallback('onIssue', { type: type, active: true, since: c.since, types: getActive() });
+            }
+            return;
+        }
+        
+        if (c.active) {
+            var durationMs = now - c.since;
+            closeIssue(type, now);
+            c.active = false;
+            c.since = null;
+            console.log('[Watchdog] ' + type + ' cleared after ' + Math.round(durationMs / 1000) + 's');
+            triggerCallback('onIssue', { type: type, active: false, durationMs: durationMs, types: getActive() });
+        } else {
+            c.since = null;
+        }
+    }
+    
+    function openIssue(type, since) {
+        var rec = state.recording;
+        if (!rec) return;
+        rec.issues.push({ type: type, from: new Date(Math.max(since, rec.startedAt)).toISOString(), to: null, durationMs: 0 });
+    }
+    
+    function closeIssue(type, now) {
+        var rec = state.recording;
+        if (!rec) return;
+        rec.issues.forEach(function(issue) {
+            if (issue.type === type && !issue.to) {
+                issue.to = new Date(now).toISOString();
+                issue.durationMs = Math.max(0, now - Date.parse(issue.from));
+            }
+        });
+    }
+    
+    /**
+     * Các lỗi đang diễn ra
+     * @returns {Array} - ['frozen', 'blur'...]
+     */
+    function getActive() {
+        return TYPES.filter(function(type) {
+            return state.conditions[type] && state.conditions[type].active;
+        });
+    }
+    
+    // ==================== Recording Summary ====================
+    
+    /**
+     * Bắt đầu thống kê cho một đơn (lỗi đang diễn ra được tính từ lúc bắt đầu ghi)
+     */
+    function beginRecording() {
+        var now = Date.now();
+        state.recording = {
+            startedAt: now,
+            samples: 0,
+            lumaSum: 0,
+            sharpnessSum: 0,
+            issues: []
+        };
+        getActive().forEach(function(type) {
+            openIssue(type, now);
+        });
+    }
+    
+    /**
+     * Kết thúc thống kê, trả về bản tóm tắt để lưu vào đơn
+     * @returns {object|null} - { ok, samples, avgLuma, avgSharpness, totals: { type: ms }, issues: [{ type, from, to, durationMs }] }
+     */
+    function endRecording() {
+        var rec = state.recording;
+        if (!rec) return null;
+        
+        var now = Date.now();
+        TYPES.forEach(function(type) {
+            closeIssue(type, now);
+        });
+        state.recording = null;
+        
+        var totals = {};
+        TYPES.forEach(function(type) {
+            totals[type] = 0;
+        });
+        rec.issues.forEach(function(issue) {
+            totals[issue.type] += issue.durationMs;
+        });
+        
+        return {
+            ok: rec.issues.length === 0,
+            samples: rec.samples,
+            avgLuma: rec.samples ? Math.round(rec.lumaSum / rec.samples) : null,
+            avgSharpness: rec.samples ? Math.round(rec.sharpnessSum / rec.samples) : null,
+            totals: totals,
+            issues: rec.issues
+        };
+    }
+    
+    /**
+     * Camera tắt / mất: đóng các lỗi đang mở, mẫu sau không so với hình cũ
+     */
+    function reset() {
+        var now = Date.now();
+        var wasActive = getActive();
+        
+        TYPES.forEach(function(type) {
+            closeIssue(type, now);
+        });
+        state.conditions = {};
+        state.prev = null;
+        state.last = null;
+        state.lastSample = 0;
+        state.frames.video = null;
+        state.frames.token = null; // requestVideoFrameCallback cũ tự dừng ở lần gọi tiếp
+        
+        if (wasActive.length > 0) {
+            triggerCallback('onIssue', { type: null, active: false, types: [] });
+        }
+    }
+    
+    // ==================== Callbacks ====================
+    
+    function on(event, callback) {
+        if (callbacks.hasOwnProperty(event)) {
+            callbacks[event] = callback;
+        }
+    }
+    
+    function triggerCallback(event, data) {
+        if (callbacks[event] && typeof callbacks[event] === 'function') {
+            callbacks[event](data);
+        }
+    }
+    
+    // ==================== Public API ====================
+    return {
+        sample: sample,
+        getActive: getActive,
+        getLast: function() { return state.last; },
+        beginRecording: beginRecording,
+        endRecording: endRecording,
+        reset: reset,
+        on: on
+    };
+})();
+
+// Export for Node.js (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRWatchdog;
+}
@@ -0,0 +1,819 @@
+/**
+ * QR Scanner v7.25 - WebM Module
+ *
+ * Chứa tất cả logic:
+ * - Ghi EBML (Matroska/WebM) không cần thư viện ngoài
+ * - Muxer WebM dạng stream cho bộ mã hóa WebCodecs (mỗi keyframe = một Cluster)
+ * - Hậu xử lý file WebM: Duration, Cues (tua được), Tags mã đơn/trạm/sản phẩm
+ *
+ * Depends on: config.js
+ */
+
+var QRWebM = (function() {
+    'use strict';
+    
+    var CONFIG = QRConfig;
+    
+    // Matroska element IDs (đã gồm marker bits)
+    var ID = {
+        EBML: 0x1A45DFA3,
+        EBMLVersion: 0x4286,
+        EBMLReadVersion: 0x42F7,
+        EBMLMaxIDLength: 0x42F2,
+        EBMLMaxSizeLength: 0x42F3,
+        DocType: 0x4282,
+        DocTypeVersion: 0x4287,
+        DocTypeReadVersion: 0x4285,
+        Segment: 0x18538067,
+        Info: 0x1549A966,
+        TimecodeScale: 0x2AD7B1,
+        MuxingApp: 0x4D80,
+        WritingApp: 0x5741,
+        Tracks: 0x1654AE6B,
+        TrackEntry: 0xAE,
+        TrackNumber: 0xD7,
+        TrackUID: 0x73C5,
+        TrackType: 0x83,
+        FlagLacing: 0x9C,
+        CodecID: 0x86,
+        CodecPrivate: 0x63A2,
+        CodecDelay: 0x56AA,
+        SeekPreRoll: 0x56BB,
+        DefaultDuration: 0x23E383,
+        Video: 0xE0,
+        PixelWidth: 0xB0,
+        PixelHeight: 0xBA,
+        Audio: 0xE1,
+        SamplingFrequency: 0xB5,
+        Channels: 0x9F,
+        Cluster: 0x1F43B675,
+        Timecode: 0xE7,
+        SimpleBlock: 0xA3,
+        BlockGroup: 0xA0,
+        Block: 0xA1,
+        ReferenceBlock: 0xFB,
+        SeekHead: 0x114D9B74,
+        Seek: 0x4DBB,
+        SeekID: 0x53AB,
+        SeekPosition: 0x53AC,
+        Duration: 0x4489,
+        DateUTC: 0x4461,
+        Title: 0x7BA9,
+        Void: 0xEC,
+        Cues: 0x1C53BB6B,
+        CuePoint: 0xBB,
+        CueTime: 0xB3,
+        CueTrackPositions: 0xB7,
+        CueTrack: 0xF7,
+        CueClusterPosition: 0xF1,
+        Tags: 0x1254C367,
+        Tag: 0x7373,
+        Targets: 0x63C0,
+        TargetTypeValue: 0x68CA,
+        SimpleTag: 0x67C8,
+        TagName: 0x45A3,
+        TagLanguage: 0x447A,
+        TagString: 0x4487,
+        Chapters: 0x1043A770,
+        Attachments: 0x1941A469
+    };
+    
+    var VIDEO_TRACK = 1;
+    var AUDIO_TRACK = 2;
+    var TIMECODE_SCALE = 1000000; // 1 tick = 1ms
+    var MAX_CLUSTER_MS = 30000;   // Timecode trong block là int16
+    var MAX_AUDIO_LAG_MS = 1000;  // Không chờ audio quá 1s
+    var UNKNOWN_SIZE = new Uint8Array([0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+    var READ_WINDOW = 4 * 1024 * 1024; // Đọc file theo cửa sổ 4MB, không nạp cả file vào RAM
+    var MATROSKA_EPOCH = Date.UTC(2001, 0, 1);
+    
+    // Element cấp Segment - gặp một trong số này nghĩa là Cluster (không rõ kích thước) đã kết thúc
+    var TOP_LEVEL_IDS = [
+        ID.Cluster, ID.Cues, ID.Tags, ID.SeekHead, ID.Info, ID.Tracks,
+        ID.Chapters, ID.Attachments, ID.EBML, ID.Segment
+    ];
+    
+    // ==================== EBML Writer ====================
+    
+    /**
+     * Mã hóa một element
+     * @param {number} id
+     * @param {number|string|Uint8Array|Array|object} value - Array = element con, { float } = số thực
+     * @returns {Uint8Array}
+     */
+    function element(id, value) {
+        var body;
+        
+        if (Array.isArray(value)) {
+            body = concat(value);
+        } else if (value instanceof Uint8Array) {
+            body = value;
+        } else if (typeof value === 'string') {
+            body = new TextEncoder().encode(value);
+        } else if (value && typeof value === 'object' && 'float' in value) {
+            body = new Uint8Array(8);
+            new DataView(body.buffer).setFloat64(0, value.float);
+        } else {
+            body = encodeUint(value);
+        }
+        
+        return concat([encodeId(id), encodeSize(body.length), body]);
+    }
+    
+    function encodeId(id) {
+        var bytes = [];
+        while (id > 0) {
+            bytes.unshift(id & 0xFF);
+            id = Math.floor(id / 256);
+        }
+        return new Uint8Array(bytes);
+    }
+    
+    /**
+     * Số nguyên độ dài thay đổi (VINT) cho kích thước element
+     */
+    function encodeSize(size) {
+        var length = 1;
+        while (length < 8 && size >= Math.pow(2, 7 * length) - 1) {
+            length++;
+        }
+        
+        var bytes = new Uint8Array(length);
+        var value = size;
+        for (var i = length - 1; i >= 0; i--) {
+            bytes[i] = value % 256;
+            value = Math.floor(value / 256);
+        }
+        bytes[0] |= 1 << (8 - length);
+        return bytes;
+    }
+    
+    /**
+     * Số nguyên không dấu với độ dài cố định (để vị trí/kích thước tính trước không bị lệch)
+     */
+    function fixedUint(value, width) {
+        var bytes = new Uint8Array(width);
+        for (var i = width - 1; i >= 0; i--) {
+            bytes[i] = value % 256;
+            value = Math.floor(value / 256);
+        }
+        return bytes;
+    }
+    
+    /**
+     * Kích thước element dạng VINT 8 byte
+     */
+    function fixedSize(size) {
+        var bytes = fixedUint(size, 8);
+        bytes[0] = 0x01;
+        return bytes;
+    }
+    
+    function encodeUint(value) {
+        var bytes = [];
+        value = Math.max(0, Math.round(value || 0));
+        do {
+            bytes.unshift(value % 256);
+            value = Math.floor(value / 256);
+        } while (value > 0);
+        return new Uint8Array(bytes);
+    }
+    
+    function concat(parts) {
+        var length = parts.reduce(function(sum, p) { return sum + p.length; }, 0);
+        var out = new Uint8Array(length);
+        var offset = 0;
+        parts.forEach(function(p) {
+            out.set(p, offset);
+            offset += p.length;
+        });
+        return out;
+    }
+    
+    function ebmlHeader() {
+        return element(ID.EBML, [
+            element(ID.EBMLVersion, 1),
+            element(ID.EBMLReadVersion, 1),
+            element(ID.EBMLMaxIDLength, 4),
+            element(ID.EBMLMaxSizeLength, 8),
+            element(ID.DocType, 'webm'),
+            element(ID.DocTypeVersion, 4),
+            element(ID.DocTypeReadVersion, 2)
+        ]);
+    }
+    
+    // ==================== Streaming Muxer ====================
+    
+    /**
+     * Tạo muxer WebM dạng stream
+     * Header được ghi khi Cluster đầu tiên đóng (lúc đó đã biết cấu hình audio)
+     * @param {object} options
+     *   video: { codecId, width, height, fps }
+     *   audio: { codecId } | null - sampleRate/channels/codecPrivate đặt qua setAudioConfig
+     *   onData: function(Uint8Array) - nhận header rồi từng Cluster
+     * @returns {object} - { addVideoChunk, addAudioChunk, setAudioConfig, finalize }
+     */
+    function createMuxer(options) {
+        var headerWritten = false;
+        var audioConfig = null;
+        var cluster = null;
+        var pendingVideo = [];
+        var pendingAudio = [];
+        var lastVideo = -Infinity;
+        var lastAudio = -Infinity;
+        
+        function writeHeader() {
+            var tracks = [element(ID.TrackEntry, [
+                element(ID.TrackNumber, VIDEO_TRACK),
+                element(ID.TrackUID, VIDEO_TRACK),
+                element(ID.TrackType, 1),
+                element(ID.FlagLacing, 0),
+                element(ID.CodecID, options.video.codecId),
+                element(ID.DefaultDuration, Math.round(1e9 / options.video.fps)),
+                element(ID.Video, [
+                    element(ID.PixelWidth, options.video.width),
+                    element(ID.PixelHeight, options.video.height)
+                ])
+            ])];
+            
+            if (options.audio && audioConfig) {
+                var audio = [
+                    element(ID.TrackNumber, AUDIO_TRACK),
+                    element(ID.TrackUID, AUDIO_TRACK),
+                    element(ID.TrackType, 2),
+                    element(ID.FlagLacing, 0),
+                    element(ID.CodecID, options.audio.codecId)
+                ];
+                if (audioConfig.codecPrivate) {
+                    audio.push(element(ID.CodecPrivate, audioConfig.codecPrivate));
+                }
+                audio.push(
+                    element(ID.CodecDelay, audioConfig.codecDelay || 0),
+                    element(ID.SeekPreRoll, 80000000),
+                    element(ID.Audio, [
+                        element(ID.SamplingFrequency, { float: audioConfig.sampleRate }),
+                        element(ID.Channels, audioConfig.channels)
+                    ])
+                );
+                tracks.push(element(ID.TrackEntry, audio));
+            }
+            
+            var app = 'QR Scanner v' + CONFIG.VERSION;
+            options.onData(concat([
+                ebmlHeader(),
+                encodeId(ID.Segment),
+                UNKNOWN_SIZE,
+                element(ID.Info, [
+                    element(ID.TimecodeScale, TIMECODE_SCALE),
+                    element(ID.MuxingApp, app),
+                    element(ID.WritingApp, app)
+                ]),
+                element(ID.Tracks, tracks)
+            ]));
+            headerWritten = true;
+        }
+        
+        function simpleBlock(track, timecode, keyFrame, data) {
+            var header = new Uint8Array(4);
+            header[0] = 0x80 | track;
+            new DataView(header.buffer).setInt16(1, timecode - cluster.timecode);
+            header[3] = keyFrame ? 0x80 : 0;
+            return element(ID.SimpleBlock, concat([header, data]));
+        }
+        
+        function flushCluster() {
+            if (!cluster) return;
+            if (!headerWritten) writeHeader();
+            
+            options.onData(element(ID.Cluster, [element(ID.Timecode, cluster.timecode)].concat(cluster.blocks)));
+            cluster = null;
+        }
+        
+        function writeVideo(v) {
+            if (!cluster && !v.keyFrame) return; // File phải bắt đầu bằng keyframe
+            
+            if (cluster && (v.keyFrame || v.timecode - cluster.timecode > MAX_CLUSTER_MS)) {
+                flushCluster();
+            }
+            if (!cluster) {
+                cluster = { timecode: v.timecode, blocks: [] };
+            }
+            cluster.blocks.push(simpleBlock(VIDEO_TRACK, v.timecode, v.keyFrame, v.data));
+        }
+        
+        function writeAudio(a) {
+            if (!cluster || (headerWritten && !audioConfig)) return;
+            cluster.blocks.push(simpleBlock(AUDIO_TRACK, a.timecode, true, a.data));
+        }
+        
+        /**
+         * Ghi video + audio theo đúng thứ tự thời gian, tới mốc mà cả hai luồng đã có dữ liệu
+         * (audio trễ quá MAX_AUDIO_LAG_MS thì không chờ nữa)
+         * @param {number} limit - Infinity khi kết thúc
+         */
+        function interleave(limit) {
+            if (limit === undefined) {
+                limit = lastVideo;
+                if (options.audio) {
+                    limit = Math.min(limit, Math.max(lastAudio, lastVideo - MAX_AUDIO_LAG_MS));
+                }
+            }
+            
+            while (pendingVideo.length > 0 || pendingAudio.length > 0) {
+                var v = pendingVideo[0], a = pendingAudio[0];
+                var takeAudio = a && (!v || a.timecode < v.timecode);
+                var next = takeAudio ? a : v;
+                if (next.timecode > limit) break;
+                
+                if (takeAudio) {
+                    writeAudio(pendingAudio.shift());
+                } else {
+                    writeVideo(pendingVideo.shift());
+                }
+            }
+        }
+        
+        /**
+         * @param {Uint8Array} data
+         * @param {number} timecode - ms tính từ đầu bản ghi
+         * @param {boolean} keyFrame
+         */
+        function addVideoChunk(data, timecode, keyFrame) {
+            pendingVideo.push({ data: data, timecode: timecode, keyFrame: keyFrame });
+            lastVideo = timecode;
+            interleave();
+        }
+        
+        function addAudioChunk(data, timecode) {
+            if (!options.audio) return;
+            pendingAudio.push({ data: data, timecode: timecode });
+            lastAudio = timecode;
+            interleave();
+        }
+        
+        /**
+         * @param {object} config - { sampleRate, channels, codecPrivate, codecDelay (ns) }
+         */
+        function setAudioConfig(config) {
+            if (!headerWritten) audioConfig = config;
+        }
+        
+        function finalize() {
+            interleave(Infinity);
+            flushCluster();
+        }
+        
+        return {
+            addVideoChunk: addVideoChunk,
+            addAudioChunk: addAudioChunk,
+            setAudioConfig: setAudioConfig,
+            finalize: finalize
+        };
+    }
+    
+    // ==================== EBML Reader ====================
+    
+    /**
+     * Đọc Blob theo cửa sổ, tránh gọi arrayBuffer() cho từng element nhỏ
+     */
+    function createReader(blob) {
+        var windowStart = 0;
+        var windowData = new Uint8Array(0);
+        
+        async function read(pos, length) {
+            if (pos < windowStart || pos + length > windowStart + windowData.length) {
+                windowStart = pos;
+                windowData = new Uint8Array(await blob.slice(pos, pos + Math.max(length, READ_WINDOW)).arrayBuffer());
+            }
+            return windowData.subarray(pos - windowStart, pos - windowStart + length);
+        }
+        
+        return { read: read, size: blob.size };
+    }
+    
+    /**
+     * Đọc VINT tại offset
+     * @returns {object|null} - { value, length, unknown }
+     */
+    function readVint(bytes, offset, keepMarker) {
+        var first = bytes[offset];
+        if (first === undefined || first === 0) return null;
+        
+        var length = 1;
+        while (!(first & (0x80 >> (length - 1)))) length++;
+        if (offset + length > bytes.length) return null;
+        
+        var value = keepMarker ? first : first & (0xFF >> length);
+        var allOnes = value === (0xFF >> length);
+        for (var i = 1; i < length; i++) {
+            value = value * 256 + bytes[offset + i];
+            if (bytes[offset + i] !== 0xFF) allOnes = false;
+        }
+        
+        return { value: value, length: length, unknown: !keepMarker && allOnes };
+    }
+    
+    /**
+     * Đọc ID + kích thước của element tại pos
+     * @returns {Promise<object|null>} - { id, size (null = không rõ), start, dataStart }
+     */
+    async function readHeader(reader, pos) {
+        var bytes = await reader.read(pos, 12);
+        var id = readVint(bytes, 0, true);
+        if (!id || id.length > 4) return null;
+        var size = readVint(bytes, id.length, false);
+        if (!size) return null;
+        
+        return {
+            id: id.value,
+            size: size.unknown ? null : size.value,
+            start: pos,
+            dataStart: pos + id.length + size.length
+        };
+    }
+    
+    function readUint(bytes) {
+        var value = 0;
+        for (var i = 0; i < bytes.length; i++) {
+            value = value * 256 + bytes[i];
+        }
+        return value;
+    }
+    
+    // ==================== Seekable Post-Process ====================
+    
+    /**
+     * Ghi lại file WebM (MediaRecorder/WebCodecs) thành file tua được:
+     * - Segment + Cluster có kích thước xác định
+     * - Info: Duration, Title, DateUTC
+     * - Cues: mỗi Cluster bắt đầu bằng keyframe video
+     * - Tags: TITLE / DATE_RECORDED / COMMENT (+ ORDER, STATION, PRODUCTS)
+     * - Timecode dời về 0 (file bắt đầu từ vòng đệm pre-roll)
+     * Dữ liệu Cluster được giữ nguyên (Blob.slice), chỉ ghi lại phần header
+     * @param {Blob} blob
+     * @param {object} meta - { title, date, orderCode, station, products[] }
+     * @returns {Promise<Blob>}
+     * @throws {Error} - Khi file không phải WebM đọc được
+     */
+    async function makeSeekable(blob, meta) {
+        var reader = createReader(blob);
+        
+        // EBML header
+        var ebml = await readHeader(reader, 0);
+        if (!ebml || ebml.id !== ID.EBML || ebml.size === null) {
+            throw new Error('Not a WebM file');
+        }
+        var ebmlEnd = ebml.dataStart + ebml.size;
+        
+        var segment = await readHeader(reader, ebmlEnd);
+        if (!segment || segment.id !== ID.Segment) {
+            throw new Error('Missing Segment');
+        }
+        var segmentEnd = segment.size === null ? blob.size : Math.min(blob.size, segment.dataStart + segment.size);
+        
+        var parsed = {
+            timecodeScale: TIMECODE_SCALE,
+            infoChildren: [],
+            tracks: null,
+            videoTrack: VIDEO_TRACK,
+            frameDuration: 0,
+            others: [],
+            clusters: []
+        };
+        
+        var pos = segment.dataStart;
+        while (pos < segmentEnd) {
+            var header = await readHeader(reader, pos);
+            if (!header) break;
+            
+            if (header.id === ID.Cluster) {
+                var cluster = await scanCluster(reader, header, segmentEnd, parsed);
+                if (cluster.timecode !== null && cluster.end > cluster.dataStart) {
+                    parsed.clusters.push(cluster);
+                }
+                pos = cluster.end;
+                continue;
+            }
+            
+            if (header.size === null || header.dataStart + header.size > segmentEnd) break;
+            var end = header.dataStart + header.size;
+            
+            if (header.id === ID.Info) {
+                await parseInfo(reader, header, parsed);
+            } else if (header.id === ID.Tracks) {
+                parsed.tracks = blob.slice(header.start, end);
+                await parseTracks(reader, header, parsed);
+            } else if ([ID.SeekHead, ID.Cues, ID.Tags, ID.Void].indexOf(header.id) === -1) {
+                parsed.others.push(blob.slice(header.start, end));
+            }
+            pos = end;
+        }
+        
+        if (!parsed.tracks || parsed.clusters.length === 0) {
+            throw new Error('No tracks or clusters');
+        }
+        
+        return buildSeekable(blob, ebmlEnd, parsed, meta || {});
+    }
+    
+    async function parseInfo(reader, header, parsed) {
+        var end = header.dataStart + header.size;
+        var pos = header.dataStart;
+        
+        while (pos < end) {
+            var child = await readHeader(reader, pos);
+            if (!child || child.size === null) break;
+            var childEnd = child.dataStart + child.size;
+            var bytes = (await reader.read(child.start, childEnd - child.start)).slice();
+            
+            if (child.id === ID.TimecodeScale) {
+                parsed.timecodeScale = readUint(bytes.subarray(child.dataStart - child.start)) || TIMECODE_SCALE;
+            }
+            if ([ID.Duration, ID.Title, ID.DateUTC, ID.Void].indexOf(child.id) === -1) {
+                parsed.infoChildren.push(bytes);
+            }
+            pos = childEnd;
+        }
+    }
+    
+    /**
+     * Tìm track video và thời lượng mỗi frame (DefaultDuration, ns)
+     */
+    async function parseTracks(reader, header, parsed) {
+        var bytes = await reader.read(header.dataStart, header.size);
+        var pos = 0;
+        
+        while (pos < bytes.length) {
+            var id = readVint(bytes, pos, true);
+            var size = id && readVint(bytes, pos + id.length, false);
+            if (!size) break;
+            var dataStart = pos + id.length + size.length;
+            
+            if (id.value === ID.TrackEntry) {
+                var entry = {};
+                var p = dataStart;
+                while (p < dataStart + size.value) {
+                    var cid = readVint(bytes, p, true);
+                    var csize = cid && readVint(bytes, p + cid.length, false);
+                    if (!csize) break;
+                    var cdata = p + cid.length + csize.length;
+                    var value = bytes.subarray(cdata, cdata + csize.value);
+                    if (cid.value === ID.TrackNumber) entry.number = readUint(value);
+                    if (cid.value === ID.TrackType) entry.type = readUint(value);
+                    if (cid.value === ID.DefaultDuration) entry.defaultDuration = readUint(value);
+                    p = cdata + csize.value;
+                }
+                if (entry.type === 1 && entry.number) {
+                    parsed.videoTrack = entry.number;
+                    parsed.frameDuration = entry.defaultDuration || 0;
+                }
+            }
+            pos = dataStart + size.value;
+        }
+    }
+    
+    /**
+     * Quét một Cluster: timecode, keyframe đầu tiên, thời điểm block cuối, điểm kết thúc
+     * Cluster không rõ kích thước kết thúc khi gặp element cấp Segment; block bị cắt dở (crash) bị bỏ
+     */
+    async function scanCluster(reader, header, segmentEnd, parsed) {
+        var cluster = {
+            start: header.start,
+            dataStart: header.dataStart,
+            end: header.size === null ? segmentEnd : Math.min(segmentEnd, header.dataStart + header.size),
+            timecode: null,
+            timecodeStart: 0,
+            timecodeEnd: 0,
+            timecodeHeader: null,
+            cueTime: null,
+            lastTime: null,
+            lastVideoTime: null,
+            prevVideoTime: null
+        };
+        
+        var pos = header.dataStart;
+        while (pos < cluster.end) {
+            var child = await readHeader(reader, pos);
+            if (!child || (header.size === null && TOP_LEVEL_IDS.indexOf(child.id) !== -1)) {
+                cluster.end = pos;
+                break;
+            }
+            
+            var childEnd = child.size === null ? Infinity : child.dataStart + child.size;
+            if (childEnd > cluster.end) {
+                cluster.end = pos;
+                break;
+            }
+            
+            if (child.id === ID.Timecode) {
+                cluster.timecode = readUint(await reader.read(child.dataStart, child.size));
+                cluster.timecodeStart = pos;
+                cluster.timecodeEnd = childEnd;
+                cluster.timecodeHeader = (await reader.read(pos, child.dataStart - pos)).slice();
+            } else if (child.id === ID.SimpleBlock && cluster.timecode !== null) {
+                addBlock(cluster, parsed, await reader.read(child.dataStart, 4), null);
+            } else if (child.id === ID.BlockGroup && cluster.timecode !== null) {
+                addBlock(cluster, parsed, null, await reader.read(child.dataStart, child.size));
+            }
+            pos = childEnd;
+        }
+        
+        return cluster;
+    }
+    
+    /**
+     * @param {Uint8Array|null} simple - 4 byte đầu của SimpleBlock
+     * @param {Uint8Array|null} group - Nội dung BlockGroup
+     */
+    function addBlock(cluster, parsed, simple, group) {
+        var block = simple;
+        var keyFrame = false;
+        
+        if (simple) {
+            keyFrame = (simple[simple.length - 1] & 0x80) !== 0;
+        } else {
+            keyFrame = true;
+            var pos = 0;
+            while (pos < group.length) {
+                var id = readVint(group, pos, true);
+                var size = id && readVint(group, pos + id.length, false);
+                if (!size) break;
+                var dataStart = pos + id.length + size.length;
+                if (id.value === ID.Block) block = group.subarray(dataStart, dataStart + 4);
+                if (id.value === ID.ReferenceBlock) keyFrame = false;
+                pos = dataStart + size.value;
+            }
+            if (!block) return;
+        }
+        
+        var track = readVint(block, 0, false);
+        if (!track || block.length < track.length + 2) return;
+        var view = new DataView(block.buffer, block.byteOffset, block.byteLength);
+        var time = cluster.timecode + view.getInt16(track.length);
+        
+        cluster.lastTime = cluster.lastTime === null ? time : Math.max(cluster.lastTime, time);
+        
+        if (track.value === parsed.videoTrack) {
+            if (cluster.lastVideoTime === null && keyFrame) {
+                cluster.cueTime = time;
+            }
+            cluster.prevVideoTime = cluster.lastVideoTime;
+            cluster.lastVideoTime = time;
+        }
+    }
+    
+    /**
+     * Ghép file mới: EBML | Segment(size) | SeekHead | Info | Tracks | Tags | ... | Clusters | Cues
+     */
+    function buildSeekable(blob, ebmlEnd, parsed, meta) {
+        var clusters = parsed.clusters;
+        
+        // Dời timecode về 0 cho mọi Cluster, Timecode ở vị trí nào cũng ghi đè tại chỗ (cùng độ dài)
+        var rebase = clusters.reduce(function(min, c) { return Math.min(min, c.timecode); }, clusters[0].timecode);
+        
+        // Duration = block cuối + một frame
+        var last = clusters[clusters.length - 1];
+        var lastTime = clusters.reduce(function(max, c) {
+            return c.lastTime !== null ? Math.max(max, c.lastTime) : max;
+        }, clusters[0].timecode);
+        var frameTicks = parsed.frameDuration
+            ? parsed.frameDuration / parsed.timecodeScale
+            : (last.prevVideoTime !== null ? last.lastVideoTime - last.prevVideoTime : 0);
+        var duration = lastTime + frameTicks - rebase;
+        
+        var info = element(ID.Info, parsed.infoChildren.concat([
+            element(ID.Duration, { float: duration }),
+            element(ID.Title, meta.title || ''),
+            element(ID.DateUTC, dateUTC(meta.date || new Date()))
+        ]));
+        var tags = buildTags(meta);
+        var tracksSize = parsed.tracks.size;
+        var othersSize = parsed.others.reduce(function(sum, b) { return sum + b.size; }, 0);
+        
+        // Vị trí tính từ đầu dữ liệu Segment; SeekHead dùng vị trí 8 byte nên kích thước cố định
+        var seekHeadSize = buildSeekHead({}).length;
+        var positions = { info: seekHeadSize };
+        positions.tracks = positions.info + info.length;
+        positions.tags = positions.tracks + tracksSize;
+        
+        var clusterPos = positions.tags + tags.length + othersSize;
+        var clusterParts = [];
+        var cuePoints = [];
+        
+        clusters.forEach(function(c) {
+            var bodySize = c.end - c.dataStart;
+            clusterParts.push(concat([encodeId(ID.Cluster), fixedSize(bodySize)]));
+            
+            if (rebase) {
+                clusterParts.push(blob.slice(c.dataStart, c.timecodeStart));
+                clusterParts.push(rebaseTimecode(c, rebase));
+                clusterParts.push(blob.slice(c.timecodeEnd, c.end));
+            } else {
+                clusterParts.push(blob.slice(c.dataStart, c.end));
+            }
+            
+            if (c.cueTime !== null) {
+                cuePoints.push(element(ID.CuePoint, [
+                    element(ID.CueTime, c.cueTime - rebase),
+                    element(ID.CueTrackPositions, [
+                        element(ID.CueTrack, parsed.videoTrack),
+                        element(ID.CueClusterPosition, clusterPos)
+                    ])
+                ]));
+            }
+            
+            clusterPos += 12 + bodySize;
+        });
+        
+        positions.cues = clusterPos;
+        var cues = element(ID.Cues, cuePoints);
+        var segmentSize = clusterPos + cues.length;
+        
+        var parts = [
+            blob.slice(0, ebmlEnd),
+            concat([encodeId(ID.Segment), fixedSize(segmentSize)]),
+            buildSeekHead(positions),
+            info,
+            parsed.tracks,
+            tags
+        ].concat(parsed.others, clusterParts, [cues]);
+        
+        return new Blob(parts, { type: blob.type });
+    }
+    
+    function buildSeekHead(positions) {
+        return element(ID.SeekHead, [
+            [ID.Info, positions.info],
+            [ID.Tracks, positions.tracks],
+            [ID.Tags, positions.tags],
+            [ID.Cues, positions.cues]
+        ].map(function(seek) {
+            return element(ID.Seek, [
+                element(ID.SeekID, encodeId(seek[0])),
+                element(ID.SeekPosition, fixedUint(seek[1] || 0, 8))
+            ]);
+        }));
+    }
+    
+    /**
+     * Element Timecode với giá trị mới, giữ nguyên độ dài (uint cho phép số 0 ở đầu)
+     */
+    function rebaseTimecode(cluster, rebase) {
+        var valueSize = cluster.timecodeEnd - cluster.timecodeStart - cluster.timecodeHeader.length;
+        return concat([cluster.timecodeHeader, fixedUint(cluster.timecode - rebase, valueSize)]);
+    }
+    
+    function buildTags(meta) {
+        var products = meta.products || [];
+        var comment = [
+            meta.orderCode ? 'Order: ' + meta.orderCode : '',
+            meta.station ? 'Station: ' + meta.station : '',
+            products.length ? 'Products (' + products.length + '): ' + products.join(', ') : ''
+        ].filter(Boolean).join(' | ');
+        
+        var values = [
+            ['TITLE', meta.title],
+            ['DATE_RECORDED', meta.date ? new Date(meta.date).toISOString() : ''],
+            ['COMMENT', comment],
+            ['ORDER', meta.orderCode],
+            ['STATION', meta.station],
+            ['PRODUCTS', products.join(', ')]
+        ].filter(function(t) { return t[1]; });
+        
+        return element(ID.Tags, [element(ID.Tag, [
+            element(ID.Targets, [element(ID.TargetTypeValue, 50)])
+        ].concat(values.map(function(t) {
+            return element(ID.SimpleTag, [
+                element(ID.TagName, t[0]),
+                element(ID.TagLanguage, 'und'),
+                element(ID.TagString, String(t[1]))
+            ]);
+        })))]);
+    }
+    
+    /**
+     * DateUTC: số nano giây (int64) tính từ 2001-01-01
+     */
+    function dateUTC(date) {
+        var bytes = new Uint8Array(8);
+        var ns = BigInt(Math.round(new Date(date).getTime() - MATROSKA_EPOCH)) * BigInt(1000000);
+        new DataView(bytes.buffer).setBigInt64(0, ns);
+        return bytes;
+    }
+    
+    // ==================== Public API ====================
+    return {
+        ID: ID,
+        element: element,
+        encodeId: encodeId,
+        encodeSize: encodeSize,
+        concat: concat,
+        createMuxer: createMuxer,
+        makeSeekable: makeSeekable
+    };
+})();
+
+// Export for Node.js (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QRWebM;
+}